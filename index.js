@@ -1,4 +1,13 @@
 module.exports = {
     wrapper1: require('./src/VegaWrapper.js'),
-    wrapper2: require('./src/VegaWrapper2.js')
+    wrapper2: require('./src/VegaWrapper2.js'),
+    urlConverter: require('./src/UrlConverter.js'),
+    ProtocolRegistry: require('./src/ProtocolRegistry.js'),
+    GraphError: require('./src/GraphError.js'),
+    ResponseCache: require('./src/ResponseCache.js'),
+    ResourceBudget: require('./src/ResourceBudget.js'),
+    TabularData: require('./src/TabularData.js'),
+    Attributions: require('./src/Attributions.js'),
+    SiteTable: require('./src/SiteTable.js'),
+    Fixtures: require('./src/Fixtures.js')
 };
@@ -0,0 +1,168 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = {
+    configure: configure,
+    check: check
+};
+
+/**
+ * Read-only api actions that graphs may use, keyed by the action name. Each value is either true to allow
+ * any parameters, or a rule object:
+ *  - {Object} [values] allowed values of the module parameters, e.g. {list: ['allpages']}.
+ *    Each of the pipe-separated values must be allowed, other values of the parameter are rejected.
+ *  - {string[]} [required] parameters that must be set
+ *  - {string[]} [forbidden] parameters that must not be set
+ *  - {Object} [maxLength] maximum number of characters of the parameters, e.g. {text: 2000}
+ * Parameters with tokens are never allowed, regardless of the action.
+ */
+var DEFAULTS = {
+    query: {
+        values: {
+            list: ['allcategories', 'allpages', 'backlinks', 'categorymembers', 'embeddedin', 'exturlusage',
+                'geosearch', 'imageusage', 'iwbacklinks', 'langbacklinks', 'pagepropnames', 'pageswithprop',
+                'prefixsearch', 'protectedtitles', 'querypage', 'random', 'search'],
+            prop: ['categories', 'categoryinfo', 'coordinates', 'description', 'extlinks', 'extracts', 'imageinfo',
+                'images', 'info', 'iwlinks', 'langlinks', 'links', 'linkshere', 'pageimages', 'pageprops',
+                'pageviews', 'redirects', 'revisions', 'templates', 'transcludedin'],
+            meta: ['allmessages', 'languageinfo', 'siteinfo'],
+            generator: ['allcategories', 'allpages', 'backlinks', 'categories', 'categorymembers', 'embeddedin',
+                'exturlusage', 'geosearch', 'images', 'imageusage', 'iwbacklinks', 'langbacklinks', 'links',
+                'linkshere', 'pageswithprop', 'prefixsearch', 'protectedtitles', 'querypage', 'random', 'redirects',
+                'search', 'templates', 'transcludedin']
+        }
+    },
+    jsondata: true,
+    parse: {
+        // Parsing a large page or text is expensive, so the output must be chosen explicitly,
+        // only the limited text can be parsed, and not the stored pages and revisions
+        values: {
+            prop: ['categories', 'displaytitle', 'externallinks', 'images', 'iwlinks', 'langlinks', 'links',
+                'properties', 'revid', 'sections', 'templates', 'text', 'wikitext']
+        },
+        required: ['prop'],
+        forbidden: ['page', 'pageid', 'oldid'],
+        maxLength: {text: 2000}
+    },
+    wbgetentities: true
+};
+
+/**
+ * Add or disable actions of the default allowlist, or get the default allowlist if called without parameters
+ * @param {Object} [allowlist] actions to add or replace (true or a rule object), or disable (false),
+ *  keyed by the action name
+ * @return {Object} new allowlist
+ */
+function configure(allowlist) {
+    var result = {};
+    Object.keys(DEFAULTS).forEach(function (action) {
+        result[action] = DEFAULTS[action];
+    });
+    Object.keys(allowlist || {}).forEach(function (action) {
+        var rule = allowlist[action];
+        if (rule === false) {
+            delete result[action];
+        } else if (rule === true || (rule && typeof rule === 'object' && !Array.isArray(rule))) {
+            result[action] = rule;
+        } else {
+            throw new GraphError(GraphError.codes.INVALID_PARAM,
+                'apiAllowlist: action ' + JSON.stringify(action) + ' must be true, false or a rule object',
+                {protocol: 'wikiapi', field: action, value: rule});
+        }
+    });
+    return result;
+}
+
+/**
+ * Create an error about the parameter that is not allowed
+ * @param {string} message
+ * @param {string} field
+ * @param {*} value
+ * @return {GraphError}
+ */
+function notAllowed(message, field, value) {
+    return new GraphError(GraphError.codes.QUERY_NOT_ALLOWED, 'wikiapi: ' + message,
+        {protocol: 'wikiapi', field: field, value: value});
+}
+
+/**
+ * Split a multi-value api parameter, which uses \x1F as the separator if the value begins with it
+ * @param {string} value
+ * @return {string[]}
+ */
+function splitValues(value) {
+    return value[0] === '\x1F' ? value.substring(1).split('\x1F') : value.split('|');
+}
+
+/**
+ * Check that the api query only uses the allowed actions, modules and parameters
+ * @param {Object} query api parameters
+ * @param {Object} allowlist see configure()
+ * @param {string} [fieldPrefix] prefix of the parameter names in the errors, e.g. 'params.'
+ */
+function check(query, allowlist, fieldPrefix) {
+    var action = query.action,
+        rule;
+    fieldPrefix = fieldPrefix || '';
+
+    Object.keys(query).forEach(function (name) {
+        if (Array.isArray(query[name])) {
+            throw notAllowed('parameter ' + JSON.stringify(name) + ' must not be repeated', fieldPrefix + name,
+                query[name]);
+        }
+        if (/token$/i.test(name) || name === 'callback') {
+            throw notAllowed('parameter ' + JSON.stringify(name) + ' is not allowed', fieldPrefix + name, query[name]);
+        }
+    });
+
+    if (action === undefined) {
+        // Without the action, the api only shows its help page
+        return;
+    }
+    rule = Object.prototype.hasOwnProperty.call(allowlist, action) ? allowlist[action] : undefined;
+    if (!rule) {
+        throw notAllowed('action ' + JSON.stringify(action) + ' is not allowed, use one of: ' +
+            Object.keys(allowlist).sort().join(', '), fieldPrefix + 'action', action);
+    }
+    if (rule === true) {
+        return;
+    }
+
+    (rule.required || []).forEach(function (name) {
+        if (query[name] === undefined || query[name] === '') {
+            throw new GraphError(GraphError.codes.MISSING_PARAM,
+                'wikiapi: parameter ' + name + ' is required by action ' + JSON.stringify(action),
+                {protocol: 'wikiapi', field: fieldPrefix + name});
+        }
+    });
+
+    (rule.forbidden || []).forEach(function (name) {
+        if (query[name] !== undefined) {
+            throw notAllowed('parameter ' + JSON.stringify(name) + ' is not allowed by action ' +
+                JSON.stringify(action), fieldPrefix + name, query[name]);
+        }
+    });
+
+    Object.keys(rule.values || {}).forEach(function (name) {
+        var allowed = rule.values[name];
+        if (query[name] === undefined) {
+            return;
+        }
+        splitValues(String(query[name])).forEach(function (value) {
+            if (allowed.indexOf(value) === -1) {
+                throw notAllowed(name + ' ' + JSON.stringify(value) + ' is not allowed by action ' +
+                    JSON.stringify(action) + ', use one of: ' + allowed.join(', '), fieldPrefix + name, value);
+            }
+        });
+    });
+
+    Object.keys(rule.maxLength || {}).forEach(function (name) {
+        var value = query[name];
+        if (value !== undefined && String(value).length > rule.maxLength[name]) {
+            throw notAllowed('parameter ' + name + ' of action ' + JSON.stringify(action) + ' must not be longer than ' +
+                rule.maxLength[name] + ' characters', fieldPrefix + name, String(value).length);
+        }
+    });
+}
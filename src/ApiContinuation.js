@@ -0,0 +1,140 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = {
+    getLimits: getLimits,
+    merge: merge,
+    countItems: countItems,
+    truncate: truncate
+};
+
+/**
+ * Default and maximum number of api requests of a single continued query
+ */
+var DEFAULT_MAX_REQUESTS = 10,
+    MAX_REQUESTS = 50,
+    MAX_ITEMS = 100000;
+
+/**
+ * Create an invalid parameter error
+ * @param {string} message
+ * @param {string} field
+ * @param {*} value
+ * @return {GraphError}
+ */
+function paramError(message, field, value) {
+    return new GraphError(GraphError.codes.INVALID_PARAM, 'wikiapi: ' + message,
+        {protocol: 'wikiapi', field: field, value: value});
+}
+
+/**
+ * Validate the continue option of the url object
+ * @param {Object|boolean} cont true to use the defaults, or {maxRequests, maxItems}
+ * @return {{maxRequests: number, maxItems: number|undefined}}
+ */
+function getLimits(cont) {
+    var limits = {maxRequests: DEFAULT_MAX_REQUESTS, maxItems: undefined};
+
+    if (cont === true) {
+        return limits;
+    }
+    if (!cont || typeof cont !== 'object' || Array.isArray(cont)) {
+        throw paramError('"continue" should be true or an object with maxRequests and maxItems', 'continue', cont);
+    }
+    Object.keys(cont).forEach(function (key) {
+        if (key !== 'maxRequests' && key !== 'maxItems') {
+            throw paramError('unknown continue option ' + JSON.stringify(key), 'continue.' + key, cont[key]);
+        }
+    });
+    if (cont.maxRequests !== undefined) {
+        if (!isInteger(cont.maxRequests) || cont.maxRequests < 1 || cont.maxRequests > MAX_REQUESTS) {
+            throw paramError('continue.maxRequests must be an integer from 1 to ' + MAX_REQUESTS,
+                'continue.maxRequests', cont.maxRequests);
+        }
+        limits.maxRequests = cont.maxRequests;
+    }
+    if (cont.maxItems !== undefined) {
+        if (!isInteger(cont.maxItems) || cont.maxItems < 1 || cont.maxItems > MAX_ITEMS) {
+            throw paramError('continue.maxItems must be an integer from 1 to ' + MAX_ITEMS,
+                'continue.maxItems', cont.maxItems);
+        }
+        limits.maxItems = cont.maxItems;
+    }
+    return limits;
+}
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isInteger(value) {
+    return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+}
+
+/**
+ * Add the results of the next response to the merged result. The query.* arrays are concatenated,
+ * the other values are only taken from the first response that has them.
+ * The continuation token of the merged result is replaced by the one of the next response.
+ * @param {Object} result merged api response, modified in place
+ * @param {Object} next parsed api response
+ * @return {Object} result
+ */
+function merge(result, next) {
+    var query = next.query || {};
+
+    result.query = result.query || {};
+    Object.keys(query).forEach(function (key) {
+        if (Array.isArray(query[key]) && Array.isArray(result.query[key])) {
+            result.query[key] = result.query[key].concat(query[key]);
+        } else if (!result.query.hasOwnProperty(key)) {
+            result.query[key] = query[key];
+        }
+    });
+
+    // Other values, e.g. batchcomplete, are usually only given by the last response
+    Object.keys(next).forEach(function (key) {
+        if (key !== 'query' && key !== 'continue' && !result.hasOwnProperty(key)) {
+            result[key] = next[key];
+        }
+    });
+
+    if (next.continue) {
+        result.continue = next.continue;
+    } else {
+        delete result.continue;
+    }
+    return result;
+}
+
+/**
+ * Count the items of the merged result - the length of its longest query.* array,
+ * e.g. the number of category members
+ * @param {Object} result
+ * @return {number}
+ */
+function countItems(result) {
+    var query = result.query || {};
+    return Object.keys(query).reduce(function (count, key) {
+        return Array.isArray(query[key]) ? Math.max(count, query[key].length) : count;
+    }, 0);
+}
+
+/**
+ * Cut all query.* arrays to the given number of items
+ * @param {Object} result
+ * @param {number} maxItems
+ * @return {boolean} true if any items were removed
+ */
+function truncate(result, maxItems) {
+    var query = result.query || {},
+        truncated = false;
+    Object.keys(query).forEach(function (key) {
+        if (Array.isArray(query[key]) && query[key].length > maxItems) {
+            query[key] = query[key].slice(0, maxItems);
+            truncated = true;
+        }
+    });
+    return truncated;
+}
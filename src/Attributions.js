@@ -0,0 +1,61 @@
+'use strict';
+/* global module */
+
+module.exports = Attributions;
+
+/**
+ * Metadata fields that are copied into each attribution
+ */
+var FIELDS = ['description', 'author', 'license_code', 'license_text', 'license_url', 'sources'];
+
+/**
+ * Collects the license and the sources of all datasets loaded by a graph, e.g. to show them under the graph.
+ * The same dataset loaded multiple times is only listed once.
+ * @constructor
+ */
+function Attributions() {
+    this.entries = [];
+    this.keys = {};
+}
+
+/**
+ * Record the attribution of a loaded dataset
+ * @param {string} type protocol or type name, e.g. 'tabular'
+ * @param {string} [wiki] host of the wiki the dataset was loaded from
+ * @param {string} title page or file title
+ * @param {Object} metadata object with description, author, license_code, license_text, license_url and sources,
+ *  e.g. the meta of the tabular data
+ */
+Attributions.prototype.add = function add(type, wiki, title, metadata) {
+    var entry = {type: type, wiki: wiki, title: title},
+        key;
+
+    FIELDS.forEach(function (field) {
+        if (metadata[field] !== undefined) {
+            entry[field] = metadata[field];
+        }
+    });
+
+    key = JSON.stringify([entry.type, entry.wiki, entry.title, entry.license_code, entry.license_url, entry.sources]);
+    if (!this.keys.hasOwnProperty(key)) {
+        this.keys[key] = true;
+        this.entries.push(entry);
+    }
+};
+
+/**
+ * Get all recorded attributions, in the order the datasets were parsed
+ * @return {Object[]} copies of the {type, wiki, title, description, author, license_code, license_text,
+ *  license_url, sources} objects, with the unknown fields omitted
+ */
+Attributions.prototype.list = function list() {
+    return this.entries.map(function (entry) {
+        var copy = {}, key;
+        for (key in entry) {
+            if (entry.hasOwnProperty(key) && entry[key] !== undefined) {
+                copy[key] = entry[key];
+            }
+        }
+        return copy;
+    });
+};
@@ -0,0 +1,95 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = {
+    buildQuery: buildQuery,
+    parse: parse
+};
+
+/**
+ * Build the api query to get the image information of a file
+ * @param {string} title file name, with or without the File: prefix
+ * @param {number|string} [width] width of the thumbnail
+ * @param {string} [lang] language of the metadata
+ * @return {Object}
+ */
+function buildQuery(title, width, lang) {
+    var query = {
+        format: 'json',
+        formatversion: '2',
+        action: 'query',
+        prop: 'imageinfo',
+        iiprop: 'url|size|mime|extmetadata',
+        titles: /^(File|Image):/i.test(title) ? title : 'File:' + title
+    };
+    if (width) {
+        query.iiurlwidth = width;
+    }
+    if (lang) {
+        query.iiextmetadatalanguage = lang;
+    }
+    return query;
+}
+
+/**
+ * Convert the HTML of the extended metadata into plain text
+ * @param {Object} extmetadata
+ * @param {string} name e.g. 'Artist'
+ * @return {string|undefined}
+ */
+function getText(extmetadata, name) {
+    var value = extmetadata[name] && extmetadata[name].value;
+    if (typeof value !== 'string') {
+        return undefined;
+    }
+    return value
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(lt|gt|quot|#39|nbsp|amp);/g, function (match, entity) {
+            return {lt: '<', gt: '>', quot: '"', '#39': '\'', nbsp: ' ', amp: '&'}[entity];
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Convert the imageinfo api response into data rows, one per file. Besides the file information, each row
+ * has the same license and description fields as the metadata of the tabular data, plus the author.
+ * @param {Object} data parsed api response
+ * @return {Object[]}
+ */
+function parse(data) {
+    var pages = data.query && data.query.pages;
+    if (!Array.isArray(pages)) {
+        throw new GraphError(GraphError.codes.INVALID_RESPONSE, 'wikifileinfo: file information not available',
+            {protocol: 'wikifileinfo', field: 'pages'});
+    }
+    return pages.map(function (page) {
+        var info = page.imageinfo && page.imageinfo[0],
+            meta;
+        if (!info) {
+            throw new GraphError(GraphError.codes.INVALID_RESPONSE,
+                'wikifileinfo: file ' + JSON.stringify(page.title) + ' does not exist',
+                {protocol: 'wikifileinfo', field: 'title', value: page.title});
+        }
+        meta = info.extmetadata || {};
+        return {
+            title: page.title,
+            url: info.url,
+            description_url: info.descriptionurl,
+            thumb_url: info.thumburl || info.url,
+            width: info.width,
+            height: info.height,
+            thumb_width: info.thumbwidth || info.width,
+            thumb_height: info.thumbheight || info.height,
+            mime: info.mime,
+            author: getText(meta, 'Artist'),
+            description: getText(meta, 'ImageDescription'),
+            license_code: getText(meta, 'License'),
+            license_text: getText(meta, 'LicenseShortName'),
+            license_url: getText(meta, 'LicenseUrl'),
+            sources: getText(meta, 'Credit')
+        };
+    });
+}
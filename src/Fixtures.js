@@ -0,0 +1,167 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = Fixtures;
+
+/**
+ * Records the loaded responses into a fixture directory, or replays them without reaching the network,
+ * e.g. for the rendering and the visual regression tests. The file system and hashing modules are passed in
+ * by the caller, so that this module can be bundled for the browsers without the node.js built-ins.
+ * Each response is saved as a separate JSON file {key, url, response}, named after the host and the hash of the key.
+ * @param {Object} opts
+ * @param {string} opts.mode 'record' to load and save the responses, or 'replay' to only serve the saved ones
+ * @param {string} opts.dir fixture directory, created when recording if it does not exist
+ * @param {Object} opts.fs node.js fs module, or a compatible object
+ * @param {Object} opts.crypto node.js crypto module, or a compatible object
+ * @constructor
+ */
+function Fixtures(opts) {
+    if (opts.mode !== 'record' && opts.mode !== 'replay') {
+        throw new GraphError(GraphError.codes.INVALID_PARAM, 'fixtures: mode must be "record" or "replay"',
+            {field: 'fixtures.mode', value: opts.mode});
+    }
+    if (typeof opts.dir !== 'string' || !opts.dir) {
+        throw new GraphError(GraphError.codes.INVALID_PARAM, 'fixtures: dir must be set',
+            {field: 'fixtures.dir', value: opts.dir});
+    }
+    ['fs', 'crypto'].forEach(function (name) {
+        if (!opts[name] || typeof opts[name] !== 'object') {
+            throw new GraphError(GraphError.codes.INVALID_PARAM,
+                'fixtures: ' + name + ' must be set to the node.js ' + name + ' module',
+                {field: 'fixtures.' + name, value: opts[name]});
+        }
+    });
+    this.mode = opts.mode;
+    this.dir = opts.dir.replace(/\/+$/, '') || '/';
+    this.fs = opts.fs;
+    this.crypto = opts.crypto;
+}
+
+/**
+ * Create the key from the sanitized url, the request headers, and the body of a POST request.
+ * Used by both wrappers for the fixtures, and by ResponseCache for the cache keys.
+ * @param {string} url
+ * @param {Object} [headers]
+ * @param {string} [body]
+ * @return {string}
+ */
+Fixtures.getKey = function getKey(url, headers, body) {
+    var key = url, values;
+    if (headers) {
+        // Header names are case-insensitive
+        values = Object.keys(headers).map(function (name) {
+            return [name.toLowerCase(), headers[name]];
+        });
+        values.sort(function (a, b) {
+            return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0;
+        });
+        key += '\n' + JSON.stringify(values);
+    }
+    if (body !== undefined) {
+        key += '\n\n' + body;
+    }
+    return key;
+};
+
+/**
+ * Get the path of the fixture file
+ * @param {string} key see getKey()
+ * @return {string} e.g. 'dir/en.wikipedia.org_0123456789abcdef.json'
+ */
+Fixtures.prototype.getFileName = function getFileName(key) {
+    var host = /^[a-z]+:\/\/([^/?#:]+)/i.exec(key),
+        hash = this.crypto.createHash('sha1').update(key).digest('hex').substring(0, 16);
+    return this.dir + '/' + (host ? host[1].toLowerCase().replace(/[^a-z0-9.-]/g, '_') + '_' : '') + hash + '.json';
+};
+
+/**
+ * Create the fixture directory and its parents if they do not exist
+ * @param {string} dir
+ * @private
+ */
+Fixtures.prototype._makeDir = function _makeDir(dir) {
+    var parent;
+    try {
+        this.fs.mkdirSync(dir);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            parent = dir.substring(0, dir.lastIndexOf('/'));
+            if (!parent || parent === dir) {
+                throw err;
+            }
+            this._makeDir(parent);
+            this.fs.mkdirSync(dir);
+        } else if (err.code !== 'EEXIST') {
+            throw err;
+        }
+    }
+};
+
+/**
+ * Get the saved response
+ * @param {string} key see getKey()
+ * @return {string}
+ */
+Fixtures.prototype.read = function read(key) {
+    var fileName = this.getFileName(key),
+        fixture;
+    try {
+        fixture = JSON.parse(this.fs.readFileSync(fileName, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    }
+    // The key is compared in case of a hash collision
+    if (!fixture || fixture.key !== key) {
+        throw new GraphError(GraphError.codes.FIXTURE_MISSING,
+            'fixtures: url was not recorded: ' + key.split('\n')[0] + ' (' + fileName + ')',
+            {field: 'url', value: key});
+    }
+    return fixture.response;
+};
+
+/**
+ * Save the response
+ * @param {string} key see getKey()
+ * @param {string} response loaded text
+ */
+Fixtures.prototype.write = function write(key, response) {
+    this._makeDir(this.dir);
+    this.fs.writeFileSync(this.getFileName(key),
+        JSON.stringify({key: key, url: key.split('\n')[0], response: response}, null, 2) + '\n');
+};
+
+/**
+ * Depending on the mode, get the saved response, or load it and save it
+ * @param {string} key see getKey()
+ * @param {Function} loader called with the (error, data) callback to load the response from the network
+ * @param {Function} callback called with (error, data)
+ */
+Fixtures.prototype.load = function load(key, loader, callback) {
+    var self = this, data;
+
+    if (self.mode === 'replay') {
+        try {
+            data = self.read(key);
+        } catch (err) {
+            callback(err);
+            return;
+        }
+        callback(null, data);
+        return;
+    }
+
+    loader(function (error, data) {
+        if (!error) {
+            try {
+                self.write(key, data);
+            } catch (err) {
+                error = err;
+            }
+        }
+        callback(error, error ? undefined : data);
+    });
+};
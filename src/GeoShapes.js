@@ -0,0 +1,362 @@
+'use strict';
+/* global module */
+
+var parseWikidataValue = require('wd-type-parser'),
+    GraphError = require('./GraphError');
+
+module.exports = {
+    parse: parse
+};
+
+/**
+ * Create an error about the malformed response
+ * @param {string} protocol
+ * @param {string} message
+ * @param {string} [field]
+ * @param {*} [value]
+ * @return {GraphError}
+ */
+function responseError(protocol, message, field, value) {
+    return new GraphError(GraphError.codes.INVALID_RESPONSE, protocol + ': ' + message,
+        {protocol: protocol, field: field, value: value});
+}
+
+/**
+ * Nesting depth of the coordinates of each GeoJSON geometry type
+ */
+var coordinateDepths = {
+    Point: 0,
+    MultiPoint: 1,
+    LineString: 1,
+    MultiLineString: 2,
+    Polygon: 2,
+    MultiPolygon: 3
+};
+
+/**
+ * @param {*} pos
+ * @return {boolean} true if the value is a position with finite x and y
+ */
+function isPosition(pos) {
+    return Array.isArray(pos) && pos.length >= 2 &&
+        typeof pos[0] === 'number' && isFinite(pos[0]) && typeof pos[1] === 'number' && isFinite(pos[1]);
+}
+
+/**
+ * @param {*} coords
+ * @param {number} depth expected nesting depth, 0 for a single position
+ * @return {boolean} true if the value is an array of positions nested to the given depth
+ */
+function isCoordinates(coords, depth) {
+    if (depth === 0) {
+        return isPosition(coords);
+    }
+    return Array.isArray(coords) && coords.every(function (item) {
+        return isCoordinates(item, depth - 1);
+    });
+}
+
+/**
+ * Convert TopoJSON topology into a list of GeoJSON features
+ * See https://github.com/topojson/topojson-specification
+ * @param {Object} topology
+ * @param {string} protocol
+ * @return {Object[]}
+ */
+function topologyToFeatures(topology, protocol) {
+    var transform = topology.transform,
+        arcs, features = [];
+
+    if (!Array.isArray(topology.arcs) || !topology.objects || typeof topology.objects !== 'object') {
+        throw responseError(protocol, 'topology must have arcs and objects', 'arcs');
+    }
+    if (transform !== undefined && (!transform || !isPosition(transform.scale) || !isPosition(transform.translate))) {
+        throw responseError(protocol, 'topology transform must have the scale and translate pairs of numbers',
+            'transform', transform);
+    }
+
+    function checkPosition(pos) {
+        if (!isPosition(pos)) {
+            throw responseError(protocol, 'topology position must be an array of two numbers', 'coordinates', pos);
+        }
+        return pos;
+    }
+
+    function position(pos) {
+        return transform
+            ? [pos[0] * transform.scale[0] + transform.translate[0], pos[1] * transform.scale[1] + transform.translate[1]]
+            : [pos[0], pos[1]];
+    }
+
+    // Decode all arcs once, undoing the delta encoding of the quantized topologies
+    arcs = topology.arcs.map(function (arc) {
+        var x = 0, y = 0;
+        if (!Array.isArray(arc)) {
+            throw responseError(protocol, 'topology arc must be an array of positions', 'arcs', arc);
+        }
+        return arc.map(function (pos) {
+            checkPosition(pos);
+            if (!transform) {
+                return [pos[0], pos[1]];
+            }
+            x += pos[0];
+            y += pos[1];
+            return position([x, y]);
+        });
+    });
+
+    function line(indexes) {
+        var result = [];
+        if (!Array.isArray(indexes)) {
+            throw responseError(protocol, 'topology arcs must be arrays of arc indexes', 'arcs', indexes);
+        }
+        indexes.forEach(function (index) {
+            var arc = arcs[index < 0 ? ~index : index];
+            if (!arc) {
+                throw responseError(protocol, 'topology refers to a missing arc ' + index, 'arcs', index);
+            }
+            if (index < 0) {
+                arc = arc.slice().reverse();
+            }
+            // Consecutive arcs share the end point
+            result = result.concat(result.length ? arc.slice(1) : arc);
+        });
+        return result;
+    }
+
+    function geometry(geom) {
+        if (geom.type !== 'Point' && geom.type !== 'MultiPoint' && geom.type !== null && !Array.isArray(geom.arcs)) {
+            throw responseError(protocol, 'topology geometry ' + JSON.stringify(geom.id) + ' does not have arcs',
+                'arcs', geom.arcs);
+        }
+        switch (geom.type) {
+            case 'Point':
+                return {type: geom.type, coordinates: position(checkPosition(geom.coordinates))};
+            case 'MultiPoint':
+                if (!Array.isArray(geom.coordinates)) {
+                    throw responseError(protocol, 'topology geometry ' + JSON.stringify(geom.id) +
+                        ' does not have coordinates', 'coordinates', geom.coordinates);
+                }
+                return {type: geom.type, coordinates: geom.coordinates.map(function (pos) {
+                    return position(checkPosition(pos));
+                })};
+            case 'LineString':
+                return {type: geom.type, coordinates: line(geom.arcs)};
+            case 'MultiLineString':
+            case 'Polygon':
+                return {type: geom.type, coordinates: geom.arcs.map(line)};
+            case 'MultiPolygon':
+                return {type: geom.type, coordinates: geom.arcs.map(function (polygon) {
+                    return polygon.map(line);
+                })};
+            case null:
+                return null;
+            default:
+                throw responseError(protocol, 'unsupported geometry type ' + JSON.stringify(geom.type), 'type', geom.type);
+        }
+    }
+
+    function add(geom) {
+        if (!geom || typeof geom !== 'object') {
+            throw responseError(protocol, 'topology geometry must be an object', 'objects', geom);
+        }
+        if (geom.type === 'GeometryCollection') {
+            if (geom.geometries !== undefined && !Array.isArray(geom.geometries)) {
+                throw responseError(protocol, 'topology geometries must be an array', 'geometries', geom.geometries);
+            }
+            (geom.geometries || []).forEach(add);
+        } else {
+            features.push({type: 'Feature', id: geom.id, properties: geom.properties, geometry: geometry(geom)});
+        }
+    }
+
+    Object.keys(topology.objects).forEach(function (name) {
+        add(topology.objects[name]);
+    });
+    return features;
+}
+
+/**
+ * Flatten the feature properties: SPARQL values are simplified, and nested objects
+ * become dotted keys, e.g. {a: {b: 1}} => {'a.b': 1}
+ * @param {Object} properties
+ * @return {Object}
+ */
+function flattenProperties(properties) {
+    var result = {};
+
+    function add(prefix, obj) {
+        Object.keys(obj).forEach(function (key) {
+            var value = obj[key];
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                if (typeof value.type === 'string' && value.value !== undefined) {
+                    // SPARQL result binding, e.g. {type: 'literal', value: '42', datatype: '...'}
+                    result[prefix + key] = parseWikidataValue(value);
+                } else {
+                    add(prefix + key + '.', value);
+                }
+            } else {
+                result[prefix + key] = value;
+            }
+        });
+    }
+
+    add('', properties || {});
+    return result;
+}
+
+/**
+ * Call a function for every position of the geometry
+ * @param {Object} geom GeoJSON geometry, already validated with isCoordinates()
+ * @param {Function} callback
+ */
+function eachPosition(geom, callback) {
+    (function walk(coords) {
+        if (typeof coords[0] === 'number') {
+            callback(coords);
+        } else {
+            coords.forEach(walk);
+        }
+    })(geom.coordinates);
+}
+
+/**
+ * Compute the bounding box of the geometry
+ * @param {Object} geom GeoJSON geometry
+ * @return {number[]|null} [minX, minY, maxX, maxY], or null if the geometry is empty
+ */
+function getBbox(geom) {
+    var bbox = null;
+    eachPosition(geom, function (pos) {
+        if (!bbox) {
+            bbox = [pos[0], pos[1], pos[0], pos[1]];
+        } else {
+            bbox = [Math.min(bbox[0], pos[0]), Math.min(bbox[1], pos[1]),
+                Math.max(bbox[2], pos[0]), Math.max(bbox[3], pos[1])];
+        }
+    });
+    return bbox;
+}
+
+/**
+ * Compute the planar centroid of the geometry: area-weighted for the polygons, length-weighted for the lines,
+ * and the average for the points. Falls back to the center of the bounding box for the degenerate geometries.
+ * @param {Object} geom GeoJSON geometry
+ * @param {number[]|null} bbox
+ * @return {number[]|null} [x, y]
+ */
+function getCentroid(geom, bbox) {
+    var sumX = 0, sumY = 0, weight = 0, polygons, lines;
+
+    if (!bbox) {
+        return null;
+    }
+
+    switch (geom.type) {
+        case 'Polygon':
+        case 'MultiPolygon':
+            polygons = geom.type === 'Polygon' ? [geom.coordinates] : geom.coordinates;
+            polygons.forEach(function (polygon) {
+                polygon.forEach(function (ring, ringIndex) {
+                    var ringX = 0, ringY = 0, area = 0, i, cross, sign;
+                    for (i = 0; i < ring.length - 1; i++) {
+                        cross = ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+                        area += cross;
+                        ringX += (ring[i][0] + ring[i + 1][0]) * cross;
+                        ringY += (ring[i][1] + ring[i + 1][1]) * cross;
+                    }
+                    // Holes are subtracted regardless of their winding order
+                    sign = (ringIndex === 0) === (area >= 0) ? 1 : -1;
+                    sumX += sign * ringX / 3;
+                    sumY += sign * ringY / 3;
+                    weight += sign * area;
+                });
+            });
+            break;
+
+        case 'LineString':
+        case 'MultiLineString':
+            lines = geom.type === 'LineString' ? [geom.coordinates] : geom.coordinates;
+            lines.forEach(function (line) {
+                var i, length;
+                for (i = 0; i < line.length - 1; i++) {
+                    length = Math.sqrt(Math.pow(line[i + 1][0] - line[i][0], 2) + Math.pow(line[i + 1][1] - line[i][1], 2));
+                    sumX += length * (line[i][0] + line[i + 1][0]) / 2;
+                    sumY += length * (line[i][1] + line[i + 1][1]) / 2;
+                    weight += length;
+                }
+            });
+            break;
+
+        default:
+            eachPosition(geom, function (pos) {
+                sumX += pos[0];
+                sumY += pos[1];
+                weight++;
+            });
+    }
+
+    return weight ? [sumX / weight, sumY / weight] : [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+}
+
+/**
+ * Parse the response of the geoshape and geoline services, either TopoJSON or GeoJSON,
+ * into a GeoJSON feature collection. Each feature has its Wikidata ID as the "id",
+ * flattened properties (e.g. the values from the SPARQL query), and the computed "bbox" and "centroid".
+ * The collection has the "bbox" of all features.
+ * @param {Object} data parsed response
+ * @param {string} protocol 'geoshape' or 'geoline'
+ * @return {{type: string, bbox: number[]|null, features: Object[]}}
+ */
+function parse(data, protocol) {
+    var features, bbox = null;
+
+    if (!data || typeof data !== 'object') {
+        throw responseError(protocol, 'response must be a TopoJSON or GeoJSON object', 'type');
+    } else if (data.type === 'Topology') {
+        features = topologyToFeatures(data, protocol);
+    } else if (data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        features = data.features;
+    } else {
+        throw responseError(protocol, 'response must be a TopoJSON topology or a GeoJSON feature collection',
+            'type', data.type);
+    }
+
+    features.forEach(function (feature, index) {
+        if (!feature || typeof feature !== 'object') {
+            throw responseError(protocol, 'feature ' + index + ' must be an object', 'features', feature);
+        }
+    });
+
+    features = features.map(function (feature, index) {
+        var properties = flattenProperties(feature.properties),
+            id = feature.id !== undefined ? feature.id : properties.id,
+            geom = feature.geometry,
+            featureBbox;
+
+        if (typeof id !== 'string' || !/^Q[1-9][0-9]*$/.test(id)) {
+            throw responseError(protocol, 'feature ' + index + ' does not have a Wikidata ID', 'id', id);
+        }
+        if (geom !== null && (!geom || typeof geom !== 'object' || !coordinateDepths.hasOwnProperty(geom.type) ||
+            !isCoordinates(geom.coordinates, coordinateDepths[geom.type]))) {
+            throw responseError(protocol, 'feature ' + id + ' has an invalid geometry', 'geometry', geom);
+        }
+
+        featureBbox = geom ? getBbox(geom) : null;
+        if (featureBbox) {
+            bbox = !bbox ? featureBbox.slice() : [Math.min(bbox[0], featureBbox[0]), Math.min(bbox[1], featureBbox[1]),
+                Math.max(bbox[2], featureBbox[2]), Math.max(bbox[3], featureBbox[3])];
+        }
+
+        return {
+            type: 'Feature',
+            id: id,
+            properties: properties,
+            geometry: geom,
+            bbox: featureBbox,
+            centroid: geom ? getCentroid(geom, featureBbox) : null
+        };
+    });
+
+    return {type: 'FeatureCollection', bbox: bbox, features: features};
+}
@@ -0,0 +1,74 @@
+'use strict';
+/* global module */
+
+module.exports = GraphError;
+
+/**
+ * Stable error codes, so that the errors can be handled without parsing the message
+ * @enum {string}
+ */
+GraphError.codes = {
+    // url errors
+    UNKNOWN_PROTOCOL: 'UNKNOWN_PROTOCOL',
+    PROTOCOL_DISABLED: 'PROTOCOL_DISABLED',
+    HOST_NOT_ALLOWED: 'HOST_NOT_ALLOWED',
+    UNKNOWN_SITE: 'UNKNOWN_SITE',
+    NOT_TRUSTED: 'NOT_TRUSTED',
+    LINK_NOT_ALLOWED: 'LINK_NOT_ALLOWED',
+    QUERY_NOT_ALLOWED: 'QUERY_NOT_ALLOWED',
+    INVALID_TITLE: 'INVALID_TITLE',
+    MISSING_PARAM: 'MISSING_PARAM',
+    INVALID_PARAM: 'INVALID_PARAM',
+    INVALID_NUMBER: 'INVALID_NUMBER',
+    PARAM_OUT_OF_RANGE: 'PARAM_OUT_OF_RANGE',
+    // response errors
+    API_ERROR: 'API_ERROR',
+    INVALID_RESPONSE: 'INVALID_RESPONSE',
+    BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+    FIXTURE_MISSING: 'FIXTURE_MISSING',
+    // configuration and usage errors
+    INVALID_PROTOCOL: 'INVALID_PROTOCOL',
+    DISABLED: 'DISABLED'
+};
+
+/**
+ * Error thrown by the graph wrappers, with machine-readable details
+ * @param {string} code one of the GraphError.codes
+ * @param {string} message human readable message
+ * @param {Object} [details]
+ * @param {string} [details.protocol] protocol or type name without the trailing colon, e.g. 'wikiraw'
+ * @param {string} [details.field] name of the offending parameter, e.g. 'title'
+ * @param {*} [details.value] the offending value
+ * @constructor
+ */
+function GraphError(code, message, details) {
+    this.name = 'GraphError';
+    this.code = code;
+    this.message = message;
+    this.protocol = details && details.protocol;
+    this.field = details && details.field;
+    this.value = details && details.value;
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, GraphError);
+    } else {
+        this.stack = (new Error(message)).stack;
+    }
+}
+
+GraphError.prototype = Object.create(Error.prototype);
+GraphError.prototype.constructor = GraphError;
+
+/**
+ * Machine-readable representation of the error, e.g. for logging
+ * @return {Object}
+ */
+GraphError.prototype.toJSON = function toJSON() {
+    return {
+        name: this.name,
+        code: this.code,
+        message: this.message,
+        protocol: this.protocol,
+        field: this.field,
+        value: this.value
+    };
+};
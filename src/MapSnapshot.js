@@ -0,0 +1,157 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = {
+    validate: validate,
+    parseMarkers: parseMarkers,
+    buildPath: buildPath,
+    buildQuery: buildQuery
+};
+
+/**
+ * Maximum number of marker and geoshape overlays of a single snapshot
+ */
+var MAX_MARKERS = 50,
+    MAX_IDS = 50;
+
+var FORMATS = ['png', 'jpeg'];
+
+/**
+ * Kartotherian marker, e.g. pin-m-star+f00(-73.99,40.73), see
+ * https://www.mediawiki.org/wiki/Maps/API#Marker
+ */
+var MARKER_RE = /^pin-([sml])(?:-([a-z0-9]+(?:-[a-z0-9]+)*))?(?:\+([0-9a-fA-F]{3}|[0-9a-fA-F]{6}))?\(([^(),]*),([^(),]*)\)$/;
+
+/**
+ * Create an invalid parameter error
+ * @param {string} message
+ * @param {string} field
+ * @param {*} value
+ * @return {GraphError}
+ */
+function paramError(message, field, value) {
+    return new GraphError(GraphError.codes.INVALID_PARAM, 'mapsnapshot: ' + message,
+        {protocol: 'mapsnapshot', field: field, value: value});
+}
+
+/**
+ * Check that the value is a number (or a numeric string) within the range
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @return {boolean}
+ */
+function isInRange(value, min, max) {
+    if (typeof value !== 'number' && !(typeof value === 'string' && /^-?[0-9]+\.?[0-9]*$/.test(value))) {
+        return false;
+    }
+    value = parseFloat(value);
+    return value >= min && value <= max;
+}
+
+/**
+ * Parse the markers parameter of the url string, e.g. "pin-m+f00(10,20),pin-s-star(-1.5,2)"
+ * @param {string} markers
+ * @return {Object[]} a list of {lat, lon [, size, symbol, color]} objects
+ */
+function parseMarkers(markers) {
+    if (typeof markers !== 'string' || !markers) {
+        throw paramError('markers must be a non-empty string', 'markers', markers);
+    }
+    return markers.split(/,(?=pin-)/).map(function (marker) {
+        var match = MARKER_RE.exec(marker), result;
+        if (!match) {
+            throw paramError('invalid marker ' + JSON.stringify(marker) +
+                ', expecting pin-{s|m|l}[-{symbol}][+{color}]({lon},{lat})', 'markers', marker);
+        }
+        result = {lon: match[4], lat: match[5], size: match[1]};
+        if (match[2]) {
+            result.symbol = match[2];
+        }
+        if (match[3]) {
+            result.color = match[3];
+        }
+        return result;
+    });
+}
+
+/**
+ * Validate the optional parameters of the snapshot that are common for both wrappers
+ * @param {Object} opts
+ * @param {string} [opts.format] png or jpeg
+ * @param {Object[]} [opts.markers] a list of {lat, lon [, size, symbol, color]} objects
+ * @param {string[]} [opts.ids] Wikidata IDs of the geoshapes to draw
+ */
+function validate(opts) {
+    if (opts.format !== undefined && FORMATS.indexOf(opts.format) === -1) {
+        throw paramError('if format is given, it must be one of: ' + FORMATS.join(', '), 'format', opts.format);
+    }
+
+    if (opts.markers !== undefined) {
+        if (!Array.isArray(opts.markers) || opts.markers.length < 1 || opts.markers.length > MAX_MARKERS) {
+            throw paramError('markers must be a non-empty array with no more than ' + MAX_MARKERS + ' items',
+                'markers', opts.markers);
+        }
+        opts.markers.forEach(function (marker) {
+            if (!marker || typeof marker !== 'object' || !isInRange(marker.lat, -90, 90) ||
+                !isInRange(marker.lon, -180, 180)
+            ) {
+                throw paramError('each marker must have lat and lon within the valid range', 'markers', marker);
+            }
+            if (marker.size !== undefined && !/^[sml]$/.test(marker.size)) {
+                throw paramError('marker size must be s, m, or l', 'markers', marker);
+            }
+            if (marker.symbol !== undefined && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(marker.symbol)) {
+                throw paramError('marker symbol must be lower case letters/numbers/dashes only', 'markers', marker);
+            }
+            if (marker.color !== undefined && !/^([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(marker.color)) {
+                throw paramError('marker color must be a 3 or 6 digit hex color without the #', 'markers', marker);
+            }
+        });
+    }
+
+    if (opts.ids !== undefined) {
+        if (!Array.isArray(opts.ids) || opts.ids.length < 1 || opts.ids.length > MAX_IDS) {
+            throw paramError('ids must be a non-empty array of Wikidata IDs with no more than ' + MAX_IDS + ' items',
+                'ids', opts.ids);
+        }
+        opts.ids.forEach(function (id) {
+            if (!/^Q[1-9][0-9]{0,15}$/.test(id)) {
+                throw paramError('invalid Wikidata ID ' + JSON.stringify(id), 'ids', id);
+            }
+        });
+    }
+}
+
+/**
+ * Build the path of the snapshot image
+ * @param {Object} opts validated parameters
+ * @return {string} /img/{style},{zoom},{lat},{lon},{width}x{height}[@{scale}x].{format}
+ */
+function buildPath(opts) {
+    var scale = opts.scale === undefined ? 2 : parseInt(opts.scale, 10);
+    return '/img/' + (opts.style || 'osm-intl') + ',' + opts.zoom + ',' + opts.lat + ',' + opts.lon + ',' +
+        opts.width + 'x' + opts.height + (scale === 1 ? '' : '@' + scale + 'x') + '.' + (opts.format || 'png');
+}
+
+/**
+ * Add the overlays and the language to the query of the snapshot image
+ * @param {Object} query url query to update
+ * @param {Object} opts validated parameters
+ */
+function buildQuery(query, opts) {
+    if (opts.lang) {
+        query.lang = opts.lang;
+    }
+    if (opts.markers) {
+        query.markers = opts.markers.map(function (marker) {
+            return 'pin-' + (marker.size || 'm') + (marker.symbol ? '-' + marker.symbol : '') +
+                (marker.color ? '+' + marker.color : '') + '(' + parseFloat(marker.lon) + ',' + parseFloat(marker.lat) + ')';
+        }).join(',');
+    }
+    if (opts.ids) {
+        query.ids = opts.ids.join(',');
+    }
+}
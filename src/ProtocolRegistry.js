@@ -0,0 +1,176 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = ProtocolRegistry;
+
+/**
+ * Names of the wrappers, each with its own contract of the protocol functions
+ */
+var WRAPPERS = ['wrapper1', 'wrapper2'];
+
+/**
+ * A list of data protocols (types) supported by a graph wrapper. Each protocol is an object with:
+ *  - {Function} [validate] throws an error if the url is not valid
+ *  - {Function} buildUrl updates the url parts with the url that should be loaded
+ *  - {Function} [parse] post-processes the loaded data, and returns the result
+ *  - {Function} [load] loads the data instead of a single request to the built url, e.g. to follow
+ *    the api continuation (only supported by wrapper2)
+ *  - {string} [domainsKey] if set, the host is taken from the wrapper's domains list with this name,
+ *    instead of the wiki, e.g. 'geoshape' for the geoshape, geoline and mapsnapshot protocols
+ *  - {string} [wrapper] 'wrapper1' or 'wrapper2' if the functions are written for one of the wrappers only
+ *
+ * The wrappers call the functions with different parameters, always with the wrapper as "this":
+ *  wrapper1 (VegaWrapper, the url strings of Vega 2, e.g. "custom:///abc?x=1"):
+ *   validate(urlParts, ctx) and buildUrl(urlParts, ctx), where urlParts is the parsed url with the query object,
+ *    which buildUrl() updates in place, and ctx is {opt, protocol, sanitizedHost, scriptPath, articlePath}:
+ *    the datalib loader options, the original protocol with the trailing colon, the result of sanitizeHost(),
+ *    the path to api.php, and the path of the pages
+ *   parse(data, ctx), where ctx is {opt, protocol}
+ *  wrapper2 (VegaWrapper2, the url objects of Vega 3 and later, e.g. {type: 'custom', id: 'abc'}):
+ *   validate(urlObj, ctx) and buildUrl(urlObj, urlParts, ctx), where urlParts has the sanitized protocol and host,
+ *    and ctx is {options, scriptPath, articlePath, sanitizedHost}, with the vega loader options
+ *   parse(data, ctx), where ctx is {options, urlObj}
+ *   load(urlObj, options), which returns a promise of the loaded text
+ * A protocol that is configured for both wrappers is given as {wrapper1: protocol, wrapper2: protocol}, and each
+ * registry uses its own variant. Without the variant for the registry's wrapper, the protocol is not registered.
+ *
+ * @param {Object} [protocols] initial protocols, keyed by the protocol name
+ * @param {string} [wrapper] 'wrapper1' or 'wrapper2' to check the protocols against the contract of the wrapper
+ * @constructor
+ */
+function ProtocolRegistry(protocols, wrapper) {
+    if (wrapper !== undefined && WRAPPERS.indexOf(wrapper) === -1) {
+        throw new GraphError(GraphError.codes.INVALID_PARAM, 'Protocol registry wrapper must be one of: ' +
+            WRAPPERS.join(', '), {field: 'wrapper', value: wrapper});
+    }
+    this.wrapper = wrapper;
+    this.protocols = {};
+    if (protocols) {
+        this.configure(protocols);
+    }
+}
+
+/**
+ * Add a new protocol, or replace an existing one
+ * @param {string} name protocol name without the trailing colon, e.g. 'wikiraw'
+ * @param {Object} protocol either the protocol, or {wrapper1, wrapper2} variants of it
+ * @param {Function} [protocol.validate]
+ * @param {Function} protocol.buildUrl
+ * @param {Function} [protocol.parse]
+ * @param {Function} [protocol.load]
+ * @param {string} [protocol.domainsKey]
+ * @param {string} [protocol.wrapper]
+ * @return {ProtocolRegistry}
+ */
+ProtocolRegistry.prototype.register = function register(name, protocol) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9]*$/.test(name)) {
+        throw new GraphError(GraphError.codes.INVALID_PROTOCOL,
+            'Protocol name must be lower case letters and numbers: ' + JSON.stringify(name),
+            {protocol: name, field: 'name', value: name});
+    }
+    if (!protocol || typeof protocol !== 'object') {
+        throw new GraphError(GraphError.codes.INVALID_PROTOCOL, name + ': protocol must be an object',
+            {protocol: name, value: protocol});
+    }
+    if (protocol.buildUrl === undefined && (protocol.wrapper1 !== undefined || protocol.wrapper2 !== undefined)) {
+        if (!this.wrapper) {
+            throw new GraphError(GraphError.codes.INVALID_PROTOCOL,
+                name + ': protocol variants can only be registered for a wrapper', {protocol: name, value: protocol});
+        }
+        if (protocol[this.wrapper] === undefined) {
+            return this.unregister(name);
+        }
+        protocol = protocol[this.wrapper];
+        if (!protocol || typeof protocol !== 'object') {
+            throw new GraphError(GraphError.codes.INVALID_PROTOCOL,
+                name + ': ' + this.wrapper + ' protocol must be an object',
+                {protocol: name, field: this.wrapper, value: protocol});
+        }
+    }
+    if (protocol.wrapper !== undefined && WRAPPERS.indexOf(protocol.wrapper) === -1) {
+        throw new GraphError(GraphError.codes.INVALID_PROTOCOL,
+            name + ': protocol wrapper must be one of: ' + WRAPPERS.join(', '),
+            {protocol: name, field: 'wrapper', value: protocol.wrapper});
+    }
+    if (this.wrapper && protocol.wrapper !== undefined && protocol.wrapper !== this.wrapper) {
+        throw new GraphError(GraphError.codes.INVALID_PROTOCOL, name + ': protocol is written for ' + protocol.wrapper +
+            ', and cannot be used by ' + this.wrapper, {protocol: name, field: 'wrapper', value: protocol.wrapper});
+    }
+    if (this.wrapper === 'wrapper1' && protocol.load !== undefined) {
+        throw new GraphError(GraphError.codes.INVALID_PROTOCOL, name + ': protocol load is only supported by wrapper2',
+            {protocol: name, field: 'load', value: protocol.load});
+    }
+    if (typeof protocol.buildUrl !== 'function') {
+        throw new GraphError(GraphError.codes.INVALID_PROTOCOL, name + ': protocol must have a buildUrl() function',
+            {protocol: name, field: 'buildUrl', value: protocol.buildUrl});
+    }
+    ['validate', 'parse', 'load'].forEach(function (key) {
+        if (protocol[key] !== undefined && typeof protocol[key] !== 'function') {
+            throw new GraphError(GraphError.codes.INVALID_PROTOCOL, name + ': protocol ' + key + ' must be a function',
+                {protocol: name, field: key, value: protocol[key]});
+        }
+    });
+    if (protocol.domainsKey !== undefined && typeof protocol.domainsKey !== 'string') {
+        throw new GraphError(GraphError.codes.INVALID_PROTOCOL, name + ': protocol domainsKey must be a string',
+            {protocol: name, field: 'domainsKey', value: protocol.domainsKey});
+    }
+    this.protocols[name] = protocol;
+    return this;
+};
+
+/**
+ * Remove a protocol, making all urls that use it fail
+ * @param {string} name
+ * @return {ProtocolRegistry}
+ */
+ProtocolRegistry.prototype.unregister = function unregister(name) {
+    delete this.protocols[name];
+    return this;
+};
+
+/**
+ * Add, replace or disable multiple protocols at once, e.g. from the configuration
+ * @param {Object} config an object keyed by the protocol name. The value is either
+ *  a protocol object to register, or false to disable the protocol.
+ * @return {ProtocolRegistry}
+ */
+ProtocolRegistry.prototype.configure = function configure(config) {
+    var name;
+    for (name in config) {
+        if (config.hasOwnProperty(name)) {
+            if (config[name] === false) {
+                this.unregister(name);
+            } else {
+                this.register(name, config[name]);
+            }
+        }
+    }
+    return this;
+};
+
+/**
+ * Get the protocol by name
+ * @param {string} name
+ * @return {Object|undefined}
+ */
+ProtocolRegistry.prototype.get = function get(name) {
+    return this.protocols.hasOwnProperty(name) ? this.protocols[name] : undefined;
+};
+
+/**
+ * Get the names of all registered protocols
+ * @return {string[]}
+ */
+ProtocolRegistry.prototype.names = function names() {
+    return Object.keys(this.protocols);
+};
+
+/**
+ * Create a copy of this registry, so that it can be modified independently
+ * @return {ProtocolRegistry}
+ */
+ProtocolRegistry.prototype.clone = function clone() {
+    return new ProtocolRegistry(this.protocols, this.wrapper);
+};
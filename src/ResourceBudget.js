@@ -0,0 +1,147 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = ResourceBudget;
+
+/**
+ * Limits the resources a single graph may use to load its data. Every limit is optional.
+ * @param {Object} limits
+ * @param {number} [limits.maxRequests] maximum number of data loads
+ * @param {number} [limits.maxTotalBytes] maximum size of all responses combined, in UTF-8 bytes
+ * @param {number} [limits.maxResponseBytes] maximum size of a single response, in UTF-8 bytes
+ * @param {number} [limits.timeout] number of milliseconds, counting from the first data load,
+ *  after which all data loads fail
+ * @param {Function} [limits.now] returns current time in milliseconds, Date.now by default
+ * @constructor
+ */
+function ResourceBudget(limits) {
+    this.maxRequests = limits.maxRequests;
+    this.maxTotalBytes = limits.maxTotalBytes;
+    this.maxResponseBytes = limits.maxResponseBytes;
+    this.timeout = limits.timeout;
+    this.now = limits.now || Date.now;
+    this.requests = 0;
+    this.totalBytes = 0;
+    this.deadline = undefined;
+}
+
+/**
+ * Get the UTF-8 length of a string
+ * @param {string} str
+ * @return {number}
+ */
+function utf8Length(str) {
+    var length = str.length, i, code;
+    for (i = 0; i < str.length; i++) {
+        code = str.charCodeAt(i);
+        if (code >= 0xD800 && code <= 0xDBFF) {
+            // surrogate pair is encoded as 4 bytes
+            length += 1;
+            i++;
+        } else if (code >= 0x800) {
+            length += 2;
+        } else if (code >= 0x80) {
+            length += 1;
+        }
+    }
+    return length;
+}
+
+/**
+ * Create a budget exceeded error
+ * @param {string} field name of the exceeded limit
+ * @param {number} limit
+ * @param {string} url
+ * @return {GraphError}
+ */
+function budgetError(field, limit, url) {
+    return new GraphError(GraphError.codes.BUDGET_EXCEEDED,
+        'Graph data budget exceeded: ' + field + ' is ' + limit + ', unable to load ' + url,
+        {field: field, value: limit});
+}
+
+/**
+ * Get the number of milliseconds left before the deadline
+ * @return {number}
+ */
+ResourceBudget.prototype.timeLeft = function timeLeft() {
+    return this.deadline === undefined ? Infinity : this.deadline - this.now();
+};
+
+/**
+ * Register a new data load, throwing if the request count or time budget is exhausted
+ * @param {string} url sanitized url, used in the error message
+ */
+ResourceBudget.prototype.startRequest = function startRequest(url) {
+    if (this.timeout !== undefined && this.deadline === undefined) {
+        this.deadline = this.now() + this.timeout;
+    }
+    if (this.timeLeft() <= 0) {
+        throw budgetError('timeout', this.timeout, url);
+    }
+    if (this.maxRequests !== undefined && this.requests >= this.maxRequests) {
+        throw budgetError('maxRequests', this.maxRequests, url);
+    }
+    this.requests++;
+};
+
+/**
+ * Count the size of the loaded response, throwing if the size budget is exceeded
+ * @param {string} data loaded response
+ * @param {string} url sanitized url, used in the error message
+ */
+ResourceBudget.prototype.addResponse = function addResponse(data, url) {
+    var size = typeof data === 'string' ? utf8Length(data) : 0;
+    if (this.maxResponseBytes !== undefined && size > this.maxResponseBytes) {
+        throw budgetError('maxResponseBytes', this.maxResponseBytes, url);
+    }
+    this.totalBytes += size;
+    if (this.maxTotalBytes !== undefined && this.totalBytes > this.maxTotalBytes) {
+        throw budgetError('maxTotalBytes', this.maxTotalBytes, url);
+    }
+};
+
+/**
+ * Wrap a node-style callback of a data load, so that it fails when the deadline passes
+ * before the response arrives, and counts the size of the response.
+ * The callback is called at most once.
+ * @param {Function} callback function(error, data)
+ * @param {string} url sanitized url, used in the error message
+ * @return {Function} function(error, data)
+ */
+ResourceBudget.prototype.wrapCallback = function wrapCallback(callback, url) {
+    var self = this,
+        done = false,
+        timeLeft = this.timeLeft(),
+        timer;
+
+    function finish(error, data) {
+        if (done) {
+            return;
+        }
+        done = true;
+        if (timer !== undefined) {
+            clearTimeout(timer);
+        }
+        if (!error) {
+            try {
+                self.addResponse(data, url);
+            } catch (err) {
+                error = err;
+            }
+        }
+        if (error) {
+            data = undefined;
+        }
+        callback(error, data);
+    }
+
+    if (timeLeft !== Infinity) {
+        timer = setTimeout(function () {
+            finish(budgetError('timeout', self.timeout, url));
+        }, Math.max(timeLeft, 0));
+    }
+    return finish;
+};
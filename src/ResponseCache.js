@@ -0,0 +1,90 @@
+const Fixtures = require('./Fixtures');
+
+/**
+ * In-memory cache of the loaded responses. Identical concurrent requests share the same pending promise.
+ * The same cache may be shared by multiple wrappers, e.g. by all graphs on the same page.
+ */
+class ResponseCache {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.ttl] number of milliseconds a loaded response stays valid, 60 seconds by default
+     * @param {number} [opts.maxSize] maximum number of cached responses, 100 by default
+     * @param {Function} [opts.now] returns current time in milliseconds, Date.now by default
+     */
+    constructor(opts) {
+        opts = opts || {};
+        this.ttl = opts.ttl !== undefined ? opts.ttl : 60000;
+        this.maxSize = opts.maxSize !== undefined ? opts.maxSize : 100;
+        this.now = opts.now || Date.now;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Create cache key from the sanitized url, the request headers, and the body of a POST request,
+     * same as the fixture key, see Fixtures.getKey()
+     * @param {string} url
+     * @param {Object} [headers]
+     * @param {string} [body]
+     * @returns {string}
+     */
+    static getKey(url, headers, body) {
+        return Fixtures.getKey(url, headers, body);
+    }
+
+    /**
+     * Get the cached response, or load it if it is not available or has expired
+     * @param {string} key cache key, see getKey()
+     * @param {Function} loader returns a promise of the response
+     * @returns {Promise}
+     */
+    load(key, loader) {
+        let entry = this.entries.get(key);
+        if (entry && entry.expires > this.now()) {
+            this.hits++;
+            // Move to the end, so that the least recently used entries are evicted first
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            return entry.promise;
+        }
+
+        this.misses++;
+        entry = {expires: Infinity};
+        entry.promise = Promise.resolve().then(loader).then(result => {
+            entry.expires = this.now() + this.ttl;
+            return result;
+        }, err => {
+            // Never cache failures
+            if (this.entries.get(key) === entry) {
+                this.entries.delete(key);
+            }
+            throw err;
+        });
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        return entry.promise;
+    }
+
+    /**
+     * Cache usage statistics
+     * @returns {{hits: number, misses: number, size: number}}
+     */
+    stats() {
+        return {hits: this.hits, misses: this.misses, size: this.entries.size};
+    }
+
+    /**
+     * Remove all cached responses, keeping the statistics
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = ResponseCache;
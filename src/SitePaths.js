@@ -0,0 +1,102 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = {
+    DEFAULTS: {scriptPath: '/w', articlePath: '/wiki/$1'},
+    configure: configure,
+    get: get,
+    buildArticlePath: buildArticlePath,
+    getArticleTitle: getArticleTitle
+};
+
+/**
+ * Create a configuration error
+ * @param {string} host
+ * @param {string} field
+ * @param {*} value
+ * @param {string} message
+ * @return {GraphError}
+ */
+function configError(host, field, value, message) {
+    return new GraphError(GraphError.codes.INVALID_PARAM,
+        'hostPaths: ' + field + ' of ' + JSON.stringify(host) + ' ' + message,
+        {field: 'hostPaths.' + host + '.' + field, value: value});
+}
+
+/**
+ * Validate the paths of the MediaWiki installations, keyed by the host
+ * @param {Object} [hostPaths] e.g. {'wiki.example.org': {scriptPath: '/mediawiki',
+ *  articlePath: '/mediawiki/index.php/$1'}}. Same as in the domains lists, the paths of a domain are also used
+ *  by its sub-domains, unless they have their own.
+ *  scriptPath is the path to api.php without the trailing slash, or an empty string if api.php is at the root.
+ *  articlePath is the path of the pages, where $1 is replaced by the title.
+ * @return {Object} validated paths, with the defaults added to each host
+ */
+function configure(hostPaths) {
+    var result = {};
+    Object.keys(hostPaths || {}).forEach(function (host) {
+        var paths = hostPaths[host] || {},
+            scriptPath = paths.scriptPath !== undefined ? paths.scriptPath : module.exports.DEFAULTS.scriptPath,
+            articlePath = paths.articlePath !== undefined ? paths.articlePath : module.exports.DEFAULTS.articlePath;
+
+        if (typeof scriptPath !== 'string' || !/^(\/[^/?#]+)*$/.test(scriptPath)) {
+            throw configError(host, 'scriptPath', scriptPath,
+                'must be empty, or begin with a slash and not end with one, e.g. "/w"');
+        }
+        if (typeof articlePath !== 'string' || !/^\/[^?#$]*\$1$/.test(articlePath)) {
+            throw configError(host, 'articlePath', articlePath,
+                'must begin with a slash and end with the "$1" title placeholder, e.g. "/wiki/$1"');
+        }
+        result[host.toLowerCase()] = {scriptPath: scriptPath, articlePath: articlePath};
+    });
+    return result;
+}
+
+/**
+ * Get the paths of the host, or of its closest parent domain
+ * @param {Object} hostPaths result of configure()
+ * @param {string} host sanitized host
+ * @return {{scriptPath: string, articlePath: string}|undefined} undefined if the host has no configured paths
+ */
+function get(hostPaths, host) {
+    var name = String(host).toLowerCase(),
+        pos;
+    while (true) {
+        if (hostPaths.hasOwnProperty(name)) {
+            return hostPaths[name];
+        }
+        pos = name.indexOf('.');
+        if (pos === -1) {
+            return undefined;
+        }
+        name = name.substring(pos + 1);
+    }
+}
+
+/**
+ * Get the path of the page
+ * @param {string} articlePath e.g. '/wiki/$1'
+ * @param {string} encodedTitle title that is already url-encoded, e.g. 'My_page'
+ * @return {string} e.g. '/wiki/My_page'
+ */
+function buildArticlePath(articlePath, encodedTitle) {
+    return articlePath.replace('$1', function () {
+        return encodedTitle;
+    });
+}
+
+/**
+ * Get the title from the decoded path of the page
+ * @param {string} articlePath e.g. '/wiki/$1'
+ * @param {string} pathname e.g. '/wiki/My page'
+ * @return {string|undefined} e.g. 'My page', or undefined if the path is not a page of the wiki
+ */
+function getArticleTitle(articlePath, pathname) {
+    var prefix = articlePath.substring(0, articlePath.length - 2);
+    if (pathname.length <= prefix.length || pathname.substring(0, prefix.length) !== prefix) {
+        return undefined;
+    }
+    return pathname.substring(prefix.length);
+}
@@ -0,0 +1,141 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = SiteTable;
+
+/**
+ * Maximum number of the suggested site IDs in the error message
+ */
+var MAX_SUGGESTIONS = 5;
+
+/**
+ * Table of the known sites, similar to the sitematrix api, to resolve the site IDs (database names)
+ * and the interwiki prefixes of the "wiki" parameter to the hosts, e.g. 'enwiki', 'commons' or 'd:'
+ * @param {Object} [sites] keyed by the site ID, either the host, e.g. {enwiki: 'en.wikipedia.org'},
+ *  or {host, prefixes}, e.g. {wikidatawiki: {host: 'www.wikidata.org', prefixes: ['d', 'wikidata']}}
+ * @constructor
+ */
+function SiteTable(sites) {
+    var self = this;
+    this.hosts = {};
+    this.names = [];
+
+    Object.keys(sites || {}).forEach(function (id) {
+        var site = sites[id],
+            host = typeof site === 'string' ? site : site && site.host,
+            prefixes = (site && typeof site === 'object' && site.prefixes) || [];
+
+        if (typeof host !== 'string' || !host || !Array.isArray(prefixes)) {
+            throw new GraphError(GraphError.codes.INVALID_PARAM,
+                'sites: site ' + JSON.stringify(id) + ' must be a host, or an object with the host and prefixes',
+                {field: 'sites.' + id, value: site});
+        }
+        [id].concat(prefixes).forEach(function (name) {
+            var key = normalize(name);
+            if (self.hosts.hasOwnProperty(key) && self.hosts[key] !== host) {
+                throw new GraphError(GraphError.codes.INVALID_PARAM,
+                    'sites: ' + JSON.stringify(name) + ' is used by more than one site',
+                    {field: 'sites.' + id, value: name});
+            }
+            if (!self.hosts.hasOwnProperty(key)) {
+                self.hosts[key] = host;
+                self.names.push(key);
+            }
+        });
+    });
+}
+
+/**
+ * Normalize the site ID or the interwiki prefix, e.g. 'D:' becomes 'd'
+ * @param {string} name
+ * @return {string}
+ */
+function normalize(name) {
+    return String(name).replace(/:$/, '').toLowerCase();
+}
+
+/**
+ * Number of single character edits needed to turn one string into another
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+function editDistance(a, b) {
+    var prev = [], row, i, j;
+    for (j = 0; j <= b.length; j++) {
+        prev.push(j);
+    }
+    for (i = 1; i <= a.length; i++) {
+        row = [i];
+        for (j = 1; j <= b.length; j++) {
+            row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+/**
+ * @return {boolean} true if no sites were configured
+ */
+SiteTable.prototype.isEmpty = function isEmpty() {
+    return this.names.length === 0;
+};
+
+/**
+ * Check if the value of the "wiki" parameter looks like a site ID or an interwiki prefix rather than a host
+ * @param {*} wiki
+ * @return {boolean}
+ */
+SiteTable.prototype.isSiteId = function isSiteId(wiki) {
+    return typeof wiki === 'string' && /^[a-z][a-z0-9_-]*:?$/i.test(wiki);
+};
+
+/**
+ * Get the host of the site
+ * @param {string} wiki site ID or interwiki prefix, with or without the trailing colon
+ * @return {string|undefined} undefined if the site is not known
+ */
+SiteTable.prototype.lookup = function lookup(wiki) {
+    var key = normalize(wiki);
+    return this.hosts.hasOwnProperty(key) ? this.hosts[key] : undefined;
+};
+
+/**
+ * Find the known site IDs and prefixes that are similar to the given one, the closest first
+ * @param {string} wiki
+ * @return {string[]}
+ */
+SiteTable.prototype.suggest = function suggest(wiki) {
+    var key = normalize(wiki),
+        maxDistance = Math.max(1, Math.floor(key.length / 3));
+
+    return this.names.map(function (name) {
+        var distance = editDistance(key, name);
+        if (distance > maxDistance && name.indexOf(key) !== 0) {
+            return undefined;
+        }
+        return {name: name, distance: distance};
+    }).filter(function (item) {
+        return item !== undefined;
+    }).sort(function (a, b) {
+        return a.distance - b.distance || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    }).slice(0, MAX_SUGGESTIONS).map(function (item) {
+        return item.name;
+    });
+};
+
+/**
+ * Create the error about the unknown site, with the similar site IDs
+ * @param {string} wiki
+ * @param {string} protocol type of the url object
+ * @return {GraphError}
+ */
+SiteTable.prototype.unknownSiteError = function unknownSiteError(wiki, protocol) {
+    var suggestions = this.suggest(wiki);
+    return new GraphError(GraphError.codes.UNKNOWN_SITE, 'Unknown site ' + JSON.stringify(wiki) +
+        (suggestions.length ? ', did you mean: ' + suggestions.join(', ') + '?' : ''),
+        {protocol: protocol, field: 'wiki', value: wiki});
+};
@@ -0,0 +1,159 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = {
+    check: check,
+    usePost: usePost,
+    getSkeleton: getSkeleton
+};
+
+/**
+ * Default number of characters of the url-encoded query, above which the query is sent with POST
+ */
+var DEFAULT_POST_LENGTH = 2000;
+
+/**
+ * Create a query validation error
+ * @param {string} message
+ * @param {string} field
+ * @param {*} value
+ * @return {GraphError}
+ */
+function queryError(message, field, value) {
+    return new GraphError(GraphError.codes.INVALID_PARAM, 'wikidatasparql: ' + message,
+        {protocol: 'wikidatasparql', field: field, value: value});
+}
+
+/**
+ * Get a string of spaces
+ * @param {number} length
+ * @return {string}
+ */
+function spaces(length) {
+    return new Array(length + 1).join(' ');
+}
+
+/**
+ * Blank out the comments, and the content of the strings and IRIs, so that the keywords and the braces can be found
+ * with regular expressions. The positions stay the same as in the query.
+ * @param {string} query
+ * @return {string}
+ */
+function getSkeleton(query) {
+    var result = '', pos = 0, chr, end, quote, match;
+
+    while (pos < query.length) {
+        chr = query[pos];
+        if (chr === '#') {
+            // Comment till the end of the line
+            end = query.indexOf('\n', pos);
+            end = end === -1 ? query.length : end;
+            result += spaces(end - pos);
+            pos = end;
+        } else if (chr === '"' || chr === '\'') {
+            // Short or long string literal, with backslash escapes
+            quote = query.substr(pos, 3) === chr + chr + chr ? chr + chr + chr : chr;
+            end = pos + quote.length;
+            while (end < query.length && query.substr(end, quote.length) !== quote) {
+                end += query[end] === '\\' ? 2 : 1;
+            }
+            if (end >= query.length) {
+                throw queryError('query has an unterminated string', 'query', query.substring(pos));
+            }
+            result += '"' + spaces(end + quote.length - pos - 2) + '"';
+            pos = end + quote.length;
+        } else if (chr === '<' && (match = /^<[^<>"{}|^`\\\x00-\x20]*>/.exec(query.substring(pos)))) {
+            // IRI, as opposed to the "less than" operator
+            result += '<' + spaces(match[0].length - 2) + '>';
+            pos += match[0].length;
+        } else {
+            result += chr;
+            pos++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Validate the query before it is sent to the query service:
+ * only read-only SELECT and ASK queries are allowed, the length of the query may be limited,
+ * and SELECT queries may be required to have a LIMIT, or get a LIMIT added to them.
+ * @param {string} query
+ * @param {Object} [opts]
+ * @param {number} [opts.maxLength] maximum number of characters in the query
+ * @param {boolean} [opts.requireLimit] fail if a SELECT query has no LIMIT
+ * @param {number} [opts.injectLimit] add this LIMIT to a SELECT query that has none
+ * @return {string} the query, possibly with an added LIMIT
+ */
+function check(query, opts) {
+    var skeleton, form, depth, pos, tail, groups, values, insertPos;
+    opts = opts || {};
+
+    if (opts.maxLength !== undefined && query.length > opts.maxLength) {
+        throw queryError('query is ' + query.length + ' characters long, but only ' + opts.maxLength +
+            ' are allowed', 'query', query.length);
+    }
+
+    skeleton = getSkeleton(query);
+    // Skip the prologue:  BASE <...>  and  PREFIX wd: <...>
+    form = /^\s*(?:(?:BASE\s*<\s*>|PREFIX\s+[^\s:]*:\s*<\s*>)\s*)*([a-zA-Z]+)/i.exec(skeleton);
+    form = form && form[1].toUpperCase();
+    if (form !== 'SELECT' && form !== 'ASK') {
+        throw queryError('only SELECT and ASK queries are allowed', 'query', form || query);
+    }
+
+    if (form === 'SELECT' && (opts.requireLimit || opts.injectLimit !== undefined)) {
+        // Only the LIMIT of the outer query counts, not the ones of the sub-queries.
+        // The solution modifiers follow the last top level group, or the group before the trailing VALUES clause.
+        depth = 0;
+        groups = [];
+        for (pos = 0; pos < skeleton.length; pos++) {
+            if (skeleton[pos] === '{') {
+                if (depth === 0) {
+                    groups.push({start: pos});
+                }
+                depth++;
+            } else if (skeleton[pos] === '}') {
+                depth--;
+                if (depth === 0) {
+                    groups[groups.length - 1].end = pos + 1;
+                }
+            }
+        }
+        if (groups.length > 1) {
+            values = /(^|[^a-zA-Z0-9_?$])VALUES\s*(?:[?$][a-zA-Z0-9_]+|\([^()]*\))\s*$/i.exec(
+                skeleton.substring(groups[groups.length - 2].end, groups[groups.length - 1].start));
+        }
+        if (values) {
+            insertPos = groups[groups.length - 2].end + values.index + values[1].length;
+            tail = skeleton.substring(groups[groups.length - 2].end, insertPos);
+        } else if (groups.length > 0) {
+            tail = skeleton.substring(groups[groups.length - 1].end);
+        }
+        if (tail === undefined || !/(^|[^a-zA-Z0-9_?$])LIMIT\s+[0-9]+/i.test(tail)) {
+            if (opts.requireLimit) {
+                throw queryError('SELECT query must have a LIMIT', 'query', query);
+            }
+            query = values
+                ? query.substring(0, insertPos) + 'LIMIT ' + opts.injectLimit + '\n' + query.substring(insertPos)
+                : query + '\nLIMIT ' + opts.injectLimit;
+        }
+    }
+
+    return query;
+}
+
+/**
+ * Check if the query is too long to be sent as part of the url
+ * @param {string} query
+ * @param {Object} [opts]
+ * @param {number} [opts.postLength] number of characters of the url-encoded query above which POST is used,
+ *  2000 by default
+ * @return {boolean}
+ */
+function usePost(query, opts) {
+    var postLength = opts && opts.postLength !== undefined ? opts.postLength : DEFAULT_POST_LENGTH;
+    return encodeURIComponent(query).length > postLength;
+}
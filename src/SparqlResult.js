@@ -0,0 +1,134 @@
+'use strict';
+/* global module */
+
+var parseWikidataValue = require('wd-type-parser'),
+    GraphError = require('./GraphError');
+
+module.exports = {
+    parse: parse
+};
+
+/**
+ * Suffix of the extra column with the original binding, see parse()
+ */
+var RAW_SUFFIX = '_raw';
+
+var XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/**
+ * Parse the value of a single binding, and infer its field type
+ * @param {Object} binding SPARQL result binding, e.g. {type: 'literal', value: '42', datatype: '...#integer'}
+ * @return {{value: *, type: string}}
+ */
+function parseBinding(binding) {
+    var value = parseWikidataValue(binding), type;
+
+    if (value === undefined) {
+        type = 'null';
+    } else if (typeof value === 'number') {
+        type = 'number';
+    } else if (Array.isArray(value)) {
+        type = 'geopoint';
+    } else if (binding.type === 'uri') {
+        type = value !== binding.value ? 'wikidataitem' : 'uri';
+    } else if (binding.datatype === XSD + 'boolean' && (value === 'true' || value === 'false')) {
+        type = 'boolean';
+        value = value === 'true';
+    } else if (binding.datatype === XSD + 'dateTime' || binding.datatype === XSD + 'date') {
+        type = 'datetime';
+    } else {
+        type = 'string';
+    }
+    return {value: value, type: type};
+}
+
+/**
+ * Parse the Wikidata Query Service response.
+ * By default, returns a list of objects, one per result row, with only the bound variables.
+ * If the table output is requested, returns {fields, data}, similar to the tabular data.
+ * The fields are in the order of the "head.vars", including the variables that are never bound,
+ * and have an inferred type: 'number', 'boolean', 'datetime', 'geopoint', 'wikidataitem', 'uri', 'string',
+ * 'mixed' if the values have different types, or 'null' if the variable has no values.
+ * Each data row has a value for every field, with null for the unbound variables.
+ * @param {Object} data parsed SPARQL query result
+ * @param {Object} [opts]
+ * @param {string} [opts.output] 'rows' (default) or 'table'
+ * @param {boolean} [opts.keepRaw] for the table output, keep the original bindings in the extra columns
+ *  with the "_raw" suffix, e.g. "item_raw"
+ * @return {Object[]|{fields: Object[], data: Object[]}}
+ */
+function parse(data, opts) {
+    var fields = [], types = {}, rows;
+    opts = opts || {};
+
+    if (!data.results || !Array.isArray(data.results.bindings)) {
+        throw new GraphError(GraphError.codes.INVALID_RESPONSE, 'SPARQL query result does not have "results.bindings"',
+            {protocol: 'wikidatasparql', field: 'results'});
+    }
+
+    if (opts.output !== 'table') {
+        return data.results.bindings.map(function (row) {
+            var key, result = {};
+            for (key in row) {
+                if (row.hasOwnProperty(key)) {
+                    result[key] = parseWikidataValue(row[key]);
+                }
+            }
+            return result;
+        });
+    }
+
+    function addField(name) {
+        if (!types.hasOwnProperty(name)) {
+            types[name] = 'null';
+            fields.push(name);
+        }
+    }
+
+    if (data.head && Array.isArray(data.head.vars)) {
+        data.head.vars.forEach(addField);
+    }
+
+    rows = data.results.bindings.map(function (row) {
+        var key, parsed, result = {};
+        for (key in row) {
+            if (row.hasOwnProperty(key)) {
+                // Variables missing from the head are added at the end
+                addField(key);
+                parsed = parseBinding(row[key]);
+                if (parsed.value === undefined) {
+                    continue;
+                }
+                result[key] = parsed.value;
+                if (types[key] === 'null') {
+                    types[key] = parsed.type;
+                } else if (types[key] !== parsed.type) {
+                    types[key] = 'mixed';
+                }
+            }
+        }
+        return {values: result, raw: row};
+    });
+
+    return {
+        fields: fields.reduce(function (result, name) {
+            result.push({name: name, type: types[name]});
+            if (opts.keepRaw) {
+                result.push({name: name + RAW_SUFFIX, type: 'raw'});
+            }
+            return result;
+        }, []),
+        data: rows.map(function (row) {
+            var result = {};
+            fields.forEach(function (name) {
+                // Need to copy nulls too -- Vega has no easy way to test for undefined
+                var hasValue = row.values.hasOwnProperty(name);
+                result[name] = hasValue ? row.values[name] : null;
+                if (opts.keepRaw) {
+                    result[name + RAW_SUFFIX] = hasValue ? row.raw[name] : null;
+                }
+            });
+            return result;
+        })
+    };
+}
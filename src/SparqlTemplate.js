@@ -0,0 +1,180 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError'),
+    SparqlGuard = require('./SparqlGuard');
+
+module.exports = {
+    bind: bind,
+    formatValue: formatValue
+};
+
+/**
+ * Value kinds that can be bound to the query, with the validation and formatting of each
+ */
+var kinds = {
+    // Q5  =>  wd:Q5,  also lexemes (L1) and forms/senses of lexemes (L1-F2, L1-S2)
+    entity: {
+        pattern: /^(Q[1-9][0-9]*|L[1-9][0-9]*(-[FS][1-9][0-9]*)?)$/,
+        prefix: 'wd:'
+    },
+    // P31  =>  wdt:P31
+    property: {
+        pattern: /^P[1-9][0-9]*$/,
+        prefix: 'wdt:'
+    },
+    // en, zh-hans  =>  "en", "zh-hans"
+    lang: {
+        pattern: /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/
+    },
+    number: {},
+    string: {}
+};
+
+/**
+ * Escape and quote a string as a SPARQL literal
+ * @param {string} value
+ * @return {string}
+ */
+function quote(value) {
+    return '"' + value.replace(/[\\"\n\r\t\b\f]/g, function (chr) {
+        switch (chr) {
+            case '\n':
+                return '\\n';
+            case '\r':
+                return '\\r';
+            case '\t':
+                return '\\t';
+            case '\b':
+                return '\\b';
+            case '\f':
+                return '\\f';
+            default:
+                return '\\' + chr;
+        }
+    }) + '"';
+}
+
+/**
+ * Guess the kind of a bound value that was given without one
+ * @param {*} value
+ * @return {string}
+ */
+function guessKind(value) {
+    if (typeof value === 'number') {
+        return 'number';
+    } else if (kinds.entity.pattern.test(value)) {
+        return 'entity';
+    } else if (kinds.property.pattern.test(value)) {
+        return 'property';
+    }
+    return 'string';
+}
+
+/**
+ * Validate a bound value, and format it for the query
+ * @param {string} name name of the parameter, used in the error messages
+ * @param {*} param either a value, or {kind, value [, lang]} object. Without the kind,
+ *  numbers are numbers, "Q5" and "P31" are entity and property IDs, and other strings are string literals.
+ * @param {boolean} [isPrefixed] true if the query already has a prefix before the parameter, e.g. "p:$prop",
+ *  in which case the entity and property IDs are inserted without the default prefix
+ * @return {string}
+ */
+function formatValue(name, param, isPrefixed) {
+    var kind, value, field = 'bind.' + name;
+
+    function fail(message) {
+        throw new GraphError(GraphError.codes.INVALID_PARAM, 'wikidatasparql: bound parameter ' + name + ' ' + message,
+            {protocol: 'wikidatasparql', field: field, value: param});
+    }
+
+    if (param && typeof param === 'object') {
+        kind = param.kind;
+        value = param.value;
+        if (!kinds.hasOwnProperty(kind)) {
+            fail('must have kind set to one of: ' + Object.keys(kinds).join(', '));
+        }
+    } else {
+        value = param;
+        kind = guessKind(value);
+    }
+
+    switch (kind) {
+        case 'number':
+            if (typeof value === 'string' && /^-?[0-9]+(\.[0-9]+)?([eE][-+]?[0-9]+)?$/.test(value)) {
+                value = parseFloat(value);
+            }
+            if (typeof value !== 'number' || !isFinite(value)) {
+                fail('must be a number');
+            }
+            return isPrefixed ? fail('is a number, and cannot follow a prefix') : String(value);
+
+        case 'string':
+            if (typeof value !== 'string') {
+                fail('must be a string');
+            }
+            if (param.lang !== undefined && !kinds.lang.pattern.test(param.lang)) {
+                fail('must have a valid language tag');
+            }
+            return isPrefixed ? fail('is a string, and cannot follow a prefix')
+                : quote(value) + (param.lang !== undefined ? '@' + param.lang : '');
+
+        case 'lang':
+            if (typeof value !== 'string' || !kinds.lang.pattern.test(value)) {
+                fail('must be a language tag, e.g. "en" or "zh-hans"');
+            }
+            return isPrefixed ? fail('is a language tag, and cannot follow a prefix') : quote(value);
+
+        default:
+            if (typeof value !== 'string' || !kinds[kind].pattern.test(value)) {
+                fail('must be ' + (kind === 'entity' ? 'an entity ID, e.g. "Q5"' : 'a property ID, e.g. "P31"'));
+            }
+            return isPrefixed ? value : kinds[kind].prefix + value;
+    }
+}
+
+/**
+ * Substitute the bound parameters in the query. Parameters are referenced as $name, e.g.
+ * "?item wdt:P31 $cls" with {cls: 'Q5'} becomes "?item wdt:P31 wd:Q5".
+ * Only the names that are present in the bind object are substituted, so the query may still use
+ * $var for the SPARQL variables. Every bound parameter must be used at least once. The bound parameters must not be
+ * used inside the strings, IRIs and comments, because the formatted values are already quoted when needed.
+ * @param {string} query
+ * @param {Object} params bound values, keyed by the parameter name, see formatValue()
+ * @return {string}
+ */
+function bind(query, params) {
+    var used = {}, skeleton;
+
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new GraphError(GraphError.codes.INVALID_PARAM, 'wikidatasparql: bind must be an object',
+            {protocol: 'wikidatasparql', field: 'bind', value: params});
+    }
+
+    skeleton = SparqlGuard.getSkeleton(query);
+
+    // Substitute all parameters in a single pass, so that the inserted values are never parsed again
+    query = query.replace(/([a-zA-Z0-9_]*:)?\$([a-zA-Z_][a-zA-Z0-9_]*)/g, function (match, prefix, name, offset) {
+        if (!params.hasOwnProperty(name)) {
+            return match;
+        }
+        // The skeleton has the strings, IRIs and comments blanked out
+        if (skeleton.substr(offset, match.length) !== match) {
+            throw new GraphError(GraphError.codes.INVALID_PARAM, 'wikidatasparql: bound parameter ' + name +
+                ' must not be used inside a string, IRI or comment, the bound strings are quoted automatically',
+                {protocol: 'wikidatasparql', field: 'bind.' + name, value: params[name]});
+        }
+        used[name] = true;
+        return (prefix || '') + formatValue(name, params[name], !!prefix);
+    });
+
+    Object.keys(params).forEach(function (name) {
+        if (!used.hasOwnProperty(name)) {
+            throw new GraphError(GraphError.codes.INVALID_PARAM,
+                'wikidatasparql: bound parameter ' + name + ' is not used in the query',
+                {protocol: 'wikidatasparql', field: 'bind.' + name, value: params[name]});
+        }
+    });
+
+    return query;
+}
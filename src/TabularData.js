@@ -0,0 +1,216 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = {
+    toRows: toRows,
+    getLanguages: getLanguages,
+    resolveLocalized: resolveLocalized,
+    localizeFields: localizeFields
+};
+
+/**
+ * Number of the problems to include in the logged message
+ */
+var MAX_LOGGED_PROBLEMS = 5;
+
+/**
+ * Suffix of the extra column with the original localized object, see toRows()
+ */
+var LOCALIZED_SUFFIX = '_localized';
+
+/**
+ * Build the language fallback chain, e.g. 'de-ch' => ['de-ch', 'de', 'en'].
+ * Configured fallbacks come first, followed by the shorter forms of the language code, followed by English.
+ * @param {string} [lang] requested language code
+ * @param {Object} [fallbacks] configured fallback languages, keyed by the language code,
+ *  e.g. {'de-ch': ['de-formal', 'de']}
+ * @return {string[]}
+ */
+function getLanguages(lang, fallbacks) {
+    var languages = [];
+
+    function add(code) {
+        code = code.toLowerCase();
+        if (languages.indexOf(code) === -1) {
+            languages.push(code);
+        }
+    }
+
+    if (lang) {
+        add(lang);
+        lang = lang.toLowerCase();
+        if (fallbacks && fallbacks.hasOwnProperty(lang)) {
+            fallbacks[lang].forEach(add);
+        }
+        while (lang.lastIndexOf('-') > 0) {
+            lang = lang.substring(0, lang.lastIndexOf('-'));
+            add(lang);
+        }
+    }
+    add('en');
+    return languages;
+}
+
+/**
+ * Pick the best translation from a localized value, e.g. {en: 'Year', fr: 'Année'}
+ * @param {Object|null} value localized value
+ * @param {string[]} languages fallback chain, see getLanguages()
+ * @return {string|null} the first available translation, or any translation if none of the languages match
+ */
+function resolveLocalized(value, languages) {
+    var i, keys;
+    if (!value || typeof value !== 'object') {
+        return value === undefined ? null : value;
+    }
+    for (i = 0; i < languages.length; i++) {
+        if (value.hasOwnProperty(languages[i]) && typeof value[languages[i]] === 'string') {
+            return value[languages[i]];
+        }
+    }
+    keys = Object.keys(value).sort();
+    for (i = 0; i < keys.length; i++) {
+        if (typeof value[keys[i]] === 'string') {
+            return value[keys[i]];
+        }
+    }
+    return null;
+}
+
+/**
+ * Copy the schema fields, resolving their localized titles
+ * @param {Object[]} fields schema fields
+ * @param {string[]} languages fallback chain, see getLanguages()
+ * @param {boolean} [keepLocalized] if true, add a field for each extra column created by toRows()
+ * @return {Object[]}
+ */
+function localizeFields(fields, languages, keepLocalized) {
+    var result = [];
+    if (!Array.isArray(fields)) {
+        return fields;
+    }
+    fields.forEach(function (field) {
+        var copy = {}, key;
+        for (key in field) {
+            if (field.hasOwnProperty(key)) {
+                copy[key] = field[key];
+            }
+        }
+        if (copy.title && typeof copy.title === 'object') {
+            copy.title = resolveLocalized(copy.title, languages);
+        }
+        result.push(copy);
+        if (keepLocalized && field.type === 'localized') {
+            result.push({name: field.name + LOCALIZED_SUFFIX, type: 'localized', title: copy.title});
+        }
+    });
+    return result;
+}
+
+/**
+ * Coerce a cell value to the type declared by the schema
+ * @param {*} value
+ * @param {string} type field type, e.g. 'number', 'boolean', 'string', or 'localized'
+ * @return {*} coerced value, or undefined if the value does not match the type
+ */
+function coerce(value, type) {
+    if (value === null) {
+        // Any column may contain nulls
+        return null;
+    }
+    switch (type) {
+        case 'number':
+            if (typeof value === 'number') {
+                return isFinite(value) ? value : undefined;
+            }
+            return typeof value === 'string' && /^\s*-?[0-9]+(\.[0-9]+)?([eE][-+]?[0-9]+)?\s*$/.test(value)
+                ? parseFloat(value) : undefined;
+        case 'boolean':
+            if (typeof value === 'boolean') {
+                return value;
+            }
+            return value === 'true' ? true : value === 'false' ? false : undefined;
+        case 'string':
+            if (typeof value === 'string') {
+                return value;
+            }
+            return typeof value === 'number' || typeof value === 'boolean' ? String(value) : undefined;
+        case 'localized':
+            return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+        default:
+            // Unknown types are passed as is
+            return value;
+    }
+}
+
+/**
+ * Convert the rows of the tabular data into objects, coercing each value to the type declared by the schema.
+ * Values that do not match their type, as well as the missing values of the rows that are too short,
+ * are either set to null and logged, or cause an error, depending on the onError option.
+ * If the languages are given, localized values are replaced with a single translation, and if requested,
+ * the original object is kept in an extra column with the "_localized" suffix, e.g. "name_localized".
+ * @param {Object[]} fields schema fields, each with a name and a type
+ * @param {Array[]} rows data rows, each an array of values in the order of the fields
+ * @param {Object} opts
+ * @param {string} [opts.onError] 'null' (default) to set the bad values to null, or 'throw' to throw an error
+ * @param {string} [opts.protocol] protocol name for the error messages, e.g. 'tabular'
+ * @param {Function} [opts.logger] logs the problems when onError is 'null'
+ * @param {string[]} [opts.languages] fallback chain to resolve the localized values, see getLanguages()
+ * @param {boolean} [opts.keepLocalized] keep the original localized objects in the extra columns
+ * @return {Object[]}
+ */
+function toRows(fields, rows, opts) {
+    var protocol = opts.protocol || 'tabular',
+        isStrict = opts.onError === 'throw',
+        problems = [];
+
+    function problem(message, field, value) {
+        if (isStrict) {
+            throw new GraphError(GraphError.codes.INVALID_RESPONSE, protocol + ': ' + message,
+                {protocol: protocol, field: field, value: value});
+        }
+        problems.push(message);
+    }
+
+    if (!Array.isArray(fields) || !Array.isArray(rows)) {
+        throw new GraphError(GraphError.codes.INVALID_RESPONSE, protocol + ': data must have schema fields and rows',
+            {protocol: protocol, field: Array.isArray(fields) ? 'data' : 'schema'});
+    }
+
+    var result = rows.map(function (values, rowIndex) {
+        var row = {}, i, value;
+        if (!Array.isArray(values) || values.length !== fields.length) {
+            problem('row ' + rowIndex + ' has ' + (Array.isArray(values) ? values.length : 'no') +
+                ' values, but ' + fields.length + ' fields are defined', 'data', values);
+            if (!Array.isArray(values)) {
+                values = [];
+            }
+        }
+        for (i = 0; i < fields.length; i++) {
+            // Need to copy nulls too -- Vega has no easy way to test for undefined
+            value = values[i] === undefined ? null : coerce(values[i], fields[i].type);
+            if (value === undefined) {
+                problem('row ' + rowIndex + ' field "' + fields[i].name + '" value ' + JSON.stringify(values[i]) +
+                    ' is not a ' + fields[i].type, fields[i].name, values[i]);
+                value = null;
+            }
+            if (fields[i].type === 'localized' && opts.languages) {
+                if (opts.keepLocalized) {
+                    row[fields[i].name + LOCALIZED_SUFFIX] = value;
+                }
+                value = resolveLocalized(value, opts.languages);
+            }
+            row[fields[i].name] = value;
+        }
+        return row;
+    });
+
+    if (problems.length && opts.logger) {
+        opts.logger(protocol + ': ' + problems.length + ' data problems, bad values were set to null: ' +
+            problems.slice(0, MAX_LOGGED_PROBLEMS).join('; ') +
+            (problems.length > MAX_LOGGED_PROBLEMS ? '; ...' : ''));
+    }
+
+    return result;
+}
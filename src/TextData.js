@@ -0,0 +1,273 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = {
+    FORMATS: ['csv', 'tsv', 'json'],
+    fromQuery: fromQuery,
+    validate: validate,
+    parse: parse
+};
+
+var NUMBER_RE = /^-?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?$/;
+
+/**
+ * Create an error about the bad parameter
+ * @param {string} message
+ * @param {string} field
+ * @param {*} value
+ * @return {GraphError}
+ */
+function paramError(message, field, value) {
+    return new GraphError(GraphError.codes.INVALID_PARAM, 'wikiraw: ' + message,
+        {protocol: 'wikiraw', field: field, value: value});
+}
+
+/**
+ * Create an error about the bad content, pointing at the line of the page
+ * @param {string|undefined} location e.g. 'line 3', or 'row 2' of the JSON array
+ * @param {string} message
+ * @return {GraphError}
+ */
+function contentError(location, message) {
+    return new GraphError(GraphError.codes.INVALID_RESPONSE,
+        'wikiraw: ' + (location !== undefined ? location + ': ' : '') + message,
+        {protocol: 'wikiraw', field: 'content', value: location});
+}
+
+/**
+ * Get the parsing options from the url query string, e.g. ?format=csv&header=false&inferNumbers=false
+ * @param {Object} query
+ * @return {{format: string|undefined, header: boolean|undefined, inferNumbers: boolean|undefined}}
+ */
+function fromQuery(query) {
+    var opts = {format: query.format};
+    ['header', 'inferNumbers'].forEach(function (name) {
+        var value = query[name];
+        if (value === 'true' || value === 'false') {
+            opts[name] = value === 'true';
+        } else if (value !== undefined) {
+            throw paramError('if ' + name + ' is given, it must be true or false', name, value);
+        }
+    });
+    return opts;
+}
+
+/**
+ * Validate the parsing options
+ * @param {Object} opts
+ * @param {string} [opts.format] csv, tsv or json
+ * @param {boolean} [opts.header] true if the first row has the column names, false if it is data,
+ *  or undefined to detect it
+ * @param {boolean} [opts.inferNumbers] false to keep all values as strings
+ */
+function validate(opts) {
+    if (opts.format !== undefined && module.exports.FORMATS.indexOf(opts.format) === -1) {
+        throw paramError('if format is given, it must be one of: ' + module.exports.FORMATS.join(', '),
+            'format', opts.format);
+    }
+    ['header', 'inferNumbers'].forEach(function (name) {
+        if (opts[name] !== undefined && typeof opts[name] !== 'boolean') {
+            throw paramError('if ' + name + ' is given, it must be true or false', name, opts[name]);
+        }
+        if (opts[name] !== undefined && opts.format === undefined) {
+            throw paramError(name + ' can only be used together with the format', name, opts[name]);
+        }
+    });
+}
+
+/**
+ * Split delimiter-separated text into rows of strings. Values may be quoted with double quotes,
+ * in which case they may contain the delimiter, line breaks, and doubled quotes.
+ * @param {string} text
+ * @param {string} delimiter
+ * @return {{values: string[], location: string}[]} rows with the line where each of them begins
+ */
+function splitRows(text, delimiter) {
+    var rows = [], values = [], value = '', quoted = false, line = 1, rowLine = 1, pos = 0, chr, end;
+
+    function endValue() {
+        values.push(value);
+        value = '';
+        quoted = false;
+    }
+
+    function endRow() {
+        // Skip blank lines
+        if (values.length > 0 || value !== '' || quoted) {
+            endValue();
+            rows.push({values: values, location: 'line ' + rowLine});
+        }
+        values = [];
+    }
+
+    while (pos < text.length) {
+        chr = text[pos];
+        if (chr === '"' && value === '' && !quoted) {
+            end = pos + 1;
+            while (true) {
+                end = text.indexOf('"', end);
+                if (end === -1) {
+                    throw contentError('line ' + line, 'quoted value is not terminated');
+                }
+                if (text[end + 1] !== '"') {
+                    break;
+                }
+                end += 2;
+            }
+            value = text.substring(pos + 1, end).replace(/""/g, '"');
+            quoted = true;
+            line += (value.match(/\n/g) || []).length;
+            pos = end + 1;
+            if (pos < text.length && text[pos] !== delimiter && text[pos] !== '\n' && text[pos] !== '\r') {
+                throw contentError('line ' + line, 'unexpected ' + JSON.stringify(text[pos]) + ' after the quoted value');
+            }
+        } else if (chr === delimiter) {
+            endValue();
+            pos++;
+        } else if (chr === '\n' || chr === '\r') {
+            endRow();
+            pos += chr === '\r' && text[pos + 1] === '\n' ? 2 : 1;
+            line++;
+            rowLine = line;
+        } else {
+            value += chr;
+            pos++;
+        }
+    }
+    endRow();
+    return rows;
+}
+
+/**
+ * Check if the first row looks like the column names: unique non-empty text values
+ * @param {Array} values
+ * @return {boolean}
+ */
+function isHeader(values) {
+    var seen = {};
+    return values.every(function (value) {
+        var isName = typeof value === 'string' && value.trim() !== '' && !NUMBER_RE.test(value.trim()) &&
+            !seen.hasOwnProperty(value);
+        seen[value] = true;
+        return isName;
+    });
+}
+
+/**
+ * Convert the string value into a number if it looks like one, and empty strings into nulls
+ * @param {string} value
+ * @return {string|number|null}
+ */
+function inferNumber(value) {
+    var trimmed = value.trim();
+    if (trimmed === '') {
+        return null;
+    }
+    return NUMBER_RE.test(trimmed) ? parseFloat(trimmed) : value;
+}
+
+/**
+ * Convert the rows of values into objects, using the header row or the column1, column2, ... names
+ * @param {{values: Array, location: string}[]} rows
+ * @param {Object} opts
+ * @return {Object[]}
+ */
+function toObjects(rows, opts) {
+    var header = opts.header !== undefined ? opts.header : rows.length > 0 && isHeader(rows[0].values),
+        names, seen = {};
+
+    if (rows.length === 0) {
+        return [];
+    }
+    if (header) {
+        names = rows[0].values.map(function (name, index) {
+            name = typeof name === 'string' && name.trim() !== '' ? name.trim() : 'column' + (index + 1);
+            if (seen.hasOwnProperty(name)) {
+                throw contentError(rows[0].location, 'duplicate column name ' + JSON.stringify(name));
+            }
+            seen[name] = true;
+            return name;
+        });
+        rows = rows.slice(1);
+    } else {
+        names = rows[0].values.map(function (value, index) {
+            return 'column' + (index + 1);
+        });
+    }
+
+    return rows.map(function (row) {
+        var result = {};
+        if (row.values.length !== names.length) {
+            throw contentError(row.location, 'expected ' + names.length + ' values, but got ' + row.values.length);
+        }
+        names.forEach(function (name, index) {
+            var value = row.values[index];
+            result[name] = typeof value === 'string' && opts.inferNumbers !== false ? inferNumber(value) : value;
+        });
+        return result;
+    });
+}
+
+/**
+ * Get the line of the JSON syntax error from the error message of JSON.parse(), which depending on the browser
+ * has either the position, e.g. "Unexpected token } in JSON at position 12", or the line and the column
+ * @param {string} text invalid JSON
+ * @param {string} message error message
+ * @return {number|undefined} 1-based line number, or undefined if the message does not have it
+ */
+function getJsonErrorLine(text, message) {
+    var match = /\bposition (\d+)/.exec(message);
+    if (match) {
+        return text.substring(0, parseInt(match[1], 10)).split('\n').length;
+    }
+    match = /\bline (\d+) column \d+/.exec(message);
+    return match ? parseInt(match[1], 10) : undefined;
+}
+
+/**
+ * Parse JSON content, reporting the line of the syntax error
+ * @param {string} text
+ * @return {*}
+ */
+function parseJson(text) {
+    var line;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        line = getJsonErrorLine(text, e.message);
+        throw contentError(line !== undefined ? 'line ' + line : undefined, 'invalid JSON: ' + e.message.replace(/\s+/g, ' '));
+    }
+}
+
+/**
+ * Parse the page content into data rows
+ * @param {string} text page content
+ * @param {Object} opts validated options, see validate()
+ * @return {Object[]} for csv and tsv, and for the json arrays of arrays, objects keyed by the column names;
+ *  for the json arrays of objects, the objects as is
+ */
+function parse(text, opts) {
+    var data;
+
+    if (opts.format !== 'json') {
+        return toObjects(splitRows(text, opts.format === 'tsv' ? '\t' : ','), opts);
+    }
+
+    data = parseJson(text);
+    if (!Array.isArray(data)) {
+        throw contentError(undefined, 'JSON content must be an array of rows');
+    }
+    if (data.every(Array.isArray)) {
+        return toObjects(data.map(function (values, index) {
+            return {values: values, location: 'row ' + (index + 1)};
+        }), opts);
+    }
+    data.forEach(function (row, index) {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            throw contentError('row ' + (index + 1), 'must be an object, like the other rows');
+        }
+    });
+    return data;
+}
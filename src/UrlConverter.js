@@ -0,0 +1,385 @@
+/**
+ * Converts the Vega 2 url strings, as accepted by VegaWrapper, into the url objects used by VegaWrapper2
+ */
+
+const GraphError = require('./GraphError'),
+      MapSnapshot = require('./MapSnapshot'),
+      TextData = require('./TextData');
+
+const codes = GraphError.codes;
+const NUMBER_RE = /^-?[0-9]+\.?[0-9]*$/;
+
+/**
+ * Parse url string into its parts. This parser is browser vs nodejs agnostic,
+ * and only handles the url forms supported by VegaWrapper.
+ * @param {string} url
+ * @returns {{protocol: string|undefined, host: string|undefined, pathname: string, query: Object}}
+ */
+function parseUrl(url) {
+    // In some cases we may receive a badly formed URL in a form   customprotocol:https://...
+    url = url.replace(/^([a-z]+:)https?:\/\//, '$1//');
+
+    const parts = /^(?:([a-z]+):)?(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?/.exec(url),
+          query = {};
+    if (parts[4]) {
+        for (const pair of parts[4].split('&')) {
+            if (pair === '') {
+                continue;
+            }
+            const pos = pair.indexOf('='),
+                  key = pos < 0 ? pair : pair.substring(0, pos),
+                  value = pos < 0 ? '' : pair.substring(pos + 1);
+            query[decode(key, true)] = decode(value, true);
+        }
+    }
+    return {
+        protocol: parts[1],
+        host: parts[2] || undefined,
+        pathname: parts[3],
+        query: query
+    };
+}
+
+/**
+ * Decode url component, treating '+' as a space in the query string
+ */
+function decode(value, isQuery) {
+    try {
+        return decodeURIComponent(isQuery ? value.replace(/\+/g, ' ') : value);
+    } catch (e) {
+        throw new GraphError(codes.INVALID_PARAM, 'Unable to decode url value ' + JSON.stringify(value), {value});
+    }
+}
+
+/**
+ * Get the page title from the url path, removing the leading '/'
+ */
+function getTitle(urlParts, protocol) {
+    const title = decode(urlParts.pathname);
+    if (!/^\/[^|\x1F]+$/.test(title)) {
+        throw new GraphError(codes.INVALID_TITLE, protocol + ': invalid title', {protocol, field: 'title', value: title});
+    }
+    return title.substring(1);
+}
+
+/**
+ * Copy the wiki host into the url object, unless the url is host-relative
+ */
+function withWiki(urlObj, urlParts) {
+    if (urlParts.host) {
+        urlObj.wiki = urlParts.host;
+    }
+    return urlObj;
+}
+
+/**
+ * Reject the explicit host of the types whose host is always set by the wrapper configuration,
+ * because the url object cannot keep it, and the data would silently be loaded from another server
+ */
+function withoutHost(urlParts) {
+    if (urlParts.host) {
+        throw new GraphError(codes.HOST_NOT_ALLOWED, urlParts.protocol + ': the host is set by the wrapper ' +
+            'configuration, and cannot be converted. Use ' + urlParts.protocol + ':///... instead',
+            {protocol: urlParts.protocol, field: 'host', value: urlParts.host});
+    }
+}
+
+/**
+ * Convert string values of the given numeric parameters into numbers
+ */
+function copyNumbers(urlObj, query, names) {
+    for (const name of names) {
+        const value = query[name];
+        if (value !== undefined) {
+            urlObj[name] = NUMBER_RE.test(value) ? parseFloat(value) : value;
+        }
+    }
+    return urlObj;
+}
+
+/**
+ * Convert the url string of the open() action into a wikititle url object
+ */
+function linkToObj(urlParts) {
+    let title = decode(urlParts.pathname).trim();
+
+    switch (urlParts.protocol) {
+        case undefined:
+        case 'http':
+        case 'https':
+            // Protocol-relative links are treated as a title, same as wikititle
+            if (urlParts.protocol !== undefined) {
+                // If we get http:// and https:// protocol hardcoded, remove the '/wiki/' prefix instead
+                if (!/^\/wiki\/.+$/.test(title)) {
+                    throw new GraphError(codes.LINK_NOT_ALLOWED, 'wikititle: http(s) links must begin with /wiki/ prefix',
+                        {protocol: urlParts.protocol, field: 'path', value: title});
+                }
+                title = title.substring('/wiki'.length);
+            }
+            // fall-through
+
+        case 'wikititle':
+            if (Object.keys(urlParts.query).length !== 0) {
+                throw new GraphError(codes.QUERY_NOT_ALLOWED, 'wikititle: query parameters are not allowed',
+                    {protocol: 'wikititle', field: 'query', value: urlParts.query});
+            }
+            if (!/^\/[^|\x1F]+$/.test(title)) {
+                throw new GraphError(codes.INVALID_TITLE, 'wikititle: invalid title',
+                    {protocol: 'wikititle', field: 'title', value: title});
+            }
+            return withWiki({type: 'wikititle', title: title.substring(1)}, urlParts);
+
+        default:
+            throw new GraphError(codes.LINK_NOT_ALLOWED,
+                '"open()" action only allows links with wikititle protocol, e.g. wikititle:///My_page',
+                {protocol: urlParts.protocol, field: 'url'});
+    }
+}
+
+/**
+ * Convert a Vega 2 url string into an equivalent VegaWrapper2 url object
+ * @param {string} url url string as accepted by VegaWrapper, e.g. "wikiraw:///MyPage"
+ * @param {Object} [opt]
+ * @param {string} [opt.type] set to 'open' to convert the url of the open() action
+ * @returns {Object} url object, e.g. {type: 'wikiraw', title: 'MyPage'}
+ * @throws {GraphError} if the url cannot be represented as a url object
+ */
+function urlToObj(url, opt) {
+    if (typeof url !== 'string') {
+        throw new GraphError(codes.INVALID_PARAM, 'url must be a string: ' + JSON.stringify(url), {field: 'url', value: url});
+    }
+
+    const urlParts = parseUrl(url),
+          query = urlParts.query;
+
+    if (opt && opt.type === 'open') {
+        return linkToObj(urlParts);
+    }
+
+    switch (urlParts.protocol) {
+        case undefined:
+        case 'http':
+        case 'https': {
+            // Protocol-relative urls are resolved to https by VegaWrapper
+            const urlObj = {type: urlParts.protocol || 'https'};
+            if (urlParts.host) {
+                urlObj.host = urlParts.host;
+            }
+            if (urlParts.pathname) {
+                urlObj.path = urlParts.pathname;
+            }
+            if (Object.keys(query).length !== 0) {
+                urlObj.query = query;
+            }
+            return urlObj;
+        }
+
+        case 'wikiapi':
+            // wikiapi:///?action=query&list=allpages
+            return withWiki({type: 'wikiapi', params: query}, urlParts);
+
+        case 'wikirest':
+            // wikirest:///api/rest_v1/page/...
+            if (!/^\/api\//.test(urlParts.pathname)) {
+                throw new GraphError(codes.INVALID_PARAM, 'wikirest: protocol must begin with the /api/ prefix',
+                    {protocol: 'wikirest', field: 'path', value: urlParts.pathname});
+            }
+            if (Object.keys(query).length !== 0) {
+                throw new GraphError(codes.QUERY_NOT_ALLOWED, 'wikirest: query parameters are not supported by the wikirest type',
+                    {protocol: 'wikirest', field: 'query', value: query});
+            }
+            return withWiki({type: 'wikirest', path: urlParts.pathname.substring('/api'.length)}, urlParts);
+
+        case 'wikiraw': {
+            // wikiraw:///MyPage/data [?oldid=123&section=2&slot=main] [&format=csv&header=true&inferNumbers=false]
+            const urlObj = copyNumbers(
+                withWiki({type: 'wikiraw', title: getTitle(urlParts, 'wikiraw')}, urlParts),
+                query, ['oldid', 'revid', 'section']);
+            if (query.slot !== undefined) {
+                urlObj.slot = query.slot;
+            }
+            const textFormat = TextData.fromQuery(query);
+            for (const name of ['format', 'header', 'inferNumbers']) {
+                if (textFormat[name] !== undefined) {
+                    urlObj[name] = textFormat[name];
+                }
+            }
+            return urlObj;
+        }
+
+        case 'wikitable':
+            // wikitable:///MyPage?index=1
+            return copyNumbers(
+                withWiki({type: 'wikitable', title: getTitle(urlParts, 'wikitable')}, urlParts),
+                query, ['index']);
+
+        case 'tabular':
+        case 'map': {
+            // tabular:///Data.tab [?lang=fr&keepLocalized=true]   or   map:///Data.map [?lang=fr]
+            const title = getTitle(urlParts, urlParts.protocol),
+                  ext = urlParts.protocol === 'map' ? '.map' : '.tab';
+            if (!title.endsWith(ext)) {
+                throw new GraphError(codes.INVALID_TITLE, `${urlParts.protocol}: title must end with ${ext}`,
+                    {protocol: urlParts.protocol, field: 'title', value: title});
+            }
+            const urlObj = withWiki({type: urlParts.protocol, title: title}, urlParts);
+            if (query.lang) {
+                urlObj.lang = query.lang;
+            }
+            if (urlParts.protocol === 'tabular' && query.keepLocalized === 'true') {
+                urlObj.keepLocalized = true;
+            }
+            return urlObj;
+        }
+
+        case 'wikifile':
+            // wikifile:///Einstein_1921.jpg?width=100
+            return copyNumbers(
+                withWiki({type: 'wikifile', title: getTitle(urlParts, 'wikifile')}, urlParts),
+                query, ['width', 'height']);
+
+        case 'wikifileinfo':
+            // wikifileinfo:///Einstein_1921.jpg?width=100
+            return copyNumbers(
+                withWiki({type: 'wikifileinfo', title: getTitle(urlParts, 'wikifileinfo')}, urlParts),
+                query, ['width']);
+
+        case 'wikirawupload':
+            // wikirawupload:///wikipedia/commons/3/3e/Einstein_1921.jpg
+            // The host is always set by the wrapper configuration, and the query is ignored
+            withoutHost(urlParts);
+            return {type: 'wikirawupload', path: urlParts.pathname};
+
+        case 'wikidatasparql':
+            // wikidatasparql:///?query=<QUERY> [&output=table&keepRaw=true]
+            withoutHost(urlParts);
+            if (!query.query) {
+                throw new GraphError(codes.MISSING_PARAM, 'wikidatasparql: missing query parameter',
+                    {protocol: 'wikidatasparql', field: 'query'});
+            }
+            if (query.output) {
+                return {type: 'wikidatasparql', query: query.query, output: query.output, keepRaw: query.keepRaw === 'true'};
+            }
+            return {type: 'wikidatasparql', query: query.query};
+
+        case 'geoshape':
+        case 'geoline':
+            // geoshape:///?ids=Q16,Q30  or  geoshape:///?query=...
+            withoutHost(urlParts);
+            if (query.ids) {
+                return {type: urlParts.protocol, ids: query.ids.split(',')};
+            } else if (query.query) {
+                return {type: urlParts.protocol, query: query.query};
+            }
+            throw new GraphError(codes.MISSING_PARAM, urlParts.protocol + ': missing ids or query parameter',
+                {protocol: urlParts.protocol, field: 'ids'});
+
+        case 'mapsnapshot': {
+            // mapsnapshot:///?width=__&height=__&zoom=__&lat=__&lon=__ [&style=__&lang=__&scale=__&format=__]
+            //   [&markers=pin-m%2Bf00(10,20)&ids=Q16,Q30]
+            withoutHost(urlParts);
+            const urlObj = copyNumbers({type: 'mapsnapshot'}, query, ['width', 'height', 'zoom', 'lat', 'lon', 'scale']);
+            if (query.style) {
+                urlObj.style = query.style;
+            }
+            if (query.lang) {
+                urlObj.lang = query.lang;
+            }
+            if (query.format) {
+                urlObj.format = query.format;
+            }
+            if (query.markers !== undefined) {
+                urlObj.markers = MapSnapshot.parseMarkers(query.markers).map(marker => copyNumbers(marker, marker, ['lat', 'lon']));
+            }
+            if (query.ids) {
+                urlObj.ids = query.ids.split(',');
+            }
+            return urlObj;
+        }
+
+        default:
+            throw new GraphError(codes.UNKNOWN_PROTOCOL, 'Unknown protocol ' + urlParts.protocol,
+                {protocol: urlParts.protocol, field: 'url', value: url});
+    }
+}
+
+/**
+ * Convert a url string in place, recording an error if conversion fails
+ * @param {Object} container object that holds the url string
+ * @param {string} key name of the url property in the container
+ * @param {string} path location of the value in the spec, used for reporting
+ * @param {Object} opt options passed to urlToObj()
+ * @param {Array} errors
+ */
+function convertValue(container, key, path, opt, errors) {
+    const url = container[key];
+    if (typeof url !== 'string') {
+        return;
+    }
+    try {
+        container[key] = urlToObj(url, opt);
+    } catch (err) {
+        errors.push({path: path, url: url, code: err.code, message: err.message});
+    }
+}
+
+/**
+ * Convert urls used by the marks of a group, and of any nested groups
+ */
+function convertGroup(group, path, errors) {
+    if (Array.isArray(group.data)) {
+        group.data.forEach((data, i) => {
+            if (data) {
+                convertValue(data, 'url', `${path}data[${i}].url`, undefined, errors);
+            }
+        });
+    }
+    if (Array.isArray(group.marks)) {
+        group.marks.forEach((mark, i) => {
+            if (!mark) {
+                return;
+            }
+            const markPath = `${path}marks[${i}].`;
+            // Vega 2 uses "properties", newer versions use "encode" to define the visual property sets
+            for (const encodeKey of ['properties', 'encode']) {
+                const sets = mark[encodeKey];
+                if (!sets || typeof sets !== 'object') {
+                    continue;
+                }
+                for (const setName of Object.keys(sets)) {
+                    const set = sets[setName];
+                    if (!set || typeof set !== 'object') {
+                        continue;
+                    }
+                    const setPath = `${markPath}${encodeKey}.${setName}.`;
+                    if (mark.type === 'image' && set.url) {
+                        convertValue(set.url, 'value', setPath + 'url.value', undefined, errors);
+                    }
+                    if (set.href) {
+                        convertValue(set.href, 'value', setPath + 'href.value', {type: 'open'}, errors);
+                    }
+                }
+            }
+            convertGroup(mark, markPath, errors);
+        });
+    }
+}
+
+/**
+ * Convert all url strings of a graph spec into url objects. Converts the url of each data source,
+ * the url of the image marks, and the href links, including the ones in the nested group marks.
+ * @param {Object} spec graph specification, it is not modified
+ * @returns {{spec: Object, errors: Array}} a converted copy of the spec, and a list of
+ *  {path, url, code, message} objects for each url that could not be converted and was left unchanged
+ */
+function convertSpec(spec) {
+    const result = JSON.parse(JSON.stringify(spec)),
+          errors = [];
+    convertGroup(result, '', errors);
+    return {spec: result, errors: errors};
+}
+
+module.exports = {
+    urlToObj: urlToObj,
+    convertSpec: convertSpec
+};
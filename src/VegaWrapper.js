@@ -2,7 +2,22 @@
 /* global module */
 
 var makeValidator = require('domain-validator'),
-    parseWikidataValue = require('wd-type-parser');
+    ProtocolRegistry = require('./ProtocolRegistry'),
+    GraphError = require('./GraphError'),
+    ResourceBudget = require('./ResourceBudget'),
+    TabularData = require('./TabularData'),
+    SparqlResult = require('./SparqlResult'),
+    SparqlGuard = require('./SparqlGuard'),
+    MapSnapshot = require('./MapSnapshot'),
+    FileInfo = require('./FileInfo'),
+    Attributions = require('./Attributions'),
+    ApiAllowlist = require('./ApiAllowlist'),
+    WikiRaw = require('./WikiRaw'),
+    TextData = require('./TextData'),
+    WikiTable = require('./WikiTable'),
+    SitePaths = require('./SitePaths');
+
+var codes = GraphError.codes;
 
 module.exports = VegaWrapper;
 module.exports.removeColon = removeColon;
@@ -32,6 +47,23 @@ function removeColon(protocol) {
  * @param {Function} wrapperOpts.parseUrl
  * @param {Function} wrapperOpts.formatUrl
  * @param {string} [wrapperOpts.languageCode]
+ * @param {Object} [wrapperOpts.protocols] protocols to add (protocol object) or disable (false), keyed by name
+ * @param {Object} [wrapperOpts.budget] limits of the graph's data loads,
+ *  {maxRequests, maxTotalBytes, maxResponseBytes, timeout}, see ResourceBudget
+ * @param {string} [wrapperOpts.tabularErrors] 'null' (default) to replace tabular values that do not match
+ *  the schema with nulls and log them, or 'throw' to fail
+ * @param {Object} [wrapperOpts.sparql] limits of the wikidatasparql queries,
+ *  {maxLength, requireLimit, injectLimit, postLength}, see SparqlGuard. Datalib can only load with GET,
+ *  so the queries that would need POST are rejected.
+ * @param {Object} [wrapperOpts.languageFallbacks] fallback languages to resolve the localized tabular values,
+ *  keyed by the language code, e.g. {'de-ch': ['de']}. Shorter forms of the code and English are always tried.
+ * @param {Object} [wrapperOpts.apiAllowlist] wikiapi actions to add (true or a rule object) or disable (false),
+ *  keyed by the action name, see ApiAllowlist
+ * @param {Object} [wrapperOpts.hostPaths] scriptPath and articlePath of the wikis that do not use the default
+ *  "/w" and "/wiki/$1", keyed by the host, see SitePaths
+ * @param {Fixtures|Object} [wrapperOpts.fixtures] record the responses into a fixture directory, or replay them
+ *  instead of loading, either a Fixtures instance, or the {mode, dir, fs, crypto} options of a new one.
+ *  Fixtures only work in node.js, and are not loaded unless this option is set.
  * @constructor
  */
 function VegaWrapper(wrapperOpts) {
@@ -40,12 +72,28 @@ function VegaWrapper(wrapperOpts) {
     self.objExtender = wrapperOpts.datalib.extend;
     self.objExtender(self, wrapperOpts);
     self.validators = {};
+    self.protocols = VegaWrapper.protocols.clone().configure(wrapperOpts.protocols || {});
+    self.attributions = new Attributions();
+    self.apiAllowlist = ApiAllowlist.configure(wrapperOpts.apiAllowlist);
+    self.hostPaths = SitePaths.configure(wrapperOpts.hostPaths);
+    if (self.budget) {
+        self.budget = new ResourceBudget(self.budget);
+    }
+    if (self.fixtures) {
+        var Fixtures = require('./Fixtures');
+        if (!(self.fixtures instanceof Fixtures)) {
+            self.fixtures = new Fixtures(self.fixtures);
+        }
+    }
 
     self.datalib.load.loader = function (opt, callback) {
         var error = callback || function (e) { throw e; }, url;
 
         try {
             url = self.sanitizeUrl(opt); // enable override
+            if (self.budget) {
+                self.budget.startRequest(url);
+            }
         } catch (err) {
             error(err);
             return;
@@ -55,12 +103,17 @@ function VegaWrapper(wrapperOpts) {
         var cb = function (error, data) {
             return self.dataParser(error, data, opt, callback);
         };
+        if (self.budget) {
+            cb = self.budget.wrapCallback(cb, url);
+        }
 
-        if (self.useXhr) {
-            return self.datalib.load.xhr(url, opt, cb);
-        } else {
-            return self.datalib.load.http(url, opt, cb);
+        if (self.fixtures) {
+            self.fixtures.load(require('./Fixtures').getKey(url, opt.headers), function (loaderCallback) {
+                self._loadUrl(url, opt, loaderCallback);
+            }, cb);
+            return;
         }
+        return self._loadUrl(url, opt, cb);
     };
 
     self.datalib.load.sanitizeUrl = self.sanitizeUrl.bind(self);
@@ -74,6 +127,21 @@ function VegaWrapper(wrapperOpts) {
     }
 }
 
+/**
+ * Load the sanitized url using the xhr or the http loader of the datalib
+ * @param {string} url sanitized url
+ * @param {Object} opt passed by the vega loader
+ * @param {Function} callback
+ * @private
+ */
+VegaWrapper.prototype._loadUrl = function _loadUrl(url, opt, callback) {
+    if (this.useXhr) {
+        return this.datalib.load.xhr(url, opt, callback);
+    } else {
+        return this.datalib.load.http(url, opt, callback);
+    }
+};
+
 /**
  * Check if host was listed in the allowed domains, normalize it, and get correct protocol
  * @param {string} host
@@ -132,11 +200,15 @@ VegaWrapper.prototype.sanitizeUrl = function sanitizeUrl(opt) {
     var decodedPathname,
         isRelativeProtocol = /^\/\//.test(opt.url),
         urlParts = this.parseUrl(opt),
-        sanitizedHost = this.sanitizeHost(urlParts.host);
+        sanitizedHost = this.sanitizeHost(urlParts.host),
+        paths, articlePrefix;
 
     if (!sanitizedHost) {
-        throw new Error('URL hostname is not whitelisted: ' + opt.url);
+        throw new GraphError(codes.HOST_NOT_ALLOWED, 'URL hostname is not whitelisted: ' + opt.url,
+            {protocol: removeColon(urlParts.protocol), field: 'host', value: urlParts.host});
     }
+    // Path to api.php and the path of the pages, e.g. "/w" and "/wiki/$1" for Wikimedia projects
+    paths = SitePaths.get(this.hostPaths, sanitizedHost.host) || SitePaths.DEFAULTS;
     urlParts.host = sanitizedHost.host;
     if (!urlParts.protocol) {
         // node.js mode only - browser's url parser will always set protocol to current one
@@ -159,11 +231,15 @@ VegaWrapper.prototype.sanitizeUrl = function sanitizeUrl(opt) {
                 // The default protocol for the open action is wikititle, so if isRelativeProtocol is set,
                 // we treat the whole pathname as title (without the '/' prefix).
                 if (!isRelativeProtocol) {
-                    // If we get http:// and https:// protocol hardcoded, remove the '/wiki/' prefix instead
-                    if (!/^\/wiki\/.+$/.test(decodedPathname)) {
-                        throw new Error('wikititle: http(s) links must begin with /wiki/ prefix');
+                    // If we get http:// and https:// protocol hardcoded, remove the page path prefix instead,
+                    // e.g. '/wiki/'
+                    articlePrefix = SitePaths.getArticleTitle(paths.articlePath, decodedPathname);
+                    if (articlePrefix === undefined) {
+                        throw new GraphError(codes.LINK_NOT_ALLOWED, 'wikititle: http(s) links must begin with ' +
+                            paths.articlePath.replace('$1', '') + ' prefix',
+                            {protocol: removeColon(urlParts.protocol), field: 'path', value: decodedPathname});
                     }
-                    decodedPathname = decodedPathname.substring('/wiki'.length);
+                    decodedPathname = '/' + articlePrefix;
                 }
                 opt.graphProtocol = 'wikititle';
                 // fall-through
@@ -173,190 +249,78 @@ VegaWrapper.prototype.sanitizeUrl = function sanitizeUrl(opt) {
                 // open() at this point may only be used to link to a Wiki page, as it may be invoked
                 // without a click, thus potentially causing a privacy issue.
                 if (Object.keys(urlParts.query).length !== 0) {
-                    throw new Error('wikititle: query parameters are not allowed');
+                    throw new GraphError(codes.QUERY_NOT_ALLOWED, 'wikititle: query parameters are not allowed',
+                        {protocol: 'wikititle', field: 'query', value: urlParts.query});
                 }
                 if (!/^\/[^|]+$/.test(decodedPathname)) {
-                    throw new Error('wikititle: invalid title');
+                    throw new GraphError(codes.INVALID_TITLE, 'wikititle: invalid title',
+                        {protocol: 'wikititle', field: 'title', value: decodedPathname.substring(1)});
                 }
-                urlParts.pathname = '/wiki/' + encodeURIComponent(decodedPathname.substring(1).replace(' ', '_'));
+                urlParts.pathname = SitePaths.buildArticlePath(paths.articlePath,
+                    encodeURIComponent(decodedPathname.substring(1).replace(' ', '_')));
                 urlParts.protocol = sanitizedHost.protocol;
                 break;
 
             default:
-                throw new Error('"open()" action only allows links with wikititle protocol, e.g. wikititle:///My_page');
+                throw new GraphError(codes.LINK_NOT_ALLOWED,
+                    '"open()" action only allows links with wikititle protocol, e.g. wikititle:///My_page',
+                    {protocol: removeColon(urlParts.protocol), field: 'url', value: opt.url});
         }
     } else {
 
-        switch (urlParts.protocol) {
-            case 'http:':
-            case 'https:':
-                if (!this.isTrusted) {
-                    throw new Error('HTTP and HTTPS protocols are not supported for untrusted graphs.\n' +
-                        'Use wikiraw:, wikiapi:, wikirest:, wikirawupload:, and other protocols.\n' +
-                        'See https://www.mediawiki.org/wiki/Extension:Graph#External_data');
-                }
-                // keep the original URL
-                break;
-
-            case 'wikiapi:':
-                // wikiapi:///?action=query&list=allpages
-                // Call to api.php - ignores the path parameter, and only uses the query
-                urlParts.query = this.objExtender(urlParts.query, {format: 'json', formatversion: '2'});
-                urlParts.pathname = '/w/api.php';
-                urlParts.protocol = sanitizedHost.protocol;
-                opt.addCorsOrigin = true;
-                break;
-
-            case 'wikirest:':
-                // wikirest:///api/rest_v1/page/...
-                // Call to RESTbase api - requires the path to start with "/api/"
-                // The /api/... path is safe for GET requests
-                if (!/^\/api\//.test(urlParts.pathname)) {
-                    throw new Error('wikirest: protocol must begin with the /api/ prefix');
-                }
-                // keep urlParts.query
-                // keep urlParts.pathname
-                urlParts.protocol = sanitizedHost.protocol;
-                break;
-
-            case 'wikiraw:':
-            case 'tabular:':
-            case 'map:':
-                // wikiraw:///MyPage/data
-                // Get content of a wiki page, where the path is the title
-                // of the page with an additional leading '/' which gets removed.
-                // Uses mediawiki api, and extract the content after the request
-                // Query value must be a valid MediaWiki title string, but we only ensure
-                // there is no pipe symbol, the rest is handled by the api.
-                decodedPathname = decodeURIComponent(urlParts.pathname);
-                if (!/^\/[^|\x1F]+$/.test(decodedPathname)) {
-                    throw new Error(urlParts.protocol + ' invalid title');
-                }
-                if (urlParts.protocol === 'wikiraw:') {
-                    urlParts.query = {
-                        format: 'json',
-                        formatversion: '2',
-                        action: 'query',
-                        prop: 'revisions',
-                        rvprop: 'content',
-                        titles: decodedPathname.substring(1)
-                    };
-                } else {
-                    urlParts.query = {
-                        format: 'json',
-                        formatversion: '2',
-                        action: 'jsondata',
-                        title: decodedPathname.substring(1)
-                    };
-                    if (urlParts.siteLanguage || this.languageCode) {
-                        urlParts.query.uselang = urlParts.siteLanguage || this.languageCode;
-                    }
-                }
-
-                urlParts.pathname = '/w/api.php';
-                urlParts.protocol = sanitizedHost.protocol;
-                opt.addCorsOrigin = true;
-                break;
-
-            case 'wikifile:':
-                // wikifile:///Einstein_1921.jpg
-                // Get an image for the graph, e.g. from commons, by using Special:Redirect
-                urlParts.pathname = '/wiki/Special:Redirect/file' + urlParts.pathname;
-                urlParts.protocol = sanitizedHost.protocol;
-                // keep urlParts.query
-                break;
-
-            case 'wikirawupload:':
-                // wikirawupload://upload.wikimedia.org/wikipedia/commons/3/3e/Einstein_1921.jpg
-                // Get an image for the graph, e.g. from commons
-                // This tag specifies any content from the uploads.* domain, without query params
-                this._validateExternalService(urlParts, sanitizedHost, opt.url);
-                urlParts.query = {};
-                // keep urlParts.pathname
-                break;
-
-            case 'wikidatasparql:':
-                // wikidatasparql:///?query=<QUERY>
-                // Runs a SPARQL query, converting it to
-                // https://query.wikidata.org/bigdata/namespace/wdq/sparql?format=json&query=...
-                this._validateExternalService(urlParts, sanitizedHost, opt.url);
-                if (!urlParts.query || !urlParts.query.query) {
-                    throw new Error('wikidatasparql: missing query parameter in: ' + opt.url);
-                }
-                // Only keep the "query" parameter
-                urlParts.query = {query: urlParts.query.query};
-                urlParts.pathname = '/bigdata/namespace/wdq/sparql';
-                opt.headers = this.objExtender(opt.headers || {}, {'Accept': 'application/sparql-results+json'});
-                break;
-
-            case 'geoshape:':
-            case 'geoline:':
-                // geoshape:///?ids=Q16,Q30  or  geoshape:///?query=...
-                // Get geoshapes data from OSM database by supplying Wikidata IDs
-                // https://maps.wikimedia.org/shape?ids=Q16,Q30
-                // 'geoline:' is an identical service, except that it returns lines instead of polygons
-                this._validateExternalService(urlParts, sanitizedHost, opt.url, 'geoshape:');
-                if (!urlParts.query || (!urlParts.query.ids && !urlParts.query.query)) {
-                    throw new Error(opt.graphProtocol + ' missing ids or query parameter in: ' + opt.url);
-                }
-                // the query object is not modified
-                urlParts.pathname = '/' + removeColon(opt.graphProtocol);
-                break;
-
-            case 'mapsnapshot:':
-                // mapsnapshot:///?width=__&height=__&zoom=__&lat=__&lon=__ [&style=__]
-                // Converts it into a snapshot image request for Kartotherian:
-                // https://maps.wikimedia.org/img/{style},{zoom},{lat},{lon},{width}x{height}[@{scale}x].{format}
-                // (scale will be set to 2, and format to png)
-                if (!urlParts.query) {
-                    throw new Error('mapsnapshot: missing required parameters');
-                }
-                validate(urlParts, 'width', 1, 4096);
-                validate(urlParts, 'height', 1, 4096);
-                validate(urlParts, 'zoom', 0, 22);
-                validate(urlParts, 'lat', -90, 90, true);
-                validate(urlParts, 'lon', -180, 180, true);
-
-                var query = urlParts.query;
-                if (query.style && !/^[-_0-9a-z]+$/.test(query.style)) {
-                    throw new Error('mapsnapshot: if style is given, it must be letters/numbers/dash/underscores only');
-                }
-                if (query.lang && !/^[-_0-9a-zA-Z]+$/.test(query.lang)) {
-                    throw new Error('mapsnapshot: if lang is given, it must be letters/numbers/dash/underscores only');
-                }
-
-                // Uses the same configuration as geoshape service, so reuse settings
-                this._validateExternalService(urlParts, sanitizedHost, opt.url, 'geoshape:');
-
-                urlParts.pathname = '/img/' + (query.style || 'osm-intl') + ',' + query.zoom + ',' +
-                    query.lat + ',' + query.lon + ',' + query.width + 'x' + query.height + '@2x.png';
-
-                urlParts.query = {}; // deleting it would cause errors in mw.Uri()
-                if (query.lang) {
-                  urlParts.query.lang = query.lang;
-                }
-
-                break;
-
-            default:
-                throw new Error('Unknown protocol ' + opt.url);
+        var protocol = this.protocols.get(removeColon(urlParts.protocol)),
+            ctx = {
+                opt: opt,
+                protocol: urlParts.protocol,
+                sanitizedHost: sanitizedHost,
+                scriptPath: paths.scriptPath,
+                articlePath: paths.articlePath
+            };
+        if (!protocol) {
+            throw new GraphError(codes.UNKNOWN_PROTOCOL, 'Unknown protocol ' + opt.url,
+                {protocol: removeColon(urlParts.protocol), field: 'url', value: opt.url});
+        }
+        if (protocol.validate) {
+            protocol.validate.call(this, urlParts, ctx);
+        }
+        if (protocol.domainsKey) {
+            this._validateExternalService(urlParts, sanitizedHost, opt.url, protocol.domainsKey + ':');
+        } else {
+            urlParts.protocol = sanitizedHost.protocol;
         }
+        protocol.buildUrl.call(this, urlParts, ctx);
     }
 
     return this.formatUrl(urlParts, opt);
 };
 
 function validate(urlParts, name, min, max, isFloat) {
-    var value = urlParts.query[name];
+    var value = urlParts.query[name],
+        details = {protocol: removeColon(urlParts.protocol), field: name, value: value};
     if (value === undefined) {
-        throw new Error(urlParts.protocol + ' parameter ' + name + ' is not set');
+        throw new GraphError(codes.MISSING_PARAM, urlParts.protocol + ' parameter ' + name + ' is not set', details);
     }
     if (!(isFloat ? /^-?[0-9]+\.?[0-9]*$/ : /^-?[0-9]+$/).test(value)) {
-        throw new Error(urlParts.protocol + ' parameter ' + name + ' is not a number');
+        throw new GraphError(codes.INVALID_NUMBER, urlParts.protocol + ' parameter ' + name + ' is not a number', details);
     }
     value = isFloat ? parseFloat(value) : parseInt(value);
     if (value < min || value > max) {
-        throw new Error(urlParts.protocol + ' parameter ' + name + ' is not valid');
+        throw new GraphError(codes.PARAM_OUT_OF_RANGE, urlParts.protocol + ' parameter ' + name + ' is not valid', details);
+    }
+}
+
+/**
+ * Parse JSON response, throwing a GraphError if it is not valid
+ * @param {string} data
+ * @param {string} protocol
+ * @return {*}
+ */
+function parseJson(data, protocol) {
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        throw new GraphError(codes.INVALID_RESPONSE, 'Unable to parse the response: ' + e.message,
+            {protocol: removeColon(protocol)});
     }
 }
 
@@ -364,7 +328,8 @@ VegaWrapper.prototype._validateExternalService = function _validateExternalServi
     var protocol = protocolOverride || urlParts.protocol,
         domains = this._getProtocolDomains(protocol);
     if (!domains) {
-        throw new Error(protocol + ': protocol is disabled: ' + url);
+        throw new GraphError(codes.PROTOCOL_DISABLED, protocol + ': protocol is disabled: ' + url,
+            {protocol: removeColon(protocol), field: 'url', value: url});
     }
     if (urlParts.isRelativeHost) {
         urlParts.host = domains[0];
@@ -373,7 +338,9 @@ VegaWrapper.prototype._validateExternalService = function _validateExternalServi
         urlParts.protocol = sanitizedHost.protocol;
     }
     if (!this.testHost(protocol, urlParts.host)) {
-        throw new Error(protocol + ': URL must either be relative (' + protocol + '///...), or use one of the allowed hosts: ' + url);
+        throw new GraphError(codes.HOST_NOT_ALLOWED,
+            protocol + ': URL must either be relative (' + protocol + '///...), or use one of the allowed hosts: ' + url,
+            {protocol: removeColon(protocol), field: 'host', value: urlParts.host});
     }
 };
 
@@ -395,10 +362,11 @@ VegaWrapper.prototype.dataParser = function dataParser(error, data, opt, callbac
 /**
  * Parses the response from MW Api, throwing an error or logging warnings
  */
-VegaWrapper.prototype.parseMWApiResponse = function parseMWApiResponse(data) {
-    data = JSON.parse(data);
+VegaWrapper.prototype.parseMWApiResponse = function parseMWApiResponse(data, protocol) {
+    data = parseJson(data, protocol);
     if (data.error) {
-        throw new Error('API error: ' + JSON.stringify(data.error));
+        throw new GraphError(codes.API_ERROR, 'API error: ' + JSON.stringify(data.error),
+            {protocol: removeColon(protocol), value: data.error});
     }
     if (data.warnings) {
         this.logger('API warnings: ' + JSON.stringify(data.warnings));
@@ -410,77 +378,445 @@ VegaWrapper.prototype.parseMWApiResponse = function parseMWApiResponse(data) {
  * Performs post-processing of the data requested by the graph's spec, and throw on error
  */
 VegaWrapper.prototype.parseDataOrThrow = function parseDataOrThrow(data, opt) {
-    switch (opt.graphProtocol) {
-        case 'wikiapi:':
-            data = this.parseMWApiResponse(data);
-            break;
-        case 'wikiraw:':
-            data = this.parseMWApiResponse(data);
-            try {
-                data = data.query.pages[0].revisions[0].content;
-            } catch (e) {
-                throw new Error('Page content not available ' + opt.url);
+    var protocol = opt.graphProtocol && this.protocols.get(removeColon(opt.graphProtocol));
+    if (protocol && protocol.parse) {
+        data = protocol.parse.call(this, data, {opt: opt, protocol: opt.graphProtocol});
+    }
+    return data;
+};
+
+/**
+ * Register a new data protocol for this wrapper, or replace an existing one.
+ * See the builtinProtocols for the parameters of each function.
+ * @param {string} name protocol name without the trailing colon
+ * @param {Object} protocol
+ * @return {VegaWrapper}
+ */
+VegaWrapper.prototype.registerProtocol = function registerProtocol(name, protocol) {
+    this.protocols.register(name, protocol);
+    return this;
+};
+
+/**
+ * Get the license and the sources of all datasets parsed so far, without duplicates,
+ * e.g. to show a "Data sources" footer under the graph
+ * @return {Object[]} see Attributions.list()
+ */
+VegaWrapper.prototype.getAttributions = function getAttributions() {
+    return this.attributions.list();
+};
+
+/**
+ * Make sure the path of the url is a valid page title
+ * @param {Object} urlParts
+ * @return {string} page title
+ */
+function getTitle(urlParts) {
+    // Query value must be a valid MediaWiki title string, but we only ensure
+    // there is no pipe symbol, the rest is handled by the api.
+    var decodedPathname = decodeURIComponent(urlParts.pathname);
+    if (!/^\/[^|\x1F]+$/.test(decodedPathname)) {
+        throw new GraphError(codes.INVALID_TITLE, urlParts.protocol + ' invalid title',
+            {protocol: removeColon(urlParts.protocol), field: 'title', value: decodedPathname.substring(1)});
+    }
+    return decodedPathname.substring(1);
+}
+
+/**
+ * Extract tabular and map data, together with their metadata, from the jsondata api response
+ */
+function parseJsonData(data, ctx) {
+    data = this.parseMWApiResponse(data, ctx.protocol).jsondata;
+    if (!data) {
+        throw new GraphError(codes.INVALID_RESPONSE, 'Data page content not available ' + ctx.opt.url,
+            {protocol: removeColon(ctx.protocol), field: 'jsondata', value: ctx.opt.url});
+    }
+    var meta = [{
+        description: data.description,
+        license_code: data.license.code,
+        license_text: data.license.text,
+        license_url: data.license.url,
+        sources: data.sources
+    }];
+    this.attributions.add(removeColon(ctx.protocol), ctx.opt.graphWiki, ctx.opt.graphTitle, meta[0]);
+    return {
+        data: data,
+        meta: meta
+    };
+}
+
+/**
+ * Only trusted graphs may use http: and https: protocols
+ */
+var httpProtocol = {
+    validate: function (urlParts, ctx) {
+        if (!this.isTrusted) {
+            throw new GraphError(codes.NOT_TRUSTED, 'HTTP and HTTPS protocols are not supported for untrusted graphs.\n' +
+                'Use wikiraw:, wikiapi:, wikirest:, wikirawupload:, and other protocols.\n' +
+                'See https://www.mediawiki.org/wiki/Extension:Graph#External_data',
+                {protocol: removeColon(ctx.protocol), field: 'url', value: ctx.opt.url});
+        }
+    },
+    buildUrl: function (urlParts, ctx) {
+        // keep the original URL
+        urlParts.protocol = ctx.protocol;
+    }
+};
+
+/**
+ * geoshape: and geoline: protocols only differ in the returned data
+ */
+var geoshapeProtocol = {
+    domainsKey: 'geoshape',
+    validate: function (urlParts, ctx) {
+        if (!urlParts.query || (!urlParts.query.ids && !urlParts.query.query)) {
+            throw new GraphError(codes.MISSING_PARAM, ctx.protocol + ' missing ids or query parameter in: ' + ctx.opt.url,
+                {protocol: removeColon(ctx.protocol), field: 'ids', value: ctx.opt.url});
+        }
+    },
+    buildUrl: function (urlParts, ctx) {
+        // the query object is not modified
+        urlParts.pathname = '/' + removeColon(ctx.protocol);
+    }
+};
+
+/**
+ * Built-in protocols, see the wrapper1 parameters of the functions in ProtocolRegistry
+ */
+var builtinProtocols = {
+    http: httpProtocol,
+    https: httpProtocol,
+
+    wikiapi: {
+        // wikiapi:///?action=query&list=allpages
+        // Call to api.php - ignores the path parameter, and only uses the query
+        // Only the read-only actions and modules of the apiAllowlist may be used
+        validate: function (urlParts) {
+            ApiAllowlist.check(urlParts.query, this.apiAllowlist);
+        },
+        buildUrl: function (urlParts, ctx) {
+            urlParts.query = this.objExtender(urlParts.query, {format: 'json', formatversion: '2'});
+            urlParts.pathname = ctx.scriptPath + '/api.php';
+            ctx.opt.addCorsOrigin = true;
+        },
+        parse: function (data, ctx) {
+            return this.parseMWApiResponse(data, ctx.protocol);
+        }
+    },
+
+    wikirest: {
+        // wikirest:///api/rest_v1/page/...
+        // Call to RESTbase api - requires the path to start with "/api/"
+        // The /api/... path is safe for GET requests
+        validate: function (urlParts) {
+            if (!/^\/api\//.test(urlParts.pathname)) {
+                throw new GraphError(codes.INVALID_PARAM, 'wikirest: protocol must begin with the /api/ prefix',
+                    {protocol: 'wikirest', field: 'path', value: urlParts.pathname});
             }
-            break;
-        case 'tabular:':
-        case 'map:':
-            data = this.parseMWApiResponse(data).jsondata;
-            var metadata = [{
-                description: data.description,
-                license_code: data.license.code,
-                license_text: data.license.text,
-                license_url: data.license.url,
-                sources: data.sources
-            }];
-            if (opt.graphProtocol === 'tabular:') {
-                var fields = data.schema.fields.map(function (v) {
-                    return v.name;
-                });
-                data = {
-                    meta: metadata,
-                    fields: data.schema.fields,
-                    data: data.data.map(function (v) {
-                        var row = {}, i;
-                        for (i = 0; i < fields.length; i++) {
-                            // Need to copy nulls too -- Vega has no easy way to test for undefined
-                            row[fields[i]] = v[i];
-                        }
-                        return row;
-                    })
+        },
+        buildUrl: function () {
+            // keep urlParts.query
+            // keep urlParts.pathname
+        }
+    },
+
+    wikiraw: {
+        // wikiraw:///MyPage/data [?oldid=123&section=2&slot=main] [&format=csv&header=true&inferNumbers=false]
+        // Get content of a wiki page, where the path is the title
+        // of the page with an additional leading '/' which gets removed.
+        // The oldid (or revid) pins the revision, the section and the slot select a part of the content.
+        // With the format (csv, tsv or json), the content is parsed into data rows.
+        // Uses mediawiki api, and extract the content after the request
+        validate: function (urlParts) {
+            var query = urlParts.query;
+            getTitle(urlParts);
+            ['oldid', 'revid'].forEach(function (name) {
+                if (query[name] !== undefined) {
+                    validate(urlParts, name, 1, WikiRaw.MAX_REVISION_ID);
                 }
-            } else {
-                metadata[0].zoom = data.zoom;
-                metadata[0].latitude = data.latitude;
-                metadata[0].longitude = data.longitude;
-                data = {
-                    meta: metadata,
-                    data: data.data
-                };
+            });
+            if (query.section !== undefined) {
+                validate(urlParts, 'section', 0, WikiRaw.MAX_SECTION);
             }
-            break;
-        case 'wikidatasparql:':
-            data = JSON.parse(data);
-            if (!data.results || !Array.isArray(data.results.bindings)) {
-                throw new Error('SPARQL query result does not have "results.bindings"');
+            WikiRaw.validate(query);
+            TextData.validate(TextData.fromQuery(query));
+        },
+        buildUrl: function (urlParts, ctx) {
+            // Save the page, the revision and the slot to extract the content
+            ctx.opt.graphTitle = getTitle(urlParts);
+            ctx.opt.graphRevision = WikiRaw.getRevision(urlParts.query);
+            ctx.opt.graphSlot = urlParts.query.slot;
+            ctx.opt.graphTextFormat = TextData.fromQuery(urlParts.query);
+            urlParts.query = WikiRaw.buildQuery(getTitle(urlParts), urlParts.query);
+            urlParts.pathname = ctx.scriptPath + '/api.php';
+            ctx.opt.addCorsOrigin = true;
+        },
+        parse: function (data, ctx) {
+            data = WikiRaw.getContent(this.parseMWApiResponse(data, ctx.protocol),
+                {title: ctx.opt.graphTitle, revid: ctx.opt.graphRevision, slot: ctx.opt.graphSlot});
+            if (data === undefined) {
+                throw new GraphError(codes.INVALID_RESPONSE, 'Page content not available ' + ctx.opt.url,
+                    {protocol: 'wikiraw', field: 'content', value: ctx.opt.url});
             }
-            data = data.results.bindings.map(function (row) {
-                var key, result = {};
-                for (key in row) {
-                    if (row.hasOwnProperty(key)) {
-                        result[key] = parseWikidataValue(row[key]);
-                    }
-                }
-                return result;
+            return ctx.opt.graphTextFormat && ctx.opt.graphTextFormat.format
+                ? TextData.parse(data, ctx.opt.graphTextFormat) : data;
+        }
+    },
+
+    wikitable: {
+        // wikitable:///MyPage?index=1
+        // Get the rows of a table on a wiki page, where index is the 0-based number of the table on the page.
+        // Uses the same api as wikiraw, and returns {meta, fields, data}, same as the tabular data.
+        validate: function (urlParts) {
+            getTitle(urlParts);
+            if (urlParts.query.index !== undefined) {
+                validate(urlParts, 'index', 0, WikiTable.MAX_INDEX);
+            }
+        },
+        buildUrl: function (urlParts, ctx) {
+            // Save the table and the page for the attribution
+            ctx.opt.graphTableIndex = urlParts.query.index;
+            ctx.opt.graphWiki = urlParts.host;
+            ctx.opt.graphTitle = getTitle(urlParts);
+            urlParts.query = WikiTable.buildQuery(ctx.opt.graphTitle);
+            urlParts.pathname = ctx.scriptPath + '/api.php';
+            ctx.opt.addCorsOrigin = true;
+        },
+        parse: function (data, ctx) {
+            var result = WikiTable.parse(this.parseMWApiResponse(data, ctx.protocol),
+                {title: ctx.opt.graphTitle, index: ctx.opt.graphTableIndex});
+            this.attributions.add('wikitable', ctx.opt.graphWiki, ctx.opt.graphTitle, result.meta[0]);
+            return result;
+        }
+    },
+
+    tabular: {
+        // tabular:///Data.tab
+        // Get content of a tabular data page from the Data namespace
+        validate: getTitle,
+        buildUrl: buildJsonDataUrl,
+        parse: function (data, ctx) {
+            var result = parseJsonData.call(this, data, ctx),
+                fields = result.data.schema && result.data.schema.fields,
+                languages = TabularData.getLanguages(ctx.opt.graphLanguage || this.languageCode,
+                    this.languageFallbacks);
+            return {
+                meta: result.meta,
+                fields: TabularData.localizeFields(fields, languages, ctx.opt.keepLocalized),
+                data: TabularData.toRows(fields, result.data.data, {
+                    onError: this.tabularErrors,
+                    protocol: 'tabular',
+                    logger: this.logger,
+                    languages: languages,
+                    keepLocalized: ctx.opt.keepLocalized
+                })
+            };
+        }
+    },
+
+    map: {
+        // map:///Data.map
+        // Get content of a map data page from the Data namespace
+        validate: getTitle,
+        buildUrl: buildJsonDataUrl,
+        parse: function (data, ctx) {
+            var result = parseJsonData.call(this, data, ctx);
+            result.meta[0].zoom = result.data.zoom;
+            result.meta[0].latitude = result.data.latitude;
+            result.meta[0].longitude = result.data.longitude;
+            return {
+                meta: result.meta,
+                data: result.data.data
+            };
+        }
+    },
+
+    wikifile: {
+        // wikifile:///Einstein_1921.jpg
+        // Get an image for the graph, e.g. from commons, by using Special:Redirect
+        buildUrl: function (urlParts, ctx) {
+            urlParts.pathname = SitePaths.buildArticlePath(ctx.articlePath,
+                'Special:Redirect/file' + urlParts.pathname);
+            // keep urlParts.query
+        }
+    },
+
+    wikifileinfo: {
+        // wikifileinfo:///Einstein_1921.jpg?width=100
+        // Get the url, size, author and license of a file, e.g. from commons, using the imageinfo api
+        validate: function (urlParts) {
+            getTitle(urlParts);
+            if (urlParts.query.width) {
+                validate(urlParts, 'width', 0, Infinity);
+            }
+        },
+        buildUrl: function (urlParts, ctx) {
+            // Save the wiki for the attribution
+            ctx.opt.graphWiki = urlParts.host;
+            urlParts.query = FileInfo.buildQuery(getTitle(urlParts), urlParts.query.width, this.languageCode);
+            urlParts.pathname = ctx.scriptPath + '/api.php';
+            ctx.opt.addCorsOrigin = true;
+        },
+        parse: function (data, ctx) {
+            var self = this,
+                rows = FileInfo.parse(this.parseMWApiResponse(data, ctx.protocol));
+            rows.forEach(function (row) {
+                self.attributions.add('wikifileinfo', ctx.opt.graphWiki, row.title, row);
             });
-            break;
-    }
+            return rows;
+        }
+    },
+
+    wikirawupload: {
+        // wikirawupload://upload.wikimedia.org/wikipedia/commons/3/3e/Einstein_1921.jpg
+        // Get an image for the graph, e.g. from commons
+        // This tag specifies any content from the uploads.* domain, without query params
+        domainsKey: 'wikirawupload',
+        buildUrl: function (urlParts) {
+            urlParts.query = {};
+            // keep urlParts.pathname
+        }
+    },
+
+    wikidatasparql: {
+        // wikidatasparql:///?query=<QUERY> [&output=table&keepRaw=true]
+        // Runs a SPARQL query, converting it to
+        // https://query.wikidata.org/bigdata/namespace/wdq/sparql?format=json&query=...
+        domainsKey: 'wikidatasparql',
+        validate: function (urlParts, ctx) {
+            if (!urlParts.query || !urlParts.query.query) {
+                throw new GraphError(codes.MISSING_PARAM, 'wikidatasparql: missing query parameter in: ' + ctx.opt.url,
+                    {protocol: 'wikidatasparql', field: 'query', value: ctx.opt.url});
+            }
+            if (urlParts.query.output !== undefined && urlParts.query.output !== 'rows' &&
+                urlParts.query.output !== 'table'
+            ) {
+                throw new GraphError(codes.INVALID_PARAM, 'wikidatasparql: output must be "rows" or "table"',
+                    {protocol: 'wikidatasparql', field: 'output', value: urlParts.query.output});
+            }
+        },
+        buildUrl: function (urlParts, ctx) {
+            // Save the output options to post-process the data
+            ctx.opt.graphOutput = urlParts.query.output;
+            ctx.opt.keepRaw = urlParts.query.keepRaw === 'true';
+            // Only keep the "query" parameter. Datalib can only load with GET, so long queries cannot be sent with POST
+            var query = SparqlGuard.check(urlParts.query.query, this.sparql);
+            if (SparqlGuard.usePost(query, this.sparql)) {
+                throw new GraphError(codes.INVALID_PARAM, 'wikidatasparql: query is too long to be sent in the url (' +
+                    encodeURIComponent(query).length + ' url-encoded characters), and this wrapper cannot use POST',
+                    {protocol: 'wikidatasparql', field: 'query', value: query.length});
+            }
+            urlParts.query = {query: query};
+            urlParts.pathname = '/bigdata/namespace/wdq/sparql';
+            ctx.opt.headers = this.objExtender(ctx.opt.headers || {}, {'Accept': 'application/sparql-results+json'});
+        },
+        parse: function (data, ctx) {
+            return SparqlResult.parse(parseJson(data, 'wikidatasparql'), {
+                output: ctx.opt.graphOutput,
+                keepRaw: ctx.opt.keepRaw
+            });
+        }
+    },
+
+    // geoshape:///?ids=Q16,Q30  or  geoshape:///?query=...
+    // Get geoshapes data from OSM database by supplying Wikidata IDs
+    // https://maps.wikimedia.org/shape?ids=Q16,Q30
+    // 'geoline:' is an identical service, except that it returns lines instead of polygons
+    geoshape: geoshapeProtocol,
+    geoline: geoshapeProtocol,
+
+    mapsnapshot: {
+        // mapsnapshot:///?width=__&height=__&zoom=__&lat=__&lon=__ [&style=__&lang=__&scale=__&format=__]
+        //   [&markers=pin-m-star%2Bf00(10,20),pin-s(11,21)&ids=Q16,Q30]
+        // Converts it into a snapshot image request for Kartotherian:
+        // https://maps.wikimedia.org/img/{style},{zoom},{lat},{lon},{width}x{height}[@{scale}x].{format}
+        // (scale defaults to 2, and format to png), with the markers and the geoshapes drawn on top
+        // Uses the same configuration as geoshape service, so reuse settings
+        domainsKey: 'geoshape',
+        validate: function (urlParts) {
+            if (!urlParts.query) {
+                throw new GraphError(codes.MISSING_PARAM, 'mapsnapshot: missing required parameters',
+                    {protocol: 'mapsnapshot', field: 'query'});
+            }
+            validate(urlParts, 'width', 1, 4096);
+            validate(urlParts, 'height', 1, 4096);
+            validate(urlParts, 'zoom', 0, 22);
+            validate(urlParts, 'lat', -90, 90, true);
+            validate(urlParts, 'lon', -180, 180, true);
+            if (urlParts.query.scale !== undefined) {
+                validate(urlParts, 'scale', 1, 3);
+            }
 
-    return data;
+            var query = urlParts.query;
+            if (query.style && !/^[-_0-9a-z]+$/.test(query.style)) {
+                throw new GraphError(codes.INVALID_PARAM,
+                    'mapsnapshot: if style is given, it must be letters/numbers/dash/underscores only',
+                    {protocol: 'mapsnapshot', field: 'style', value: query.style});
+            }
+            if (query.lang && !/^[-_0-9a-zA-Z]+$/.test(query.lang)) {
+                throw new GraphError(codes.INVALID_PARAM,
+                    'mapsnapshot: if lang is given, it must be letters/numbers/dash/underscores only',
+                    {protocol: 'mapsnapshot', field: 'lang', value: query.lang});
+            }
+            MapSnapshot.validate(getSnapshotOverlays(query));
+        },
+        buildUrl: function (urlParts) {
+            var query = urlParts.query;
+            urlParts.pathname = MapSnapshot.buildPath(query);
+
+            urlParts.query = {}; // deleting it would cause errors in mw.Uri()
+            MapSnapshot.buildQuery(urlParts.query, this.objExtender({lang: query.lang}, getSnapshotOverlays(query)));
+        }
+    }
 };
 
+/**
+ * Get the format and the overlays of the mapsnapshot: url
+ * @param {Object} query
+ * @return {Object} {format, markers, ids}
+ */
+function getSnapshotOverlays(query) {
+    return {
+        format: query.format,
+        markers: query.markers !== undefined ? MapSnapshot.parseMarkers(query.markers) : undefined,
+        ids: typeof query.ids === 'string' ? query.ids.split(',') : query.ids
+    };
+}
+
+/**
+ * tabular: and map: protocols use the jsondata api to get the content of the page
+ */
+function buildJsonDataUrl(urlParts, ctx) {
+    // tabular:///Data.tab?lang=fr&keepLocalized=true
+    var lang = urlParts.query.lang || urlParts.siteLanguage || this.languageCode;
+    // Save the language and the options to post-process the data, and the page for the attribution
+    ctx.opt.graphLanguage = lang;
+    ctx.opt.keepLocalized = urlParts.query.keepLocalized === 'true';
+    ctx.opt.graphWiki = urlParts.host;
+    ctx.opt.graphTitle = getTitle(urlParts);
+
+    urlParts.query = {
+        format: 'json',
+        formatversion: '2',
+        action: 'jsondata',
+        title: getTitle(urlParts)
+    };
+    if (lang) {
+        urlParts.query.uselang = lang;
+    }
+    urlParts.pathname = ctx.scriptPath + '/api.php';
+    ctx.opt.addCorsOrigin = true;
+}
+
+/**
+ * Default protocols of all new wrappers. Modifying it will affect all wrappers created afterwards.
+ * @type {ProtocolRegistry}
+ */
+VegaWrapper.protocols = new ProtocolRegistry(builtinProtocols, 'wrapper1');
+
 /**
  * Throw an error when called
  */
 function alwaysFail() {
-    throw new Error('Disabled');
+    throw new GraphError(codes.DISABLED, 'Disabled');
 }
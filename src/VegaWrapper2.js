@@ -1,47 +1,615 @@
 const LITERAL_TYPES = new Set(['number', 'boolean', 'string']);
 
 const makeValidator = require('domain-validator'),
-      parseWikidataValue = require('wd-type-parser');
+      ProtocolRegistry = require('./ProtocolRegistry'),
+      GraphError = require('./GraphError'),
+      ResponseCache = require('./ResponseCache'),
+      ResourceBudget = require('./ResourceBudget'),
+      TabularData = require('./TabularData'),
+      SparqlResult = require('./SparqlResult'),
+      SparqlTemplate = require('./SparqlTemplate'),
+      SparqlGuard = require('./SparqlGuard'),
+      GeoShapes = require('./GeoShapes'),
+      MapSnapshot = require('./MapSnapshot'),
+      FileInfo = require('./FileInfo'),
+      Attributions = require('./Attributions'),
+      ApiContinuation = require('./ApiContinuation'),
+      ApiAllowlist = require('./ApiAllowlist'),
+      WikiRaw = require('./WikiRaw'),
+      TextData = require('./TextData'),
+      WikiTable = require('./WikiTable'),
+      SiteTable = require('./SiteTable'),
+      SitePaths = require('./SitePaths');
+
+const codes = GraphError.codes;
 
 function validate(urlObj, name, min, max, isFloat) {
     let value = urlObj[name];
+    const details = {protocol: urlObj.type, field: name, value};
     if (value === undefined) {
-        throw new Error(urlObj.type + ': parameter ' + name + ' is not set');
+        throw new GraphError(codes.MISSING_PARAM, urlObj.type + ': parameter ' + name + ' is not set', details);
     }
     if (!(isFloat ? /^-?[0-9]+\.?[0-9]*$/ : /^-?[0-9]+$/).test(value)) {
-        throw new Error(urlObj.type + ': parameter ' + name + ' is not a number');
+        throw new GraphError(codes.INVALID_NUMBER, urlObj.type + ': parameter ' + name + ' is not a number', details);
     }
     value = isFloat ? parseFloat(value) : parseInt(value);
     if (value < min || value > max) {
-        throw new Error(urlObj.type + ': parameter ' + name + ' is not valid');
+        throw new GraphError(codes.PARAM_OUT_OF_RANGE, urlObj.type + ': parameter ' + name + ' is not valid', details);
     }
 }
 
+/**
+ * Parse JSON response, throwing a GraphError if it is not valid
+ * @param {string} data
+ * @param {string} type
+ * @returns {*}
+ */
+function parseJson(data, type) {
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        throw new GraphError(codes.INVALID_RESPONSE, 'Unable to parse the response: ' + e.message, {protocol: type});
+    }
+}
+
+/**
+ * Convert an object of url parameters into a url query object
+ * @param {object} urlObj the url object containing the parameters
+ * @param {string} name name of the parameters property, e.g. "params"
+ * @returns {object} query values, with true replaced by 1, and false values removed
+ */
+function toQuery(urlObj, name) {
+    const params = urlObj[name];
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new GraphError(codes.INVALID_PARAM, `${urlObj.type}: "${name}" should be an object`,
+            {protocol: urlObj.type, field: name, value: params});
+    }
+    const query = {};
+    for (const k of Object.keys(params)) {
+        const v = params[k];
+        if (!LITERAL_TYPES.has(typeof v)) {
+            throw new GraphError(codes.INVALID_PARAM, `${urlObj.type}: "${name}" value should be a literal (e.g. true, 123, "foo")`,
+                {protocol: urlObj.type, field: `${name}.${k}`, value: v});
+        } else if (v === true) { // replace with 1
+            query[k] = 1;
+        } else if (v !== false) { // remove item if value is false
+            query[k] = v;
+        }
+    }
+    return query;
+}
+
+/**
+ * Only trusted graphs may use the http and https types
+ */
+const httpProtocol = {
+    // {type: “https”, host: “example.org”, path: “/data.json” [, query: {a: 1}]}
+    // The host must be listed in the http or https domains, the original protocol is kept
+    validate(urlObj) {
+        if (!this.isTrusted) {
+            throw new GraphError(codes.NOT_TRUSTED, 'HTTP and HTTPS protocols are not supported for untrusted graphs.\n' +
+                'Use wikiraw, wikiapi, wikirest, wikirawupload, and other types.\n' +
+                'See https://www.mediawiki.org/wiki/Extension:Graph#External_data',
+                {protocol: urlObj.type, field: 'type', value: urlObj.type});
+        }
+        if (urlObj.path !== undefined && typeof urlObj.path !== 'string') {
+            throw new GraphError(codes.INVALID_PARAM, urlObj.type + ': url path should be a string',
+                {protocol: urlObj.type, field: 'path', value: urlObj.path});
+        }
+    },
+    buildUrl(urlObj, urlParts) {
+        if (urlObj.query !== undefined) {
+            urlParts.query = toQuery(urlObj, 'query');
+        }
+        urlParts.protocol = urlObj.type;
+        urlParts.pathname = urlObj.path && urlObj.path.startsWith('/') ? urlObj.path : '/' + (urlObj.path || '');
+    }
+};
+
+/**
+ * The tabular and map types use the jsondata api to get the content of the Data namespace pages
+ */
+function jsonDataProtocol(ext) {
+    return {
+        // { type: 'tabular', title: 'Data.tab' [, lang: 'en', keepLocalized: true] }
+        // { type: 'map', title: 'Data.map' [, lang: 'en'] }
+        // Query value must be a valid MediaWiki title string, so we ensure there
+        // is no pipe symbol or \x1F and the title ends with .tab or .map
+        validate(urlObj) {
+            if (typeof urlObj.title !== 'string' || !/^[^|\x1F]+$/.test(urlObj.title) || !urlObj.title.endsWith(ext)) {
+                throw new GraphError(codes.INVALID_TITLE,
+                    `${urlObj.type}: invalid title ${JSON.stringify(urlObj)}, can't contain pipe symbol, must end with ${ext}`,
+                    {protocol: urlObj.type, field: 'title', value: urlObj.title});
+            }
+        },
+        buildUrl(urlObj, urlParts, ctx) {
+            urlParts.query = {
+                format: 'json',
+                formatversion: '2',
+                action: 'jsondata',
+                title: urlObj.title
+            };
+            if (urlObj.lang || this.languageCode) {
+                urlParts.query.uselang = urlObj.lang || this.languageCode;
+            }
+
+            urlParts.pathname = ctx.scriptPath + '/api.php';
+            ctx.options.addCorsOrigin = true;
+        }
+    };
+}
+
+/**
+ * Get the content of a tabular or map page from the jsondata api response, and record its attribution
+ */
+function getJsonData(data, type, ctx) {
+    data = this.parseMWApiResponse(data, type).jsondata;
+    if (!data) {
+        throw new GraphError(codes.INVALID_RESPONSE, type + ': data page content not available',
+            {protocol: type, field: 'jsondata'});
+    }
+    this.attributions.add(type, this.getSourceHost(ctx, type), ctx.urlObj.title, this.getMetaData(data)[0]);
+    return data;
+}
+
+/**
+ * The geoshape and geoline types only differ in the returned data
+ */
+const geoshapeProtocol = {
+    // {type: “geoshape”, [ids: ["Q16","Q30"] | query:"..."] [, output: "features"] }
+    // Get geoshapes data from OSM database by supplying Wikidata IDs
+    // https://maps.wikimedia.org/shape?ids=Q16,Q30
+    // The TopoJSON response is returned as is, unless output is "features", see GeoShapes.parse()
+    // 'geoline:' is an identical service, except that it returns lines instead of polygons
+    domainsKey: 'geoshape',
+    validate(urlObj) {
+        if (!urlObj.ids && !urlObj.query) {
+            throw new GraphError(codes.MISSING_PARAM, urlObj.type + ' missing ids or query parameter in: ' + JSON.stringify(urlObj),
+                {protocol: urlObj.type, field: 'ids'});
+        }
+        if (urlObj.ids) {
+            let ids = urlObj.ids;
+            if (typeof ids === 'string') {
+                // allow ids to be a string with a single wikidata ID (convert it to an array)
+                ids = [ids];
+            } else if (!Array.isArray(ids) || ids.length < 1 || ids.length > 1000) {
+                throw new GraphError(codes.INVALID_PARAM, `ids must be an non-empty array of Wikidata IDs with no more than 1000 items`,
+                    {protocol: urlObj.type, field: 'ids', value: ids});
+            }
+            ids.forEach(val => {
+                if (!/^Q[1-9][0-9]{0,15}$/.test(val)) {
+                    throw new GraphError(codes.INVALID_PARAM, `Invalid Wikidata ID ${JSON.stringify(val)}`,
+                        {protocol: urlObj.type, field: 'ids', value: val});
+                }
+            });
+        } else if (typeof urlObj.query !== 'string') {
+            throw new GraphError(codes.INVALID_PARAM, urlObj.type + ': query should be a non-empty string\n' + JSON.stringify(urlObj),
+                {protocol: urlObj.type, field: 'query', value: urlObj.query});
+        }
+        if (urlObj.output !== undefined && urlObj.output !== 'features') {
+            throw new GraphError(codes.INVALID_PARAM, urlObj.type + ': output must be "features"',
+                {protocol: urlObj.type, field: 'output', value: urlObj.output});
+        }
+    },
+    buildUrl(urlObj, urlParts) {
+        if (urlObj.ids) {
+            urlParts.query.ids = (typeof urlObj.ids === 'string' ? [urlObj.ids] : urlObj.ids).join(',');
+        } else {
+            urlParts.query.query = urlObj.query;
+        }
+        urlParts.pathname = '/' + urlObj.type;
+    },
+    parse(data, ctx) {
+        if (ctx.urlObj.output !== 'features') {
+            return data;
+        }
+        return GeoShapes.parse(parseJson(data, ctx.urlObj.type), ctx.urlObj.type);
+    }
+};
+
+/**
+ * Built-in types, see the wrapper2 parameters of the functions in ProtocolRegistry.
+ * The load() is called instead of loadObj().
+ */
+const builtinProtocols = {
+    http: httpProtocol,
+    https: httpProtocol,
+
+    wikiapi: {
+        // {type: “wikiapi”, params: {action:”...”, ...} [, wiki: “en.wikipedia.org”] [, continue: {maxRequests: 5, maxItems: 1000}]}
+        // Call to api.php - the *params* are converted into the url query string
+        // use *wiki* to designate the host
+        // With *continue*, the continuation tokens are followed and the query.* arrays are merged,
+        // until there is no more data, or the maxRequests or maxItems limit is reached.
+        // The result then has "truncated: true" if some of the data was not loaded.
+        // Only the read-only actions and modules of the apiAllowlist may be used
+        validate(urlObj) {
+            ApiAllowlist.check(toQuery(urlObj, 'params'), this.apiAllowlist, 'params.');
+            if (urlObj.continue !== undefined) {
+                ApiContinuation.getLimits(urlObj.continue);
+            }
+        },
+        buildUrl(urlObj, urlParts, ctx) {
+            Object.assign(urlParts.query, toQuery(urlObj, 'params'), {format: 'json', formatversion: '2'});
+            urlParts.pathname = ctx.scriptPath + '/api.php';
+            ctx.options.addCorsOrigin = true;
+        },
+        load(urlObj, options) {
+            if (urlObj.continue === undefined) {
+                return this.loadObj(urlObj, options);
+            }
+            const limits = ApiContinuation.getLimits(urlObj.continue);
+            let requests = 0;
+            const loadNext = result => {
+                const params = result ? Object.assign({}, urlObj.params, result.continue) : urlObj.params;
+                requests++;
+                return this.loadObj(Object.assign({}, urlObj, {params}), options).then(txt => {
+                    // Warnings of each response are logged by parseMWApiResponse()
+                    const next = this.parseMWApiResponse(txt, 'wikiapi');
+                    delete next.warnings;
+                    result = result ? ApiContinuation.merge(result, next) : next;
+
+                    const truncated = limits.maxItems !== undefined && ApiContinuation.truncate(result, limits.maxItems);
+                    if (result.continue && !truncated && requests < limits.maxRequests &&
+                        (limits.maxItems === undefined || ApiContinuation.countItems(result) < limits.maxItems)
+                    ) {
+                        return loadNext(result);
+                    }
+                    result.truncated = truncated || !!result.continue;
+                    delete result.continue;
+                    return JSON.stringify(result);
+                });
+            };
+            return loadNext();
+        },
+        parse(data) {
+            return this.parseMWApiResponse(data, 'wikiapi');
+        }
+    },
+
+    wikirest: {
+        // {type: “wikirest”, path: “/rest_v1/page/...” [, wiki: “en.wikipedia.org”]}
+        // Call to RESTbase api - will add "/api" in front of *path* automatically
+        // The /api/... path is safe for GET requests
+        validate(urlObj) {
+            if (!urlObj.path || typeof urlObj.path !== 'string') {
+                throw new GraphError(codes.INVALID_PARAM, 'wikirest: url path should be a non-empty string without the /api prefix',
+                    {protocol: 'wikirest', field: 'path', value: urlObj.path});
+            }
+        },
+        buildUrl(urlObj, urlParts) {
+            urlParts.pathname = (urlObj.path.startsWith('/') ? '/api' : '/api/') + urlObj.path;
+        }
+    },
+
+    wikiraw: {
+        // {type: “wikiraw”, title: “MyPage” [, wiki: “en.wikipedia.org”] [, oldid: 123] [, section: 2] [, slot: “main”]
+        //  [, format: “csv”, header: true, inferNumbers: false]}
+        // Get content of a wiki page
+        // The oldid (or revid) pins the revision, the section and the slot select a part of the content.
+        // With the format (csv, tsv or json), the content is parsed into data rows.
+        // Uses mediawiki api, and extract the content after the request
+        // Query value must be a valid MediaWiki title string, but we only ensure
+        // there is no pipe symbol or \x1F, the rest is handled by the api.
+        validate(urlObj) {
+            if (!urlObj.title || !/^[^|\x1F]+$/.test(urlObj.title)) {
+                throw new GraphError(codes.INVALID_TITLE, 'wikiraw: invalid title' + JSON.stringify(urlObj),
+                    {protocol: 'wikiraw', field: 'title', value: urlObj.title});
+            }
+            for (const name of ['oldid', 'revid']) {
+                if (urlObj[name] !== undefined) {
+                    validate(urlObj, name, 1, WikiRaw.MAX_REVISION_ID);
+                }
+            }
+            if (urlObj.section !== undefined) {
+                validate(urlObj, 'section', 0, WikiRaw.MAX_SECTION);
+            }
+            WikiRaw.validate(urlObj);
+            TextData.validate(urlObj);
+        },
+        buildUrl(urlObj, urlParts, ctx) {
+            urlParts.query = WikiRaw.buildQuery(urlObj.title, urlObj);
+            urlParts.pathname = ctx.scriptPath + '/api.php';
+            ctx.options.addCorsOrigin = true;
+        },
+        parse(data, ctx) {
+            data = this.parseMWApiResponse(data, 'wikiraw');
+            const content = WikiRaw.getContent(data, ctx.urlObj);
+            if (content === undefined) {
+                throw new GraphError(codes.INVALID_RESPONSE, 'Page content not available\n' + JSON.stringify(data),
+                    {protocol: 'wikiraw', field: 'content'});
+            }
+            return ctx.urlObj.format ? TextData.parse(content, ctx.urlObj) : content;
+        }
+    },
+
+    wikitable: {
+        // {type: “wikitable”, title: “MyPage” [, wiki: “en.wikipedia.org”] [, index: 1]}
+        // Get the rows of a table on a wiki page, where index is the 0-based number of the table on the page.
+        // Uses the same api as wikiraw, and returns {meta, fields, data}, same as the tabular data.
+        validate(urlObj) {
+            if (!urlObj.title || !/^[^|\x1F]+$/.test(urlObj.title)) {
+                throw new GraphError(codes.INVALID_TITLE, 'wikitable: invalid title' + JSON.stringify(urlObj),
+                    {protocol: 'wikitable', field: 'title', value: urlObj.title});
+            }
+            if (urlObj.index !== undefined) {
+                validate(urlObj, 'index', 0, WikiTable.MAX_INDEX);
+            }
+        },
+        buildUrl(urlObj, urlParts, ctx) {
+            urlParts.query = WikiTable.buildQuery(urlObj.title);
+            urlParts.pathname = ctx.scriptPath + '/api.php';
+            ctx.options.addCorsOrigin = true;
+        },
+        parse(data, ctx) {
+            const result = WikiTable.parse(this.parseMWApiResponse(data, 'wikitable'), ctx.urlObj);
+            this.attributions.add('wikitable', this.getSourceHost(ctx, 'wikitable'), ctx.urlObj.title, result.meta[0]);
+            return result;
+        }
+    },
+
+    tabular: Object.assign(jsonDataProtocol('.tab'), {
+        parse(data, ctx) {
+            data = getJsonData.call(this, data, 'tabular', ctx);
+            const fields = data.schema && data.schema.fields,
+                  keepLocalized = ctx.urlObj.keepLocalized === true,
+                  languages = TabularData.getLanguages(ctx.urlObj.lang || this.languageCode, this.languageFallbacks);
+            return {
+                meta: this.getMetaData(data),
+                fields: TabularData.localizeFields(fields, languages, keepLocalized),
+                data: TabularData.toRows(fields, data.data, {
+                    onError: this.tabularErrors,
+                    protocol: 'tabular',
+                    logger: this.logger,
+                    languages,
+                    keepLocalized
+                })
+            };
+        }
+    }),
+
+    map: Object.assign(jsonDataProtocol('.map'), {
+        parse(data, ctx) {
+            data = getJsonData.call(this, data, 'map', ctx);
+            const metadata = this.getMetaData(data);
+            metadata[0].zoom = data.zoom;
+            metadata[0].latitude = data.latitude;
+            metadata[0].longitude = data.longitude;
+            return {
+                meta: metadata,
+                data: data.data
+            };
+        }
+    }),
+
+    wikifile: {
+        // {type: “wikifile”, title: “Einstein_1921.jpg”, [width=100, height=100]}
+        // Get an image for the graph, e.g. from commons, by using Special:Redirect
+        validate(urlObj) {
+            if (!urlObj.title || !/^[^|\x1F]+$/.test(urlObj.title)) {
+                throw new GraphError(codes.INVALID_TITLE, 'wikifile: invalid title' + JSON.stringify(urlObj),
+                    {protocol: 'wikifile', field: 'title', value: urlObj.title});
+            }
+            if (urlObj.width) {
+                validate(urlObj, 'width', 0, Infinity);
+            }
+            if (urlObj.height) {
+                validate(urlObj, 'height', 0, Infinity);
+            }
+        },
+        buildUrl(urlObj, urlParts, ctx) {
+            urlParts.pathname = SitePaths.buildArticlePath(ctx.articlePath, 'Special:Redirect/file/' + urlObj.title);
+            if (urlObj.width) {
+                urlParts.query.width = urlObj.width;
+            }
+            if (urlObj.height) {
+                urlParts.query.height = urlObj.height;
+            }
+        }
+    },
+
+    wikifileinfo: {
+        // {type: “wikifileinfo”, title: “Einstein_1921.jpg”, [width=100]}
+        // Get the url, size, author and license of a file, e.g. from commons, using the imageinfo api
+        validate(urlObj) {
+            if (!urlObj.title || !/^[^|\x1F]+$/.test(urlObj.title)) {
+                throw new GraphError(codes.INVALID_TITLE, 'wikifileinfo: invalid title' + JSON.stringify(urlObj),
+                    {protocol: 'wikifileinfo', field: 'title', value: urlObj.title});
+            }
+            if (urlObj.width) {
+                validate(urlObj, 'width', 0, Infinity);
+            }
+        },
+        buildUrl(urlObj, urlParts, ctx) {
+            urlParts.query = FileInfo.buildQuery(urlObj.title, urlObj.width, this.languageCode);
+            urlParts.pathname = ctx.scriptPath + '/api.php';
+            ctx.options.addCorsOrigin = true;
+        },
+        parse(data, ctx) {
+            const rows = FileInfo.parse(this.parseMWApiResponse(data, 'wikifileinfo')),
+                  wiki = this.getSourceHost(ctx, 'wikifileinfo');
+            for (const row of rows) {
+                this.attributions.add('wikifileinfo', wiki, row.title, row);
+            }
+            return rows;
+        }
+    },
+
+    wikirawupload: {
+        // {type: “wikirawupload”, path: “/wikipedia/commons/3/3e/Einstein_1921.jpg”}
+        // Get an image for the graph, e.g. from commons
+        // This type specifies any content from the uploads.* domain, without query params
+        domainsKey: 'wikirawupload',
+        validate(urlObj) {
+            if (typeof urlObj.path !== 'string' ||
+                !/^\/[-a-z0-9]+\/[-a-z0-9_.]+\/([0-9a-f])\/\1[0-9a-f]\/[^/|\x1F?#\s]+\.[a-zA-Z0-9]+$/.test(urlObj.path)
+            ) {
+                throw new GraphError(codes.INVALID_PARAM,
+                    'wikirawupload: path must be in the form of /wikipedia/commons/x/xy/File.ext\n' + JSON.stringify(urlObj),
+                    {protocol: 'wikirawupload', field: 'path', value: urlObj.path});
+            }
+        },
+        buildUrl(urlObj, urlParts) {
+            urlParts.pathname = urlObj.path;
+        }
+    },
+
+    wikidatasparql: {
+        // {type: “wikidatasparql”, query: "..." [, bind: {name: value}, output: "table", keepRaw: true]}
+        // Runs a SPARQL query, converting it to
+        // https://query.wikidata.org/bigdata/namespace/wdq/sparql?format=json&query=...
+        domainsKey: 'wikidatasparql',
+        validate(urlObj) {
+            if (!urlObj.query) {
+                throw new GraphError(codes.MISSING_PARAM, 'wikidatasparql: missing query parameter',
+                    {protocol: 'wikidatasparql', field: 'query', value: urlObj.query});
+            }
+            if (typeof urlObj.query !== 'string') {
+                throw new GraphError(codes.INVALID_PARAM, 'wikidatasparql: query should be a string',
+                    {protocol: 'wikidatasparql', field: 'query', value: urlObj.query});
+            }
+            if (urlObj.output !== undefined && urlObj.output !== 'rows' && urlObj.output !== 'table') {
+                throw new GraphError(codes.INVALID_PARAM, 'wikidatasparql: output must be "rows" or "table"',
+                    {protocol: 'wikidatasparql', field: 'output', value: urlObj.output});
+            }
+            if (urlObj.keepRaw !== undefined && typeof urlObj.keepRaw !== 'boolean') {
+                throw new GraphError(codes.INVALID_PARAM, 'wikidatasparql: keepRaw should be a boolean',
+                    {protocol: 'wikidatasparql', field: 'keepRaw', value: urlObj.keepRaw});
+            }
+        },
+        buildUrl(urlObj, urlParts, ctx) {
+            // Substitute the $name parameters, e.g. {query: '?item wdt:P31 $cls', bind: {cls: 'Q5'}}
+            let query = urlObj.bind !== undefined ? SparqlTemplate.bind(urlObj.query, urlObj.bind) : urlObj.query;
+            query = SparqlGuard.check(query, this.sparql);
+
+            urlParts.pathname = '/bigdata/namespace/wdq/sparql';
+            ctx.options.headers = Object.assign(ctx.options.headers || {}, {'Accept': 'application/sparql-results+json'});
+            if (SparqlGuard.usePost(query, this.sparql)) {
+                // Long queries would overflow the url length limits of the servers.
+                // The loader passes the options to fetch() as is, so the method and the body are set at the top level.
+                ctx.options.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+                ctx.options.method = 'POST';
+                ctx.options.body = 'query=' + encodeURIComponent(query);
+            } else {
+                urlParts.query = {query};
+            }
+        },
+        parse(data, ctx) {
+            return SparqlResult.parse(parseJson(data, 'wikidatasparql'), {
+                output: ctx.urlObj.output,
+                keepRaw: ctx.urlObj.keepRaw
+            });
+        }
+    },
+
+    geoshape: geoshapeProtocol,
+    geoline: geoshapeProtocol,
+
+    mapsnapshot: {
+        // {type: “mapsnapshot”,  width:100, height:100, lat:10, lon:10, zoom:5 [, style:'osm', lang:’fr’,
+        //   scale: 1, format: 'jpeg', markers: [{lat: 10, lon: 10, size: 'm', symbol: 'star', color: 'f00'}],
+        //   ids: ['Q16']]}
+        // Converts it into a snapshot image request for Kartotherian:
+        // https://maps.wikimedia.org/img/{style},{zoom},{lat},{lon},{width}x{height}[@{scale}x].{format}
+        // (scale defaults to 2, and format to png), with the markers and the geoshapes drawn on top
+        // Uses the same configuration as geoshape service, so reuse settings
+        domainsKey: 'geoshape',
+        validate(urlObj) {
+            validate(urlObj, 'width', 1, 4096);
+            validate(urlObj, 'height', 1, 4096);
+            validate(urlObj, 'zoom', 0, 22);
+            validate(urlObj, 'lat', -90, 90, true);
+            validate(urlObj, 'lon', -180, 180, true);
+            if (urlObj.scale !== undefined) {
+                validate(urlObj, 'scale', 1, 3);
+            }
+
+            if (urlObj.style && !/^[-_0-9a-z]+$/.test(urlObj.style)) {
+                throw new GraphError(codes.INVALID_PARAM,
+                    'mapsnapshot: if style is given, it must be letters/numbers/dash/underscores only',
+                    {protocol: 'mapsnapshot', field: 'style', value: urlObj.style});
+            }
+            if (urlObj.lang && !/^[-_0-9a-zA-Z]+$/.test(urlObj.lang)) {
+                throw new GraphError(codes.INVALID_PARAM,
+                    'mapsnapshot: if lang is given, it must be letters/numbers/dash/underscores only',
+                    {protocol: 'mapsnapshot', field: 'lang', value: urlObj.lang});
+            }
+            MapSnapshot.validate(urlObj);
+        },
+        buildUrl(urlObj, urlParts) {
+            urlParts.pathname = MapSnapshot.buildPath(urlObj);
+            MapSnapshot.buildQuery(urlParts.query, urlObj);
+        }
+    }
+};
+
 class VegaWrapper2 {
     /**
      * Shared library to wrap around vega code
      * @param {Object} wrapperOpts Configuration options
      * @param {Object} wrapperOpts.loader Vega-loader object, its sanitize(), file() and load() method will be overwrited
+     * @param {boolean} [wrapperOpts.isTrusted] true if the graph spec can be trusted
      * @param {Object} wrapperOpts.domains allowed protocols and a list of their domains
      * @param {Object} wrapperOpts.domainMap domain remapping
      * @param {Function} wrapperOpts.logger
      * @param {Function} wrapperOpts.formatUrl
      * @param {string} [wrapperOpts.languageCode]
+     * @param {Object} [wrapperOpts.protocols] types to add (protocol object) or disable (false), keyed by name
+     * @param {ResponseCache|Object} [wrapperOpts.cache] cache the loaded responses, either a shared
+     *  ResponseCache instance, or the {ttl, maxSize} options of a new cache
+     * @param {Object} [wrapperOpts.budget] limits of the graph's data loads,
+     *  {maxRequests, maxTotalBytes, maxResponseBytes, timeout}, see ResourceBudget
+     * @param {string} [wrapperOpts.tabularErrors] 'null' (default) to replace tabular values that do not match
+     *  the schema with nulls and log them, or 'throw' to fail
+     * @param {Object} [wrapperOpts.sparql] limits of the wikidatasparql queries,
+     *  {maxLength, requireLimit, injectLimit, postLength}, see SparqlGuard
+     * @param {Object} [wrapperOpts.languageFallbacks] fallback languages to resolve the localized tabular values,
+     *  keyed by the language code, e.g. {'de-ch': ['de']}. Shorter forms of the code and English are always tried.
+     * @param {Object} [wrapperOpts.apiAllowlist] wikiapi actions to add (true or a rule object) or disable (false),
+     *  keyed by the action name, see ApiAllowlist
+     * @param {Object} [wrapperOpts.sites] site IDs and interwiki prefixes that may be used instead of the host
+     *  in the "wiki" parameter, e.g. {enwiki: 'en.wikipedia.org', commonswiki: {host: 'commons.wikimedia.org',
+     *  prefixes: ['commons', 'c']}}, see SiteTable
+     * @param {Object} [wrapperOpts.hostPaths] scriptPath and articlePath of the wikis that do not use the default
+     *  "/w" and "/wiki/$1", keyed by the host, see SitePaths
+     * @param {Fixtures|Object} [wrapperOpts.fixtures] record the responses into a fixture directory, or replay them
+     *  instead of loading, either a Fixtures instance, or the {mode, dir, fs, crypto} options of a new one.
+     *  Fixtures only work in node.js, and are not loaded unless this option is set.
      * @constructor
      */
     constructor(wrapperOpts) {
         // Copy all options into the wrapper
         Object.assign(this, wrapperOpts);
         this.validators = {};
+        this.protocols = VegaWrapper2.protocols.clone().configure(wrapperOpts.protocols || {});
+        this.attributions = new Attributions();
+        this.apiAllowlist = ApiAllowlist.configure(wrapperOpts.apiAllowlist);
+        this.sites = new SiteTable(wrapperOpts.sites);
+        this.hostPaths = SitePaths.configure(wrapperOpts.hostPaths);
+        if (this.cache && !(this.cache instanceof ResponseCache)) {
+            this.cache = new ResponseCache(this.cache);
+        }
+        if (this.budget) {
+            this.budget = new ResourceBudget(this.budget);
+        }
+        if (this.fixtures) {
+            const Fixtures = require('./Fixtures');
+            if (!(this.fixtures instanceof Fixtures)) {
+                this.fixtures = new Fixtures(this.fixtures);
+            }
+        }
 
         this.loader.sanitize = this.sanitize.bind(this);
-        this.loader.load = (uri, options) => 
-            this.sanitize(uri, options)
-                .then(opt => this.loader.http(opt.href, options))
-                .then(txt => this.parseResponse(txt, uri.type, options));
+        this.loader.load = (uri, options) => {
+            const protocol = this.protocols.get(uri.type);
+            const loaded = protocol && protocol.load
+                ? Promise.resolve().then(() => protocol.load.call(this, uri, options))
+                : this.loadObj(uri, options);
+            return loaded.then(txt => this.parseResponse(txt, uri.type, options, uri));
+        };
 
         // Prevent accidental use
-        this.loader.file = () => { throw new Error('Disabled'); };
+        this.loader.file = () => { throw new GraphError(codes.DISABLED, 'Disabled'); };
     }
 
     /**
@@ -54,6 +622,61 @@ class VegaWrapper2 {
         return Promise.resolve({href: this.objToUrl(uri, options), loadFile: false});
     }
 
+    /**
+     * Sanitize the url object, and load the resulting url
+     * @param {object} uri - An object that will be converted into an url string
+     * @param {object} options - passed by the vega loader
+     * @return {Promise} loaded text
+     */
+    loadObj(uri, options) {
+        return this.sanitize(uri, options).then(opt => this.loadUrl(opt.href, options));
+    }
+
+    /**
+     * Load the sanitized url, using the cache and the budget if they are enabled
+     * @param {string} href sanitized url
+     * @param {object} options passed by the vega loader, including the request headers
+     * @return {Promise} loaded text
+     */
+    loadUrl(href, options) {
+        if (this.budget) {
+            // Cached responses are also counted, so that the result does not depend on other graphs
+            return new Promise((resolve, reject) => {
+                this.budget.startRequest(href);
+                const callback = this.budget.wrapCallback((err, data) => err ? reject(err) : resolve(data), href);
+                this._loadUrl(href, options).then(data => callback(null, data), callback);
+            });
+        }
+        return this._loadUrl(href, options);
+    }
+
+    /**
+     * Load the sanitized url from the cache, the fixtures, or the network
+     * @private
+     */
+    _loadUrl(href, options) {
+        const key = ResponseCache.getKey(href, options && options.headers, options && options.body);
+        if (!this.cache) {
+            return this._loadHttp(href, options, key);
+        }
+        return this.cache.load(key, () => this._loadHttp(href, options, key));
+    }
+
+    /**
+     * Load the sanitized url from the network, or from the fixtures if they are enabled
+     * @private
+     */
+    _loadHttp(href, options, key) {
+        if (!this.fixtures) {
+            return this.loader.http(href, options);
+        }
+        return new Promise((resolve, reject) => {
+            this.fixtures.load(key,
+                callback => this.loader.http(href, options).then(data => callback(null, data), callback),
+                (err, data) => err ? reject(err) : resolve(data));
+        });
+    }
+
     /**
      * Check if host was listed in the allowed domains, normalize it, and get correct protocol
      * @param {string} host
@@ -71,6 +694,38 @@ class VegaWrapper2 {
         return undefined;
     };
 
+    /**
+     * Resolve the site ID or the interwiki prefix of the "wiki" parameter to the host, e.g. 'enwiki' or 'd:'.
+     * Hosts, including the ones of the domainMap, are returned as is.
+     * @param {string} wiki
+     * @param {string} type type of the url object, for the error
+     * @returns {string}
+     */
+    resolveWiki(wiki, type) {
+        if (!this.sites.isSiteId(wiki)) {
+            return wiki;
+        }
+        const host = this.sites.lookup(wiki);
+        if (host !== undefined) {
+            return host;
+        }
+        if (this.sites.isEmpty() || this.sanitizeHost(wiki)) {
+            return wiki;
+        }
+        throw this.sites.unknownSiteError(wiki, type);
+    }
+
+    /**
+     * Get the host the data was loaded from, the same way as objToUrl() does, e.g. for the attribution
+     * @param {Object} ctx {options, urlObj} of parse()
+     * @param {string} type type of the url object
+     * @returns {string}
+     */
+    getSourceHost(ctx, type) {
+        const host = this.resolveWiki(ctx.urlObj.wiki, type) || ctx.options.domain;
+        return (this.domainMap && this.domainMap[host]) || host;
+    }
+
     /**
      * Test host against the list of allowed domains based on the protocol
      * @param {string} protocol
@@ -90,7 +745,7 @@ class VegaWrapper2 {
     };
 
     /**
-     * Override the protocol and host for *wikidatasparql*, *geoshape*, *geoline* and *mapsnapshot*
+     * Override the protocol and host for *wikirawupload*, *wikidatasparql*, *geoshape*, *geoline* and *mapsnapshot*
      * @param {object} urlParts output the new result to this object
      * @param {object} urlObj used to log and determine the corresponding host
      * @param {string} protocolOverride used to determine the corresponding host
@@ -100,7 +755,8 @@ class VegaWrapper2 {
         let protocol = protocolOverride || urlObj.type,
             domains = this.domains[protocol];
         if (!domains) {
-            throw new Error(protocol + ': protocol is disabled: ' + JSON.stringify(urlObj));
+            throw new GraphError(codes.PROTOCOL_DISABLED, protocol + ': protocol is disabled: ' + JSON.stringify(urlObj),
+                {protocol, field: 'type', value: urlObj.type});
         }
         urlParts.host = domains[0];
         urlParts.protocol = this.sanitizeHost(urlParts.host).protocol;
@@ -113,217 +769,116 @@ class VegaWrapper2 {
      * @returns {string} a complete url
      */
     objToUrl(urlObj, options) {
-        const host = urlObj.wiki ? urlObj.wiki : options.domain;
+        // http and https objects specify their own host, all other types use the "wiki" parameter
+        const isHttp = urlObj.type === 'http' || urlObj.type === 'https';
+        const host = (isHttp ? urlObj.host : this.resolveWiki(urlObj.wiki, urlObj.type)) || options.domain;
         const sanitizedHost = this.sanitizeHost(host);
 
-        // Path to api.php, e.g. "/w" for Wikimedia projects.
-        const scriptPath = options.scriptPath !== undefined ? options.scriptPath : '/w'
-
         if (!sanitizedHost) {
-            throw new Error('URL hostname is not whitelisted: ' + host);
+            throw new GraphError(codes.HOST_NOT_ALLOWED, 'URL hostname is not whitelisted: ' + host,
+                {protocol: urlObj.type, field: isHttp ? 'host' : 'wiki', value: host});
         }
+
+        // Path to api.php, e.g. "/w" for Wikimedia projects, and the path of the pages, e.g. "/wiki/$1".
+        // The paths configured for the host take precedence over the scriptPath of the loader options.
+        const paths = SitePaths.get(this.hostPaths, sanitizedHost.host);
+        const scriptPath = paths ? paths.scriptPath
+            : options.scriptPath !== undefined ? options.scriptPath : SitePaths.DEFAULTS.scriptPath;
+        const articlePath = paths ? paths.articlePath : SitePaths.DEFAULTS.articlePath;
         const urlParts = {
             host: sanitizedHost.host,
             protocol: sanitizedHost.protocol,
             query: {}
         };
 
-        switch(urlObj.type) {
-            case 'wikiapi':
-                // {type: “wikiapi”, params: {action:”...”, ...} [, wiki: “en.wikipedia.org”]}
-                // Call to api.php - the *params* are converted into the url query string
-                // use *wiki* to designate the host
-                if(!urlObj.params || typeof urlObj.params !== 'object' || Array.isArray(urlObj.params)) {
-                    throw new Error('wikiapi: "params" should be an object');
-                }
-                for(const k of Object.keys(urlObj.params)) {
-                    const v = urlObj.params[k];
-                    if(!LITERAL_TYPES.has(typeof v)) {
-                        throw new Error('wikiapi: "params" value should be a literal (e.g. true, 123, "foo")');
-                    } else if(v === true) { // replace with 1
-                        urlObj.params[k] = 1;
-                    } else if(v === false) { // remove item if value is false
-                        delete urlObj.params[k];
-                    }
-                }
-                Object.assign(urlParts.query, urlObj.params, {format: 'json', formatversion: '2'});
-                urlParts.pathname = scriptPath + '/api.php';
-                options.addCorsOrigin = true;
-                break;
-
-            case 'wikirest':
-                // {type: “wikirest”, path: “/rest_v1/page/...” [, wiki: “en.wikipedia.org”]}
-                // Call to RESTbase api - will add "/api" in front of *path* automatically
-                // The /api/... path is safe for GET requests
-                if(!urlObj.path || typeof urlObj.path !== 'string') {
-                    throw new Error('wikirest: url path should be a non-empty string without the /api prefix');
-                }
-                urlParts.pathname = (urlObj.path.startsWith('/') ? '/api' : '/api/') + urlObj.path;
-                break;
-
-            case 'wikiraw':
-                // {type: “wikiraw”, title: “MyPage” [, wiki: “en.wikipedia.org”]}
-                // Get content of a wiki page
-                // Uses mediawiki api, and extract the content after the request
-                // Query value must be a valid MediaWiki title string, but we only ensure
-                // there is no pipe symbol or \x1F, the rest is handled by the api.
-                if (!urlObj.title || !/^[^|\x1F]+$/.test(urlObj.title)) {
-                    throw new Error('wikiraw: invalid title' + JSON.stringify(urlObj));
-                }
-                urlParts.query = {
-                    format: 'json',
-                    formatversion: '2',
-                    action: 'query',
-                    prop: 'revisions',
-                    rvprop: 'content',
-                    titles: urlObj.title
-                };
-
-                urlParts.pathname = scriptPath + '/api.php';
-                options.addCorsOrigin = true;
-                break;
-
-            case 'tabular':
-            case 'map':
-                // { type: 'tabular', title: 'Data.tab' [, lang: 'en'] }
-                // { type: 'map', title: 'Data.map' [, lang: 'en'] }
-                // Get content of a wiki page belonging to Data namespace
-                // Uses mediawiki api, and extract the content after the request
-                // Query value must be a valid MediaWiki title string, so we ensure there
-                // is no pipe symbol or \x1F and the title ends with .tab or .map
-                if (urlObj.type === 'map') {
-                    if (!/^[^|\x1F]+\.map$/.test(urlObj.title)) {
-                        throw new Error(`map: invalid title ${JSON.stringify(urlObj)}, can't contain pipe symbol, must end with .map`);
-                    }
-                } 
-                else if(!/^[^|\x1F]+\.tab$/.test(urlObj.title)) {
-                    throw new Error(`tabular: invalid title ${JSON.stringify(urlObj)}, can't contain pipe symbol, must end with .tab`);
-                }
-                urlParts.query = {
-                    format: 'json',
-                    formatversion: '2',
-                    action: 'jsondata',
-                    title: urlObj.title
-                };
-                if (urlObj.lang || this.languageCode) {
-                    urlParts.query.uselang = urlObj.lang || this.languageCode;
-                }
-
-                urlParts.pathname = scriptPath + '/api.php';
-                options.addCorsOrigin = true;
-                break;
+        if (options.type === 'open') {
+            return this._linkToUrl(urlObj, urlParts, options, articlePath);
+        }
 
-            case 'wikifile':
-                // {type: “wikifile”, title: “Einstein_1921.jpg”, [width=100, height=100]}
-                // Get an image for the graph, e.g. from commons, by using Special:Redirect
-                if (!urlObj.title || !/^[^|\x1F]+$/.test(urlObj.title)) {
-                    throw new Error('wikifile: invalid title' + JSON.stringify(urlObj));
-                }
-                urlParts.pathname = '/wiki/Special:Redirect/file/' + urlObj.title;
-                if(urlObj.width) {
-                    validate(urlObj, 'width', 0, Infinity);
-                    urlParts.query.width = urlObj.width;
-                }
-                if(urlObj.height) {
-                    validate(urlObj, 'height', 0, Infinity);
-                    urlParts.query.height = urlObj.height;
-                }
-                break;
+        const protocol = this.protocols.get(urlObj.type),
+              ctx = {options, scriptPath, articlePath, sanitizedHost};
+        if (!protocol) {
+            throw new GraphError(codes.UNKNOWN_PROTOCOL, 'Unknown type parameter ' + urlObj.type,
+                {protocol: urlObj.type, field: 'type', value: urlObj.type});
+        }
+        if (protocol.validate) {
+            protocol.validate.call(this, urlObj, ctx);
+        }
+        if (protocol.domainsKey) {
+            this._overrideHostAndProtocol(urlParts, urlObj, protocol.domainsKey);
+        }
+        protocol.buildUrl.call(this, urlObj, urlParts, ctx);
 
-            case 'wikidatasparql':
-                // {type: “wikidatasparql”, query: "..."}
-                // Runs a SPARQL query, converting it to
-                // https://query.wikidata.org/bigdata/namespace/wdq/sparql?format=json&query=...
-                this._overrideHostAndProtocol(urlParts, urlObj);
-                if (!urlObj.query) {
-                    throw new Error('wikidatasparql: missing query parameter');
-                }
-                if(typeof urlObj.query !== 'string') {
-                    throw new Error('wikidatasparql: query should be a string');
-                }
-                urlParts.query = {query: urlObj.query};
-                urlParts.pathname = '/bigdata/namespace/wdq/sparql';
-                options.headers = Object.assign(options.headers || {}, {'Accept': 'application/sparql-results+json'});
-                break;
+        return this.formatUrl(urlParts, options);
+    };
 
-            case 'geoshape':
-            case 'geoline':
-                // {type: “geoshape”, [ids: ["Q16","Q30"] | query:"..."] }
-                // Get geoshapes data from OSM database by supplying Wikidata IDs
-                // https://maps.wikimedia.org/shape?ids=Q16,Q30
-                // 'geoline:' is an identical service, except that it returns lines instead of polygons
-                this._overrideHostAndProtocol(urlParts, urlObj, 'geoshape');
-                if (!urlObj.ids && !urlObj.query) {
-                    throw new Error(urlObj.type + ' missing ids or query parameter in: ' + JSON.stringify(urlObj));
+    /**
+     * Convert the urlObj of the open() action to a url string. At this point open() may only be used
+     * to link to a Wiki page, as it may be invoked without a click, thus potentially causing a privacy issue.
+     * @param {object} urlObj either {type: 'wikititle', title: 'My page' [, wiki: 'en.wikipedia.org']},
+     *  or {type: 'https', path: '/wiki/My page' [, host: 'en.wikipedia.org']}
+     * @param {object} urlParts host and protocol of the already sanitized host
+     * @param {object} options passed by the vega loader
+     * @param {string} articlePath path of the pages of the host, e.g. '/wiki/$1'
+     * @returns {string} a complete url
+     * @private
+     */
+    _linkToUrl(urlObj, urlParts, options, articlePath) {
+        let title;
+        switch (urlObj.type) {
+            case 'http':
+            case 'https':
+                // If http and https types are used, the path must be a page path of the wiki, e.g. '/wiki/...'
+                title = typeof urlObj.path === 'string' ? SitePaths.getArticleTitle(articlePath, urlObj.path) : undefined;
+                if (title === undefined) {
+                    throw new GraphError(codes.LINK_NOT_ALLOWED, 'wikititle: http(s) links must begin with ' +
+                        articlePath.replace('$1', '') + ' prefix',
+                        {protocol: urlObj.type, field: 'path', value: urlObj.path});
                 }
-                if(urlObj.ids) {
-                    let ids = urlObj.ids;
-                    if (typeof ids === 'string') {
-                        // allow ids to be a string with a single wikidata ID (convert it to an array)
-                        ids = [ids];
-                    } else if (!Array.isArray(ids) || ids.length < 1 || ids.length > 1000) {
-                        throw new Error(`ids must be an non-empty array of Wikidata IDs with no more than 1000 items`);
-                    }
-                    ids.forEach(val => {
-                        if (!/^Q[1-9][0-9]{0,15}$/.test(val)) {
-                            throw new Error(`Invalid Wikidata ID ${JSON.stringify(val)}`);
-                        }
-                    });
-                    urlParts.query.ids = ids.join(',');
-                } else if(urlObj.query) {
-                    if(typeof urlObj.query !== 'string') {
-                        throw new Error(urlObj.type + ': query should be a non-empty string\n' + JSON.stringify(urlObj));
-                    }
-                    urlParts.query.query = urlObj.query;
-                } else {
-                    throw new Error(urlObj.type + 'requires either ids or query parameter');
+                // The path is url-encoded, same as in the browser's address bar
+                try {
+                    title = decodeURIComponent(title);
+                } catch (e) {
+                    throw new GraphError(codes.INVALID_TITLE, 'wikititle: invalid title ' + JSON.stringify(urlObj),
+                        {protocol: urlObj.type, field: 'path', value: urlObj.path});
                 }
-                urlParts.pathname = '/' + urlObj.type;
                 break;
 
-            case 'mapsnapshot':
-                // {type: “mapsnapshot”,  width:100, height:100, lat:10, lon:10, zoom:5 [, style:'osm', lang:’fr’]}
-                // Converts it into a snapshot image request for Kartotherian:
-                // https://maps.wikimedia.org/img/{style},{zoom},{lat},{lon},{width}x{height}[@{scale}x].{format}
-                // (scale will be set to 2, and format to png)
-                validate(urlObj, 'width', 1, 4096);
-                validate(urlObj, 'height', 1, 4096);
-                validate(urlObj, 'zoom', 0, 22);
-                validate(urlObj, 'lat', -90, 90, true);
-                validate(urlObj, 'lon', -180, 180, true);
-
-                if (urlObj.style && !/^[-_0-9a-z]+$/.test(urlObj.style)) {
-                    throw new Error('mapsnapshot: if style is given, it must be letters/numbers/dash/underscores only');
-                }
-                if (urlObj.lang && !/^[-_0-9a-zA-Z]+$/.test(urlObj.lang)) {
-                    throw new Error('mapsnapshot: if lang is given, it must be letters/numbers/dash/underscores only');
-                }
-
-                // Uses the same configuration as geoshape service, so reuse settings
-                this._overrideHostAndProtocol(urlParts, urlObj, 'geoshape');
-
-                urlParts.pathname = `/img/${urlObj.style || 'osm-intl'},${urlObj.zoom},${urlObj.lat},${urlObj.lon},${urlObj.width}x${urlObj.height}@2x.png`;
-
-                if (urlObj.lang) {
-                    urlParts.query.lang = urlObj.lang;
-                }
-
+            case 'wikititle':
+                title = urlObj.title;
                 break;
 
             default:
-                throw new Error('Unknown type parameter ' + urlObj.type);
+                throw new GraphError(codes.LINK_NOT_ALLOWED,
+                    '"open()" action only allows links with wikititle type, e.g. {type: "wikititle", title: "My_page"}',
+                    {protocol: urlObj.type, field: 'type', value: urlObj.type});
         }
 
+        if (urlObj.query !== undefined &&
+            (!urlObj.query || typeof urlObj.query !== 'object' || Object.keys(urlObj.query).length !== 0)
+        ) {
+            throw new GraphError(codes.QUERY_NOT_ALLOWED, 'wikititle: query parameters are not allowed',
+                {protocol: urlObj.type, field: 'query', value: urlObj.query});
+        }
+        // Trim the value here because mediawiki will do it anyway, so we might as well save on redirect
+        title = typeof title === 'string' ? title.trim() : '';
+        if (!/^[^|\x1F]+$/.test(title)) {
+            throw new GraphError(codes.INVALID_TITLE, 'wikititle: invalid title ' + JSON.stringify(urlObj),
+                {protocol: urlObj.type, field: urlObj.type === 'wikititle' ? 'title' : 'path', value: title});
+        }
+        urlParts.pathname = SitePaths.buildArticlePath(articlePath, encodeURIComponent(title.replace(/ /g, '_')));
+
         return this.formatUrl(urlParts, options);
-    };
+    }
 
     /**
      * Parses the response from MW Api, throwing an error or logging warnings
      */
-    parseMWApiResponse(data) {
-        data = JSON.parse(data);
+    parseMWApiResponse(data, type) {
+        data = parseJson(data, type);
         if (data.error) {
-            throw new Error('API error: ' + JSON.stringify(data.error));
+            throw new GraphError(codes.API_ERROR, 'API error: ' + JSON.stringify(data.error),
+                {protocol: type, value: data.error});
         }
         if (data.warnings) {
             this.logger('API warnings: ' + JSON.stringify(data.warnings));
@@ -346,66 +901,45 @@ class VegaWrapper2 {
 
     /**
      * Performs post-processing of the data requested by the graph's spec
+     * @param {string} data loaded data
+     * @param {string} type type of the url object
+     * @param {object} [options] passed by the vega loader
+     * @param {object} [urlObj] the url object that was used to load the data
      */
-    parseResponse(data, type) {
-        switch (type) {
-            case 'wikiapi':
-                data = this.parseMWApiResponse(data);
-                break;
-            case 'wikiraw':
-                data = this.parseMWApiResponse(data);
-                try {
-                    data = data.query.pages[0].revisions[0].content;
-                } catch (e) {
-                    throw new Error('Page content not available\n' + JSON.stringify(data));
-                }
-                break;
-            case 'wikidatasparql':
-                data = JSON.parse(data);
-                if (!data.results || !Array.isArray(data.results.bindings)) {
-                    throw new Error('SPARQL query result does not have "results.bindings"');
-                }
-                data = data.results.bindings.map(row => {
-                    let key, result = {};
-                    for (key in row) {
-                        if (row.hasOwnProperty(key)) {
-                            result[key] = parseWikidataValue(row[key]);
-                        }
-                    }
-                    return result;
-                });
-                break;
-            case 'tabular':
-                data = this.parseMWApiResponse(data).jsondata;
-                const fields = data.schema.fields.map(v => v.name);
-                data = {
-                    meta: this.getMetaData(data),
-                    fields: data.schema.fields,
-                    data: data.data.map(v => {
-                        const row = {};
-                        for (let i = 0; i < fields.length; i++) {
-                            // Need to copy nulls too -- Vega has no easy way to test for undefined
-                            row[fields[i]] = v[i];
-                        }
-                        return row;
-                    })
-                }
-                break;
-            case 'map':
-                data = this.parseMWApiResponse(data).jsondata;
-                const metadata = this.getMetaData(data);
-                metadata[0].zoom = data.zoom;
-                metadata[0].latitude = data.latitude;
-                metadata[0].longitude = data.longitude;
-                data = {
-                    meta: metadata,
-                    data: data.data
-                };
-                break;
+    parseResponse(data, type, options, urlObj) {
+        const protocol = this.protocols.get(type);
+        if (protocol && protocol.parse) {
+            data = protocol.parse.call(this, data, {options: options || {}, urlObj: urlObj || {type}});
         }
-
         return data;
     };
+
+    /**
+     * Register a new type for this wrapper, or replace an existing one.
+     * See the builtinProtocols for the parameters of each function.
+     * @param {string} name type name
+     * @param {object} protocol
+     * @returns {VegaWrapper2}
+     */
+    registerProtocol(name, protocol) {
+        this.protocols.register(name, protocol);
+        return this;
+    }
+
+    /**
+     * Get the license and the sources of all datasets parsed so far, without duplicates,
+     * e.g. to show a "Data sources" footer under the graph
+     * @returns {Object[]} see Attributions.list()
+     */
+    getAttributions() {
+        return this.attributions.list();
+    }
 }
 
+/**
+ * Default types of all new wrappers. Modifying it will affect all wrappers created afterwards.
+ * @type {ProtocolRegistry}
+ */
+VegaWrapper2.protocols = new ProtocolRegistry(builtinProtocols, 'wrapper2');
+
 module.exports = VegaWrapper2;
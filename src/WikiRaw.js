@@ -0,0 +1,132 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError');
+
+module.exports = {
+    MAX_REVISION_ID: 4294967295,
+    MAX_SECTION: 9999,
+    validate: validate,
+    getRevision: getRevision,
+    buildQuery: buildQuery,
+    getContent: getContent
+};
+
+/**
+ * Create a wikiraw error
+ * @param {string} code one of the GraphError.codes
+ * @param {string} message
+ * @param {string} field
+ * @param {*} value
+ * @return {GraphError}
+ */
+function wikirawError(code, message, field, value) {
+    return new GraphError(code, 'wikiraw: ' + message, {protocol: 'wikiraw', field: field, value: value});
+}
+
+/**
+ * Validate the optional parameters that are common for both wrappers.
+ * The numbers are validated by the wrappers, see MAX_REVISION_ID and MAX_SECTION.
+ * @param {Object} opts
+ * @param {number|string} [opts.oldid] revision ID, same as revid
+ * @param {number|string} [opts.revid] revision ID, same as oldid
+ * @param {string} [opts.slot] content slot role, e.g. 'main' or 'mediainfo'
+ */
+function validate(opts) {
+    if (opts.oldid !== undefined && opts.revid !== undefined && String(opts.oldid) !== String(opts.revid)) {
+        throw wikirawError(GraphError.codes.INVALID_PARAM,
+            'oldid and revid are the same parameter, only one of them should be set', 'revid', opts.revid);
+    }
+    if (opts.slot !== undefined && (typeof opts.slot !== 'string' || !/^[a-z][a-z0-9_]*$/.test(opts.slot))) {
+        throw wikirawError(GraphError.codes.INVALID_PARAM,
+            'if slot is given, it must be lower case letters/numbers/underscores only', 'slot', opts.slot);
+    }
+}
+
+/**
+ * Get the pinned revision ID
+ * @param {Object} opts validated parameters
+ * @return {number|undefined}
+ */
+function getRevision(opts) {
+    var revid = opts.oldid !== undefined ? opts.oldid : opts.revid;
+    return revid === undefined ? undefined : parseInt(revid, 10);
+}
+
+/**
+ * Normalize the title for the comparison, similar to the api for the most wikis: underscores and repeated spaces
+ * become single spaces, and the first letters of the namespace and of the title are upper case
+ * @param {string} title
+ * @return {string}
+ */
+function normalizeTitle(title) {
+    return String(title).replace(/[_\s]+/g, ' ').trim().replace(/\s*:\s*/, ':')
+        .replace(/^(.)([^:]*:(.))?/, function (match, first, ns, next) {
+            return first.toUpperCase() + (ns ? ns.substring(0, ns.length - 1) + next.toUpperCase() : '');
+        });
+}
+
+/**
+ * Build the api query to get the content of a page. If the revision is pinned, it determines the page,
+ * because the api does not allow the titles and the revids to be used together, see getContent().
+ * @param {string} title
+ * @param {Object} opts validated parameters
+ * @param {number|string} [opts.section] section number, 0 for the text before the first heading
+ * @return {Object}
+ */
+function buildQuery(title, opts) {
+    var revid = getRevision(opts),
+        query = {
+            format: 'json',
+            formatversion: '2',
+            action: 'query',
+            prop: 'revisions',
+            rvprop: 'content',
+            rvslots: opts.slot || 'main'
+        };
+    if (revid !== undefined) {
+        query.revids = revid;
+    } else {
+        query.titles = title;
+    }
+    if (opts.section !== undefined) {
+        query.rvsection = parseInt(opts.section, 10);
+    }
+    return query;
+}
+
+/**
+ * Get the page content from the api response. If the revision is pinned, the page of the revision
+ * must be the requested one, so that a wrong revision ID does not silently load another page.
+ * @param {Object} data parsed api response
+ * @param {Object} opts validated parameters
+ * @param {string} [opts.title] requested title, checked if the revision is pinned
+ * @return {string|undefined} undefined if the content is not available, e.g. the page does not exist
+ */
+function getContent(data, opts) {
+    var revid = getRevision(opts),
+        slot = opts.slot || 'main',
+        query = data && data.query,
+        page = query && Array.isArray(query.pages) ? query.pages[0] : undefined,
+        revision = page && Array.isArray(page.revisions) ? page.revisions[0] : undefined;
+
+    if (query && query.badrevids) {
+        throw wikirawError(GraphError.codes.INVALID_RESPONSE, 'revision ' + revid + ' does not exist', 'revid', revid);
+    }
+    if (!revision) {
+        return undefined;
+    }
+    if (revid !== undefined && opts.title !== undefined && normalizeTitle(page.title) !== normalizeTitle(opts.title)) {
+        throw wikirawError(GraphError.codes.INVALID_RESPONSE, 'revision ' + revid + ' belongs to ' +
+            JSON.stringify(page.title) + ', not to ' + JSON.stringify(opts.title), 'revid', revid);
+    }
+    if (revision.slots) {
+        if (!revision.slots[slot]) {
+            throw wikirawError(GraphError.codes.INVALID_RESPONSE,
+                'slot ' + JSON.stringify(slot) + ' does not exist in ' + JSON.stringify(page.title), 'slot', slot);
+        }
+        return revision.slots[slot].content;
+    }
+    // Older api versions only return the main slot
+    return slot === 'main' ? revision.content : undefined;
+}
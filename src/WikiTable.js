@@ -0,0 +1,389 @@
+'use strict';
+/* global module */
+
+var GraphError = require('./GraphError'),
+    WikiRaw = require('./WikiRaw');
+
+module.exports = {
+    MAX_INDEX: 999,
+    MAX_SPAN: 100,
+    MAX_CELLS: 50000,
+    buildQuery: buildQuery,
+    parse: parse,
+    parseTables: parseTables
+};
+
+/**
+ * Number with optional thousands separators, e.g. "1,234,567.8", "-12 345", or "1234"
+ */
+var NUMBER_RE = /^[-\u2212]?(?:[0-9]{1,3}(?:([, \u00a0\u2009\u202f])[0-9]{3})(?:\1[0-9]{3})*|[0-9]+)(?:\.[0-9]+)?$/;
+
+/**
+ * Create an error about the response
+ * @param {string} message
+ * @param {string} field
+ * @param {*} value
+ * @return {GraphError}
+ */
+function responseError(message, field, value) {
+    return new GraphError(GraphError.codes.INVALID_RESPONSE, 'wikitable: ' + message,
+        {protocol: 'wikitable', field: field, value: value});
+}
+
+/**
+ * Build the api query to get the page content and the license of the wiki
+ * @param {string} title
+ * @return {Object}
+ */
+function buildQuery(title) {
+    var query = WikiRaw.buildQuery(title, {});
+    query.meta = 'siteinfo';
+    query.siprop = 'rightsinfo';
+    return query;
+}
+
+/**
+ * Find the position of the separator outside of the links and the templates
+ * @param {string} text
+ * @param {string} separator e.g. '||'
+ * @param {number} [from]
+ * @return {number} -1 if not found
+ */
+function indexOfTopLevel(text, separator, from) {
+    var depth = 0, pos, pair;
+    for (pos = from || 0; pos < text.length; pos++) {
+        pair = text.substr(pos, 2);
+        if (pair === '[[' || pair === '{{') {
+            depth++;
+            pos++;
+        } else if ((pair === ']]' || pair === '}}') && depth > 0) {
+            depth--;
+            pos++;
+        } else if (depth === 0 && text.substr(pos, separator.length) === separator) {
+            return pos;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split the text by any of the separators, outside of the links and the templates
+ * @param {string} text
+ * @param {string[]} separators
+ * @return {string[]}
+ */
+function splitTopLevel(text, separators) {
+    var result = [], start = 0, pos, next, sepLength;
+    while (true) {
+        pos = -1;
+        separators.forEach(function (separator) {
+            next = indexOfTopLevel(text, separator, start);
+            if (next !== -1 && (pos === -1 || next < pos)) {
+                pos = next;
+                sepLength = separator.length;
+            }
+        });
+        if (pos === -1) {
+            result.push(text.substring(start));
+            return result;
+        }
+        result.push(text.substring(start, pos));
+        start = pos + sepLength;
+    }
+}
+
+/**
+ * Convert cell wikitext into plain text: the templates, references, comments and html tags are removed,
+ * and only the text of the links is kept
+ * @param {string} text
+ * @return {string}
+ */
+function toPlainText(text) {
+    var prev;
+
+    text = text
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<ref[^>]*\/>/gi, '')
+        .replace(/<ref[^>]*>[\s\S]*?<\/ref>/gi, '')
+        .replace(/\{\|[\s\S]*?\|\}/g, '')
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/<[^>]+>/g, '');
+
+    // Innermost templates first. Keep the values of the common sorting and number formatting templates.
+    do {
+        prev = text;
+        text = text.replace(/\{\{([^{}]*)\}\}/g, function (match, content) {
+            var parts = content.split('|'),
+                name = parts[0].trim().toLowerCase();
+            if (/^formatnum:/.test(name)) {
+                return content.substring(content.indexOf(':') + 1).trim();
+            }
+            if ((name === 'nts' || name === 'ntsh' || name === 'sort') && parts.length > 1) {
+                return parts[parts.length - 1].trim();
+            }
+            return '';
+        });
+    } while (text !== prev);
+
+    return text
+        .replace(/\[\[(?:File|Image):[^\]]*\]\]/gi, '')
+        .replace(/\[\[(?:[^|\]]*\|)?([^\]]*)\]\]/g, '$1')
+        .replace(/\[(?:https?:)?\/\/[^\s\]]+\s*([^\]]*)\]/g, '$1')
+        .replace(/'{2,}/g, '')
+        .replace(/&(nbsp|#160|amp|lt|gt|quot);/g, function (match, entity) {
+            return {nbsp: ' ', '#160': ' ', amp: '&', lt: '<', gt: '>', quot: '"'}[entity];
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parse the cell wikitext, with optional attributes, e.g. 'rowspan="2" | [[Link|Text]]'
+ * @param {string} text
+ * @param {boolean} isHeader
+ * @return {{isHeader: boolean, text: string, rowspan: number, colspan: number}}
+ */
+function parseCell(text, isHeader) {
+    var pos = indexOfTopLevel(text, '|'),
+        attrs = pos === -1 ? '' : text.substring(0, pos),
+        rowspan = /rowspan\s*=\s*["']?\s*([0-9]+)/i.exec(attrs),
+        colspan = /colspan\s*=\s*["']?\s*([0-9]+)/i.exec(attrs);
+
+    return {
+        isHeader: isHeader,
+        text: toPlainText(pos === -1 ? text : text.substring(pos + 1)),
+        rowspan: rowspan ? Math.max(1, Math.min(parseInt(rowspan[1], 10), module.exports.MAX_SPAN)) : 1,
+        colspan: colspan ? Math.max(1, Math.min(parseInt(colspan[1], 10), module.exports.MAX_SPAN)) : 1
+    };
+}
+
+/**
+ * Find all top level tables of the wikitext
+ * @param {string} wikitext
+ * @return {{caption: string|undefined, rows: Object[][]}[]} tables with the rows of parsed cells
+ */
+function parseTables(wikitext) {
+    var tables = [], table, row, depth = 0, lastCell;
+
+    wikitext.split('\n').forEach(function (line) {
+        var trimmed = line.trim();
+
+        if (depth > 1 && trimmed.substring(0, 2) !== '{|' && trimmed.substring(0, 2) !== '|}') {
+            // Nested tables are kept as the cell text, and removed by toPlainText()
+            if (lastCell) {
+                lastCell.wikitext += '\n' + line;
+            }
+            return;
+        }
+
+        if (trimmed.substring(0, 2) === '{|') {
+            depth++;
+            if (depth === 1) {
+                table = {caption: undefined, rows: []};
+                row = [];
+                lastCell = undefined;
+                tables.push(table);
+            } else if (lastCell) {
+                lastCell.wikitext += '\n' + line;
+            }
+        } else if (trimmed.substring(0, 2) === '|}' && depth > 0) {
+            depth--;
+            if (depth === 0) {
+                table.rows.push(row);
+                table = undefined;
+            } else if (lastCell) {
+                lastCell.wikitext += '\n' + line;
+            }
+        } else if (!table) {
+            // Text outside of the tables
+        } else if (trimmed.substring(0, 2) === '|+') {
+            table.caption = toPlainText(trimmed.substring(2).replace(/^[^|[{]*\|(?!\|)/, ''));
+            lastCell = undefined;
+        } else if (trimmed.substring(0, 2) === '|-') {
+            table.rows.push(row);
+            row = [];
+            lastCell = undefined;
+        } else if (trimmed[0] === '!' || trimmed[0] === '|') {
+            splitTopLevel(trimmed.substring(1), trimmed[0] === '!' ? ['!!', '||'] : ['||']).forEach(function (text) {
+                lastCell = {isHeader: trimmed[0] === '!', wikitext: text};
+                row.push(lastCell);
+            });
+        } else if (lastCell) {
+            // Multi-line cell content
+            lastCell.wikitext += '\n' + line;
+        }
+    });
+    if (table) {
+        // The table is not closed at the end of the page
+        table.rows.push(row);
+    }
+
+    return tables.map(function (t) {
+        return {
+            caption: t.caption,
+            rows: t.rows.filter(function (cells) {
+                return cells.length > 0;
+            }).map(function (cells) {
+                return cells.map(function (cell) {
+                    return parseCell(cell.wikitext, cell.isHeader);
+                });
+            })
+        };
+    });
+}
+
+/**
+ * Place the cells into a grid, repeating the cells that span multiple rows and columns.
+ * The spans make the grid much larger than the wikitext, so the total number of the grid cells is limited.
+ * @param {Object[][]} rows
+ * @return {Object[][]}
+ */
+function toGrid(rows) {
+    var spans = [], count = 0;
+
+    return rows.map(function (cells) {
+        var result = [], col = 0;
+
+        function place(cell) {
+            if (++count > module.exports.MAX_CELLS) {
+                throw responseError('table has more than ' + module.exports.MAX_CELLS +
+                    ' cells, including the cells repeated by rowspan and colspan', 'cells', count);
+            }
+            result[col] = cell;
+        }
+
+        function fillSpans() {
+            while (spans[col] && spans[col].rows > 0) {
+                place(spans[col].cell);
+                spans[col].rows--;
+                col++;
+            }
+        }
+
+        cells.forEach(function (cell) {
+            var i;
+            fillSpans();
+            for (i = 0; i < cell.colspan; i++) {
+                place(cell);
+                spans[col] = {rows: cell.rowspan - 1, cell: cell};
+                col++;
+            }
+        });
+        for (; col < spans.length; col++) {
+            if (spans[col] && spans[col].rows > 0) {
+                place(spans[col].cell);
+                spans[col].rows--;
+            }
+        }
+        return result;
+    });
+}
+
+/**
+ * Convert the cell text into a number if it looks like one, removing the thousands separators
+ * @param {string} text
+ * @return {string|number|null}
+ */
+function toValue(text) {
+    if (text === '') {
+        return null;
+    }
+    if (NUMBER_RE.test(text)) {
+        return parseFloat(text.replace(/[, \u00a0\u2009\u202f]/g, '').replace('\u2212', '-'));
+    }
+    return text;
+}
+
+/**
+ * Convert the table into the fields and the data rows. The leading rows with only the header cells
+ * give the column names, multiple header rows are joined, e.g. "Population 2010".
+ * @param {{caption: string|undefined, rows: Object[][]}} table
+ * @return {{fields: Object[], data: Object[]}}
+ */
+function tableToData(table) {
+    var grid = toGrid(table.rows),
+        columns = grid.reduce(function (count, cells) {
+            return Math.max(count, cells.length);
+        }, 0),
+        headerRows = 0, names = [], seen = {}, fields, col, parts, name, suffix;
+
+    while (headerRows < grid.length && grid[headerRows].length > 0 && grid[headerRows].every(function (cell) {
+        return cell && cell.isHeader;
+    })) {
+        headerRows++;
+    }
+
+    for (col = 0; col < columns; col++) {
+        parts = [];
+        suffix = 1;
+        grid.slice(0, headerRows).forEach(function (cells) {
+            var text = cells[col] && cells[col].text;
+            if (text && parts.indexOf(text) === -1) {
+                parts.push(text);
+            }
+        });
+        name = parts.join(' ') || 'column' + (col + 1);
+        while (seen.hasOwnProperty(suffix === 1 ? name : name + '_' + suffix)) {
+            suffix++;
+        }
+        name = suffix === 1 ? name : name + '_' + suffix;
+        seen[name] = true;
+        names.push(name);
+    }
+
+    fields = names.map(function (name) {
+        return {name: name, type: 'number'};
+    });
+    return {
+        fields: fields,
+        data: grid.slice(headerRows).map(function (cells) {
+            var row = {};
+            names.forEach(function (name, index) {
+                var value = cells[index] ? toValue(cells[index].text) : null;
+                if (value !== null && typeof value !== 'number') {
+                    fields[index].type = 'string';
+                }
+                row[name] = value;
+            });
+            return row;
+        })
+    };
+}
+
+/**
+ * Extract the table from the api response into rows, with the same meta as the tabular data
+ * @param {Object} data parsed api response
+ * @param {Object} opts
+ * @param {string} opts.title page title
+ * @param {number|string} [opts.index] 0-based index of the table on the page, 0 by default
+ * @return {{meta: Object[], fields: Object[], data: Object[]}}
+ */
+function parse(data, opts) {
+    var content = WikiRaw.getContent(data, {}),
+        index = opts.index === undefined ? 0 : parseInt(opts.index, 10),
+        rightsinfo = (data.query && data.query.rightsinfo) || {},
+        tables, table, result;
+
+    if (content === undefined) {
+        throw responseError('page content not available: ' + JSON.stringify(opts.title), 'title', opts.title);
+    }
+    tables = parseTables(content);
+    table = tables[index];
+    if (!table) {
+        throw responseError('table ' + index + ' not found, page ' + JSON.stringify(opts.title) + ' has ' +
+            tables.length + ' table(s)', 'index', index);
+    }
+
+    result = tableToData(table);
+    return {
+        meta: [{
+            description: table.caption || opts.title,
+            license_code: undefined,
+            license_text: rightsinfo.text,
+            license_url: rightsinfo.url,
+            sources: opts.title
+        }],
+        fields: result.fields,
+        data: result.data
+    };
+}
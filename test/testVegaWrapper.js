@@ -5,7 +5,22 @@ var assert = require('assert'),
     util = require('util'),
     urllib = require('url'),
     VegaWrapper = require('../src/VegaWrapper'),
-    VegaWrapper2 = require('../src/VegaWrapper2');
+    VegaWrapper2 = require('../src/VegaWrapper2'),
+    urlConverter = require('../src/UrlConverter'),
+    ProtocolRegistry = require('../src/ProtocolRegistry'),
+    GraphError = require('../src/GraphError'),
+    ResponseCache = require('../src/ResponseCache'),
+    ResourceBudget = require('../src/ResourceBudget'),
+    TabularData = require('../src/TabularData'),
+    SparqlGuard = require('../src/SparqlGuard'),
+    TextData = require('../src/TextData'),
+    SiteTable = require('../src/SiteTable'),
+    SitePaths = require('../src/SitePaths'),
+    Fixtures = require('../src/Fixtures'),
+    fs = require('fs'),
+    crypto = require('crypto'),
+    os = require('os'),
+    path = require('path');
 
 describe('vegaWrapper', function() {
 
@@ -155,6 +170,13 @@ describe('vegaWrapper', function() {
         passWithCors('wikiapi://nonsec.org?a=1', 'http://nonsec.org/w/api.php?a=1&format=json&formatversion=2');
         passWithCors('wikiapi://wikiapi.nonsec.org?a=1', 'http://wikiapi.nonsec.org/w/api.php?a=1&format=json&formatversion=2');
         passWithCors('wikiapi://nonsec?a=1', 'http://nonsec.org/w/api.php?a=1&format=json&formatversion=2');
+        passWithCors('wikiapi://sec?action=query&list=allpages%7Csearch&prop=info', 'https://sec.org/w/api.php?action=query&list=allpages%7Csearch&prop=info&format=json&formatversion=2');
+        fail('wikiapi://sec?action=edit&title=A');
+        fail('wikiapi://sec?action=parse&prop=text&page=A');
+        fail('wikiapi://sec?action=query&meta=tokens');
+        fail('wikiapi://sec?action=query&list=allpages%7Cusers');
+        fail('wikiapi://sec?action=query&list=allpages&list=search');
+        fail('wikiapi://sec?action=jsondata&token=abc');
 
         // wikirest allows sub-domains, requires path to begin with "/api/"
         fail('wikirest://sec.org');
@@ -171,14 +193,32 @@ describe('vegaWrapper', function() {
         fail('wikiraw://asec.org/aaa');
         fail('wikiraw:///abc|xyz');
         fail('wikiraw://sec.org/abc|xyz');
-        passWithCors('wikiraw:///abc', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=abc');
-        passWithCors('wikiraw:///abc/xyz', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=abc%2Fxyz');
-        passWithCors('wikiraw://sec.org/aaa', 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=aaa');
-        passWithCors('wikiraw://sec.org/aaa?a=10', 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=aaa');
-        passWithCors('wikiraw://sec.org/abc/def', 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=abc%2Fdef');
-        passWithCors('wikiraw://sec/aaa', 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=aaa');
-        passWithCors('wikiraw://sec/abc/def', 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=abc%2Fdef');
-        passWithCors('wikiraw://wikiraw.sec.org/abc', 'https://wikiraw.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=abc');
+        passWithCors('wikiraw:///abc', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc');
+        passWithCors('wikiraw:///abc/xyz', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc%2Fxyz');
+        passWithCors('wikiraw://sec.org/aaa', 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=aaa');
+        passWithCors('wikiraw://sec.org/aaa?a=10', 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=aaa');
+        passWithCors('wikiraw://sec.org/abc/def', 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc%2Fdef');
+        passWithCors('wikiraw://sec/aaa', 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=aaa');
+        passWithCors('wikiraw://sec/abc/def', 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc%2Fdef');
+        passWithCors('wikiraw://wikiraw.sec.org/abc', 'https://wikiraw.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc');
+        passWithCors('wikiraw:///abc?oldid=123&section=2', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&revids=123&rvsection=2');
+        passWithCors('wikiraw:///abc?revid=123&slot=mediainfo', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=mediainfo&revids=123');
+        passWithCors('wikiraw:///abc?section=0', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc&rvsection=0');
+        fail('wikiraw:///abc?oldid=0');
+        fail('wikiraw:///abc?oldid=abc');
+        fail('wikiraw:///abc?oldid=1&revid=2');
+        fail('wikiraw:///abc?section=-1');
+        fail('wikiraw:///abc?slot=Main');
+        passWithCors('wikiraw:///abc?format=csv&header=false&inferNumbers=false', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc');
+        fail('wikiraw:///abc?format=xml');
+        fail('wikiraw:///abc?format=csv&header=yes');
+        fail('wikiraw:///abc?header=true');
+
+        fail('wikitable:///abc|xyz');
+        fail('wikitable:///abc?index=-1');
+        fail('wikitable:///abc?index=x');
+        passWithCors('wikitable:///abc', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc&meta=siteinfo&siprop=rightsinfo');
+        passWithCors('wikitable:///abc?index=2', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc&meta=siteinfo&siprop=rightsinfo');
 
         fail('wikirawupload://sec.org');
         fail('wikirawupload://sec.org/');
@@ -203,9 +243,11 @@ describe('vegaWrapper', function() {
         fail('wikidatasparql://asec.org/aaa');
         fail('wikidatasparql:///aaa');
         fail('wikidatasparql:///?aquery=1');
-        pass('wikidatasparql:///?query=1', 'http://wikidatasparql.nonsec.org/bigdata/namespace/wdq/sparql?query=1');
-        pass('wikidatasparql://wikidatasparql.sec.org/?query=1', 'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql?query=1');
-        pass('wikidatasparql://wikidatasparql.sec.org/?query=1&blah=2', 'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql?query=1');
+        pass('wikidatasparql:///?query=ASK%7B%7D', 'http://wikidatasparql.nonsec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+        pass('wikidatasparql://wikidatasparql.sec.org/?query=ASK%7B%7D', 'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+        pass('wikidatasparql://wikidatasparql.sec.org/?query=ASK%7B%7D&blah=2', 'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+        pass('wikidatasparql:///?query=ASK%7B%7D&output=table&keepRaw=true', 'http://wikidatasparql.nonsec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+        fail('wikidatasparql:///?query=ASK%7B%7D&output=csv');
 
         fail('geoshape://sec.org');
         fail('geoshape://sec.org/');
@@ -234,6 +276,9 @@ describe('vegaWrapper', function() {
         pass('wikifile:///Einstein_1921.jpg', 'https://domain.sec.org/wiki/Special:Redirect/file/Einstein_1921.jpg');
         pass('wikifile:///Einstein_1921.jpg?width=10', 'https://domain.sec.org/wiki/Special:Redirect/file/Einstein_1921.jpg?width=10');
         pass('wikifile://sec.org/Einstein_1921.jpg', 'https://sec.org/wiki/Special:Redirect/file/Einstein_1921.jpg');
+        passWithCors('wikifileinfo:///Einstein_1921.jpg?width=10', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=imageinfo&iiprop=url%7Csize%7Cmime%7Cextmetadata&titles=File%3AEinstein_1921.jpg&iiurlwidth=10&iiextmetadatalanguage=en');
+        fail('wikifileinfo:///Einstein|1921.jpg');
+        fail('wikifileinfo:///Einstein_1921.jpg?width=abc');
 
         fail('mapsnapshot://sec.org');
         fail('mapsnapshot://sec.org/');
@@ -244,6 +289,14 @@ describe('vegaWrapper', function() {
         pass('mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5', 'http://maps.nonsec.org/img/osm-intl,5,10,10,100x100@2x.png');
         pass('mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5&style=osm', 'http://maps.nonsec.org/img/osm,5,10,10,100x100@2x.png');
         pass('mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5&style=osm&lang=local', 'http://maps.nonsec.org/img/osm,5,10,10,100x100@2x.png?lang=local');
+        pass('mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5&scale=1&format=jpeg', 'http://maps.nonsec.org/img/osm-intl,5,10,10,100x100.jpeg');
+        pass('mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5&scale=3&markers=pin-m-star%2Bf00(10,20.5),pin-s(-1,2)&ids=Q16,Q30',
+            'http://maps.nonsec.org/img/osm-intl,5,10,10,100x100@3x.png?markers=pin-m-star%2Bf00(10%2C20.5)%2Cpin-s(-1%2C2)&ids=Q16%2CQ30');
+        fail('mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5&scale=4');
+        fail('mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5&format=gif');
+        fail('mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5&markers=pin-x(1,2)');
+        fail('mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5&markers=pin-m(1,200)');
+        fail('mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5&ids=Q1,P2');
 
         fail('tabular://sec.org');
         fail('tabular://sec.org/');
@@ -259,6 +312,7 @@ describe('vegaWrapper', function() {
         passWithCors('tabular://sec/aaa', 'https://sec.org/w/api.php?format=json&formatversion=2&action=jsondata&title=aaa&uselang=en');
         passWithCors('tabular://sec/abc/def', 'https://sec.org/w/api.php?format=json&formatversion=2&action=jsondata&title=abc%2Fdef&uselang=en');
         passWithCors('tabular://wikiraw.sec.org/abc', 'https://wikiraw.sec.org/w/api.php?format=json&formatversion=2&action=jsondata&title=abc&uselang=en');
+        passWithCors('tabular:///abc?lang=fr&keepLocalized=true', 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=jsondata&title=abc&uselang=fr');
 
         fail('map://sec.org');
         fail('map://sec.org/');
@@ -336,6 +390,23 @@ describe('vegaWrapper', function() {
             fail({error: 'blah'}, 'wikiraw:');
             fail({blah: 1}, 'wikiraw:');
             pass('blah', {query: {pages: [{revisions: [{content: 'blah'}]}]}}, 'wikiraw:');
+            pass('blah', {query: {pages: [{revisions: [{slots: {main: {content: 'blah'}}}]}]}}, 'wikiraw:');
+            assert.throws(function () {
+                wrapper.parseDataOrThrow(JSON.stringify({query: {badrevids: {'123': {revid: 123, missing: true}}}}),
+                    {graphProtocol: 'wikiraw:', graphRevision: 123});
+            }, /wikiraw: revision 123 does not exist/);
+            var pinned = JSON.stringify({query: {pages: [{title: 'Data page', revisions: [{slots: {main: {content: 'a'}}}]}]}});
+            assert.strictEqual(wrapper.parseDataOrThrow(pinned,
+                {graphProtocol: 'wikiraw:', graphTitle: 'data_page', graphRevision: 123}), 'a');
+            assert.throws(function () {
+                wrapper.parseDataOrThrow(pinned, {graphProtocol: 'wikiraw:', graphTitle: 'Other', graphRevision: 123});
+            }, /wikiraw: revision 123 belongs to "Data page", not to "Other"/);
+            assert.strictEqual(wrapper.parseDataOrThrow(
+                JSON.stringify({query: {pages: [{revisions: [{slots: {main: {content: 'a'}, extra: {content: 'b'}}}]}]}}),
+                {graphProtocol: 'wikiraw:', graphSlot: 'extra'}), 'b');
+            assert.deepStrictEqual(wrapper.parseDataOrThrow(
+                JSON.stringify({query: {pages: [{revisions: [{content: 'a\n{|\n|+ Cities\n! Name !! Size\n|-\n| A || 1,000\n|}'}]}]}}),
+                {graphProtocol: 'wikitable:', graphTitle: 'Abc', graphTableIndex: '0'}).data, [{Name: 'A', Size: 1000}]);
 
             fail({error: 'blah'}, 'wikidatasparql:');
             fail({blah: 1}, 'wikidatasparql:');
@@ -369,6 +440,10 @@ describe('vegaWrapper', function() {
                 }
             }, 'wikidatasparql:');
 
+            // The TopoJSON is returned as is
+            pass('{"type":"Topology"}', '{"type":"Topology"}', 'geoshape:', true);
+            pass('{"type":"Topology"}', '{"type":"Topology"}', 'geoline:', true);
+
             pass({
                     meta: [{
                         description: 'desc',
@@ -455,6 +530,7 @@ describe('vegaWrapper2', function() {
         wikiapi: ['wikiapi.nonsec.org', 'wikiapi.sec.org'],
         wikirest: ['wikirest.nonsec.org', 'wikirest.sec.org'],
         wikiraw: ['wikiraw.nonsec.org', 'wikiraw.sec.org'],
+        wikirawupload: ['wikirawupload.nonsec.org', 'wikirawupload.sec.org'],
         wikidatasparql: ['wikidatasparql.nonsec.org', 'wikidatasparql.sec.org'],
         geoshape: ['maps.nonsec.org', 'maps.sec.org']
     };
@@ -494,8 +570,46 @@ describe('vegaWrapper2', function() {
             fail({ type: 'blah', title: 'MyPage' }, 'Unknown type parameter');
             fail({ type: 'nope', host: 'sec.org' }, 'Unknown type parameter');
             fail({ type: 'nope', host: 'sec' }, 'Unknown type parameter');
-            fail({ type: 'https', host: 'sec.org' }, 'Unknown type parameter');
-            fail({ type: 'https', host: 'sec' }, 'Unknown type parameter');
+        });
+
+        it('http and https', function () {
+            var trustedWrapper = new VegaWrapper2({
+                    loader: {},
+                    isTrusted: true,
+                    domains: domains,
+                    domainMap: domainMap,
+                    logger: function (msg) { throw new Error(msg); },
+                    formatUrl: urllib.format,
+                    languageCode: 'en'
+                }),
+                passTrusted = function (url, expected) {
+                    assert.equal(trustedWrapper.objToUrl(url, {domain: 'domain.sec.org'}), expected, JSON.stringify(url));
+                },
+                failTrusted = function (url, errorMsg) {
+                    expectError(function () {
+                        return trustedWrapper.objToUrl(url, {domain: 'domain.sec.org'});
+                    }, url, ['VegaWrapper2.objToUrl', 'toQuery'], errorMsg);
+                };
+
+            fail({ type: 'https', host: 'sec.org' }, 'not supported for untrusted graphs');
+            fail({ type: 'https', host: 'sec' }, 'not supported for untrusted graphs');
+            fail({ type: 'http', host: 'nonsec.org', path: '/blah' }, 'not supported for untrusted graphs');
+
+            failTrusted({ type: 'https', host: 'asec.org' }, 'URL hostname is not whitelisted');
+            failTrusted({ type: 'http', host: 'nope.org', path: '/blah' }, 'URL hostname is not whitelisted');
+            failTrusted({ type: 'https', host: 'sec.org', path: 1 }, 'url path should be a string');
+            failTrusted({ type: 'https', host: 'sec.org', query: 'a=1' }, '"query" should be an object');
+            failTrusted({ type: 'https', host: 'sec.org', query: { a: {} } }, '"query" value should be a literal');
+
+            passTrusted({ type: 'https' }, 'https://domain.sec.org/');
+            passTrusted({ type: 'https', path: 'blah' }, 'https://domain.sec.org/blah');
+            passTrusted({ type: 'http', host: 'sec.org' }, 'http://sec.org/');
+            passTrusted({ type: 'http', host: 'sec.org', path: '/blah', query: { test: 1 } }, 'http://sec.org/blah?test=1');
+            passTrusted({ type: 'http', host: 'any.sec.org' }, 'http://any.sec.org/');
+            passTrusted({ type: 'https', host: 'any.sec.org', path: '/blah', query: { test: 1, a: true, b: false } }, 'https://any.sec.org/blah?test=1&a=1');
+            passTrusted({ type: 'http', host: 'sec' }, 'http://sec.org/');
+            passTrusted({ type: 'http', host: 'sec', path: '/blah', query: { test: 1 } }, 'http://sec.org/blah?test=1');
+            passTrusted({ type: 'http', host: 'nonsec.org', path: '/blah' }, 'http://nonsec.org/blah');
         });
 
         it('wikiapi', function () {
@@ -522,6 +636,24 @@ describe('vegaWrapper2', function() {
             passWithCors({ type: 'wikiapi', wiki: 'nonsec.org', params:{a: 1} }, 'http://nonsec.org/w/api.php?a=1&format=json&formatversion=2');
             passWithCors({ type: 'wikiapi', wiki: 'wikiapi.nonsec.org', params:{a: '1'} }, 'http://wikiapi.nonsec.org/w/api.php?a=1&format=json&formatversion=2');
             passWithCors({ type: 'wikiapi', wiki: 'nonsec', params:{a: '1'} }, 'http://nonsec.org/w/api.php?a=1&format=json&formatversion=2');
+            passWithCors({ type: 'wikiapi', params:{action: 'parse', text: 'A', prop: 'text|links'} }, 'https://domain.sec.org/w/api.php?action=parse&text=A&prop=text%7Clinks&format=json&formatversion=2');
+            passWithCors({ type: 'wikiapi', params:{action: 'query', generator: 'categorymembers', prop: '\x1Finfo\x1Fpageprops'} }, 'https://domain.sec.org/w/api.php?action=query&generator=categorymembers&prop=%1Finfo%1Fpageprops&format=json&formatversion=2');
+            fail({ type: 'wikiapi', params: {action: 'edit', title: 'A'} }, 'wikiapi: action "edit" is not allowed, use one of: jsondata, parse, query, wbgetentities');
+            fail({ type: 'wikiapi', params: {action: 'query', meta: 'tokens'} }, 'wikiapi: meta "tokens" is not allowed by action "query"');
+            fail({ type: 'wikiapi', params: {action: 'query', prop: '\x1Finfo\x1Fuserinfo'} }, 'wikiapi: prop "userinfo" is not allowed by action "query"');
+            fail({ type: 'wikiapi', params: {action: 'query', list: 'search', token: 'x'} }, 'wikiapi: parameter "token" is not allowed');
+            fail({ type: 'wikiapi', params: {action: 'query', list: 'search', centralauthtoken: 'x'} }, 'wikiapi: parameter "centralauthtoken" is not allowed');
+            fail({ type: 'wikiapi', params: {action: 'parse', text: 'A'} }, 'wikiapi: parameter prop is required by action "parse"');
+            fail({ type: 'wikiapi', params: {action: 'parse', page: 'A', prop: 'text'} }, 'wikiapi: parameter "page" is not allowed by action "parse"');
+            fail({ type: 'wikiapi', params: {action: 'parse', pageid: 1, prop: 'text'} }, 'wikiapi: parameter "pageid" is not allowed by action "parse"');
+            fail({ type: 'wikiapi', params: {action: 'parse', oldid: 1, prop: 'text'} }, 'wikiapi: parameter "oldid" is not allowed by action "parse"');
+            fail({ type: 'wikiapi', params: {action: 'parse', prop: 'text', text: 'x'.repeat(2001)} }, 'wikiapi: parameter text of action "parse" must not be longer than 2000 characters');
+            fail({ type: 'wikiapi', params: {a: 1}, continue: 'yes' }, '"continue" should be true or an object');
+            fail({ type: 'wikiapi', params: {a: 1}, continue: {maxRequests: 0} }, 'continue.maxRequests must be an integer');
+            fail({ type: 'wikiapi', params: {a: 1}, continue: {maxRequests: 51} }, 'continue.maxRequests must be an integer');
+            fail({ type: 'wikiapi', params: {a: 1}, continue: {maxItems: 1.5} }, 'continue.maxItems must be an integer');
+            fail({ type: 'wikiapi', params: {a: 1}, continue: {max: 1} }, 'unknown continue option "max"');
+            passWithCors({ type: 'wikiapi', params: {a: 1}, continue: {maxRequests: 2, maxItems: 10} }, 'https://domain.sec.org/w/api.php?a=1&format=json&formatversion=2');
         });
 
         it('wikirest', function () {
@@ -544,14 +676,24 @@ describe('vegaWrapper2', function() {
             fail({ type: 'wikiraw', title: 'abc|xyz' }, 'wikiraw: invalid title');
             fail({ type: 'wikiraw', wiki: 'sec.org', title: 'abc|xyz' }, 'wikiraw: invalid title');
             fail({ type: 'wikiraw', wiki: 'sec.org', title: '\x1Fxyz' }, 'wikiraw: invalid title');
-            passWithCors({ type: 'wikiraw', title: 'abc' }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=abc');
-            passWithCors({ type: 'wikiraw', title: 'abc/xyz' }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=abc%2Fxyz');
-            passWithCors({ type: 'wikiraw', wiki: 'sec.org', title: 'aaa' }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=aaa');
-            passWithCors({ type: 'wikiraw', wiki: 'sec.org', title: 'aaa', a: 10 }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=aaa');
-            passWithCors({ type: 'wikiraw', wiki: 'sec.org', title: 'abc/def' }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=abc%2Fdef');
-            passWithCors({ type: 'wikiraw', wiki: 'sec', title: 'aaa' }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=aaa');
-            passWithCors({ type: 'wikiraw', wiki: 'sec', title: 'abc/def' }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=abc%2Fdef');
-            passWithCors({ type: 'wikiraw', wiki: 'wikiraw.sec.org', title: 'abc' }, 'https://wikiraw.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&titles=abc');
+            passWithCors({ type: 'wikiraw', title: 'abc' }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc');
+            passWithCors({ type: 'wikiraw', title: 'abc/xyz' }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc%2Fxyz');
+            passWithCors({ type: 'wikiraw', wiki: 'sec.org', title: 'aaa' }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=aaa');
+            passWithCors({ type: 'wikiraw', wiki: 'sec.org', title: 'aaa', a: 10 }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=aaa');
+            passWithCors({ type: 'wikiraw', wiki: 'sec.org', title: 'abc/def' }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc%2Fdef');
+            passWithCors({ type: 'wikiraw', wiki: 'sec', title: 'aaa' }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=aaa');
+            passWithCors({ type: 'wikiraw', wiki: 'sec', title: 'abc/def' }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc%2Fdef');
+            passWithCors({ type: 'wikiraw', wiki: 'wikiraw.sec.org', title: 'abc' }, 'https://wikiraw.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc');
+            passWithCors({ type: 'wikiraw', title: 'abc', oldid: 123, section: 2 }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&revids=123&rvsection=2');
+            passWithCors({ type: 'wikiraw', title: 'abc', oldid: 123, revid: '123', slot: 'mediainfo' }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=mediainfo&revids=123');
+            fail({ type: 'wikiraw', title: 'abc', oldid: 0 }, 'wikiraw: parameter oldid is not valid');
+            fail({ type: 'wikiraw', title: 'abc', revid: 1.5 }, 'wikiraw: parameter revid is not a number');
+            fail({ type: 'wikiraw', title: 'abc', oldid: 1, revid: 2 }, 'wikiraw: oldid and revid are the same parameter');
+            fail({ type: 'wikiraw', title: 'abc', section: 10000 }, 'wikiraw: parameter section is not valid');
+            fail({ type: 'wikiraw', title: 'abc', slot: 'a b' }, 'wikiraw: if slot is given, it must be lower case');
+            fail({ type: 'wikiraw', title: 'abc', format: 'xml' }, 'wikiraw: if format is given, it must be one of: csv, tsv, json');
+            fail({ type: 'wikiraw', title: 'abc', format: 'csv', inferNumbers: 'no' }, 'wikiraw: if inferNumbers is given, it must be true or false');
+            fail({ type: 'wikiraw', title: 'abc', header: true }, 'wikiraw: header can only be used together with the format');
         });
 
         it('wikifile', function () {
@@ -561,15 +703,99 @@ describe('vegaWrapper2', function() {
             pass({ type: 'wikifile', title: 'Einstein_1921.jpg', width: 10 }, 'https://domain.sec.org/wiki/Special:Redirect/file/Einstein_1921.jpg?width=10');
         });
 
+        it('wikifileinfo', function () {
+            fail({ type: 'wikifileinfo', title: 'this|pic' }, 'wikifileinfo: invalid title');
+            fail({ type: 'wikifileinfo', title: 'pic.jpg', width: 'x' }, 'parameter width is not a number');
+            passWithCors({ type: 'wikifileinfo', title: 'Einstein_1921.jpg' }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=imageinfo&iiprop=url%7Csize%7Cmime%7Cextmetadata&titles=File%3AEinstein_1921.jpg&iiextmetadatalanguage=en');
+            passWithCors({ type: 'wikifileinfo', wiki: 'sec.org', title: 'File:Einstein_1921.jpg', width: 10 }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=imageinfo&iiprop=url%7Csize%7Cmime%7Cextmetadata&titles=File%3AEinstein_1921.jpg&iiurlwidth=10&iiextmetadatalanguage=en');
+        });
+
+        it('wikitable', function () {
+            fail({ type: 'wikitable' }, 'wikitable: invalid title');
+            fail({ type: 'wikitable', title: 'abc|xyz' }, 'wikitable: invalid title');
+            fail({ type: 'wikitable', title: 'abc', index: -1 }, 'wikitable: parameter index is not valid');
+            fail({ type: 'wikitable', title: 'abc', index: 1.5 }, 'wikitable: parameter index is not a number');
+            passWithCors({ type: 'wikitable', title: 'abc' }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc&meta=siteinfo&siprop=rightsinfo');
+            passWithCors({ type: 'wikitable', wiki: 'sec.org', title: 'abc', index: 1 }, 'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc&meta=siteinfo&siprop=rightsinfo');
+        });
+
+        it('wikirawupload', function () {
+            fail({ type: 'wikirawupload' }, 'path must be in the form of');
+            fail({ type: 'wikirawupload', path: 1 }, 'path must be in the form of');
+            fail({ type: 'wikirawupload', path: '' }, 'path must be in the form of');
+            fail({ type: 'wikirawupload', path: '/aaa' }, 'path must be in the form of');
+            fail({ type: 'wikirawupload', path: '/wikipedia/commons/Einstein_1921.jpg' }, 'path must be in the form of');
+            fail({ type: 'wikirawupload', path: '/wikipedia/commons/3/4e/Einstein_1921.jpg' }, 'path must be in the form of');
+            fail({ type: 'wikirawupload', path: '/wikipedia/commons/3/3e/Einstein_1921' }, 'path must be in the form of');
+            fail({ type: 'wikirawupload', path: '/wikipedia/commons/3/3e/Einstein 1921.jpg' }, 'path must be in the form of');
+            fail({ type: 'wikirawupload', path: '/wikipedia/commons/3/3e/Einstein_1921.jpg?a=1' }, 'path must be in the form of');
+            fail({ type: 'wikirawupload', path: '/wikipedia/commons/3/3e/../Einstein_1921.jpg' }, 'path must be in the form of');
+            pass({ type: 'wikirawupload', path: '/wikipedia/commons/3/3e/Einstein_1921.jpg' }, 'http://wikirawupload.nonsec.org/wikipedia/commons/3/3e/Einstein_1921.jpg');
+            pass({ type: 'wikirawupload', path: '/wikipedia/en/a/a9/Example.jpg' }, 'http://wikirawupload.nonsec.org/wikipedia/en/a/a9/Example.jpg');
+            pass({ type: 'wikirawupload', wiki: 'sec.org', path: '/wikipedia/commons/3/3e/Einstein_1921.jpg' }, 'http://wikirawupload.nonsec.org/wikipedia/commons/3/3e/Einstein_1921.jpg');
+
+            var noUploadWrapper = new VegaWrapper2({
+                loader: {},
+                domains: _.omit(domains, 'wikirawupload'),
+                domainMap: domainMap,
+                logger: function (msg) { throw new Error(msg); },
+                formatUrl: urllib.format
+            });
+            expectError(function () {
+                return noUploadWrapper.objToUrl({ type: 'wikirawupload', path: '/wikipedia/commons/3/3e/Einstein_1921.jpg' }, {domain: 'domain.sec.org'});
+            }, 'disabled', ['VegaWrapper2._overrideHostAndProtocol'], 'wikirawupload: protocol is disabled');
+        });
+
         it('wikidatasparql', function () {
             fail({ type: 'wikidatasparql'}, 'missing query parameter');
             fail({ type: 'wikidatasparql', path: 'a' }, 'missing query parameter');
             fail({ type: 'wikidatasparql', a: 10 }, 'missing query parameter');
             fail({ type: 'wikidatasparql', aquery: 1 }, 'missing query parameter');
             fail({ type: 'wikidatasparql', query: 1 }, 'query should be a string');
-            pass({ type: 'wikidatasparql', query: '1' }, 'http://wikidatasparql.nonsec.org/bigdata/namespace/wdq/sparql?query=1');
-            pass({ type: 'wikidatasparql', path: 'aaa', query: '1' }, 'http://wikidatasparql.nonsec.org/bigdata/namespace/wdq/sparql?query=1');
-            pass({ type: 'wikidatasparql', query: '1', blah: 2 }, 'http://wikidatasparql.nonsec.org/bigdata/namespace/wdq/sparql?query=1');
+            pass({ type: 'wikidatasparql', query: 'ASK{}' }, 'http://wikidatasparql.nonsec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+            pass({ type: 'wikidatasparql', path: 'aaa', query: 'ASK{}' }, 'http://wikidatasparql.nonsec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+            pass({ type: 'wikidatasparql', query: 'ASK{}', blah: 2 }, 'http://wikidatasparql.nonsec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+            pass({ type: 'wikidatasparql', query: 'ASK{}', output: 'table', keepRaw: true }, 'http://wikidatasparql.nonsec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+            fail({ type: 'wikidatasparql', query: 'ASK{}', output: 'csv' }, 'output must be "rows" or "table"');
+            fail({ type: 'wikidatasparql', query: 'ASK{}', keepRaw: 'true' }, 'keepRaw should be a boolean');
+        });
+
+        it('wikidatasparql bind', function () {
+            const sparql = (query, bind) => decodeURIComponent(wrapper.objToUrl({ type: 'wikidatasparql', query: `ASK {${query}}`, bind }, {domain: 'domain.sec.org'})
+                .replace(/^http:\/\/wikidatasparql\.nonsec\.org\/bigdata\/namespace\/wdq\/sparql\?query=ASK%20%7B(.*)%7D$/, '$1'));
+
+            assert.equal(sparql('?x wdt:P31 $cls; $prop ?v; p:$prop2 ?s', { cls: 'Q5', prop: 'P17', prop2: 'P18' }),
+                '?x wdt:P31 wd:Q5; wdt:P17 ?v; p:P18 ?s');
+            assert.equal(sparql('?x wdt:P1082 ?p FILTER(?p > $min) SERVICE wikibase:label { bd:serviceParam wikibase:language $lang } $x',
+                { min: 1e6, lang: { kind: 'lang', value: 'fr' } }),
+                '?x wdt:P1082 ?p FILTER(?p > 1000000) SERVICE wikibase:label { bd:serviceParam wikibase:language "fr" } $x');
+            assert.equal(sparql('?x rdfs:label $name, $label, $n', {
+                name: 'a"b\\c\n$label',
+                label: { kind: 'string', value: 'Q5', lang: 'en' },
+                n: { kind: 'number', value: '-2.5' }
+            }), '?x rdfs:label "a\\"b\\\\c\\n$label", "Q5"@en, -2.5');
+
+            fail({ type: 'wikidatasparql', query: '$a', bind: 'Q5' }, 'bind must be an object');
+            fail({ type: 'wikidatasparql', query: '$a', bind: { b: 'Q5' } }, 'bound parameter b is not used in the query');
+            fail({ type: 'wikidatasparql', query: '$a', bind: { a: null } }, 'bound parameter a must be a string');
+            fail({ type: 'wikidatasparql', query: '$a', bind: { a: { kind: 'iri', value: 'x' } } }, 'must have kind set to one of');
+            fail({ type: 'wikidatasparql', query: '$a', bind: { a: { kind: 'entity', value: 'Q5 }' } } }, 'must be an entity ID');
+            fail({ type: 'wikidatasparql', query: '$a', bind: { a: { kind: 'property', value: 'Q5' } } }, 'must be a property ID');
+            fail({ type: 'wikidatasparql', query: '$a', bind: { a: { kind: 'number', value: '1; DROP' } } }, 'must be a number');
+            fail({ type: 'wikidatasparql', query: '$a', bind: { a: Infinity } }, 'must be a number');
+            fail({ type: 'wikidatasparql', query: '$a', bind: { a: { kind: 'lang', value: 'en"' } } }, 'must be a language tag');
+            fail({ type: 'wikidatasparql', query: '$a', bind: { a: { kind: 'string', value: 'x', lang: '"' } } }, 'must have a valid language tag');
+            fail({ type: 'wikidatasparql', query: 'wd:$a', bind: { a: 'x' } }, 'is a string, and cannot follow a prefix');
+            assert.equal(sparql('?x rdfs:label $name FILTER(?x != "$other") # $other', { name: 'a' }),
+                '?x rdfs:label "a" FILTER(?x != "$other") # $other');
+            fail({ type: 'wikidatasparql', query: '?x rdfs:label "$name"', bind: { name: '"} UNION { ?a ?b ?c } #' } },
+                'bound parameter name must not be used inside a string, IRI or comment');
+            fail({ type: 'wikidatasparql', query: "?x rdfs:label '''a $name'''", bind: { name: "'''} UNION { ?a ?b ?c } #" } },
+                'bound parameter name must not be used inside a string, IRI or comment');
+            fail({ type: 'wikidatasparql', query: '?x ?p <http://example.org/$name>', bind: { name: 'Q5' } },
+                'bound parameter name must not be used inside a string, IRI or comment');
+            fail({ type: 'wikidatasparql', query: '?x ?p ?v # $name\n', bind: { name: 'Q5' } },
+                'bound parameter name must not be used inside a string, IRI or comment');
         });
 
         it('geoshape', function () {
@@ -591,6 +817,8 @@ describe('vegaWrapper2', function() {
             fail({ type: 'geoshape', query: '' }, 'missing ids or query parameter');
             pass({ type: 'geoshape', ids: ['Q10','Q24'] }, 'http://maps.nonsec.org/geoshape?ids=Q10%2CQ24');
             pass({ type: 'geoshape', query: '1' }, 'http://maps.nonsec.org/geoshape?query=1');
+            pass({ type: 'geoshape', query: '1', output: 'features' }, 'http://maps.nonsec.org/geoshape?query=1');
+            fail({ type: 'geoshape', query: '1', output: 'topojson' }, 'geoshape: output must be "features"');
         });
 
         it('geoline', function () {
@@ -618,6 +846,25 @@ describe('vegaWrapper2', function() {
             pass({ type: 'mapsnapshot', width: 100, height: 100, lat: 10, lon: 10, zoom: 5 }, 'http://maps.nonsec.org/img/osm-intl,5,10,10,100x100@2x.png');
             pass({ type: 'mapsnapshot', width: 100, height: 100, lat: 10, lon: 10, zoom: 5, style: 'osm' }, 'http://maps.nonsec.org/img/osm,5,10,10,100x100@2x.png');
             pass({ type: 'mapsnapshot', width: 100, height: 100, lat: 10, lon: 10, zoom: 5, style: 'osm', lang: 'local' }, 'http://maps.nonsec.org/img/osm,5,10,10,100x100@2x.png?lang=local');
+            pass({ type: 'mapsnapshot', width: 100, height: 100, lat: 10, lon: 10, zoom: 5, scale: 1, format: 'jpeg' }, 'http://maps.nonsec.org/img/osm-intl,5,10,10,100x100.jpeg');
+            pass({
+                type: 'mapsnapshot', width: 100, height: 100, lat: 10, lon: 10, zoom: 5, scale: '3',
+                markers: [{ lat: 20.5, lon: 10, symbol: 'star', color: 'f00' }, { lat: '2', lon: -1, size: 's' }],
+                ids: ['Q16', 'Q30']
+            }, 'http://maps.nonsec.org/img/osm-intl,5,10,10,100x100@3x.png?markers=pin-m-star%2Bf00(10%2C20.5)%2Cpin-s(-1%2C2)&ids=Q16%2CQ30');
+            const snapshot = { type: 'mapsnapshot', width: 100, height: 100, lat: 10, lon: 10, zoom: 5 },
+                  failSnapshot = (params, errorMsg) => fail(Object.assign({}, snapshot, params), errorMsg);
+            failSnapshot({ scale: 0 }, 'parameter scale is not valid');
+            failSnapshot({ scale: 1.5 }, 'parameter scale is not a number');
+            failSnapshot({ format: 'gif' }, 'if format is given, it must be one of: png, jpeg');
+            failSnapshot({ markers: [] }, 'markers must be a non-empty array with no more than 50 items');
+            failSnapshot({ markers: [{ lat: 10 }] }, 'each marker must have lat and lon within the valid range');
+            failSnapshot({ markers: [{ lat: 10, lon: '1)' }] }, 'each marker must have lat and lon within the valid range');
+            failSnapshot({ markers: [{ lat: 10, lon: 10, size: 'x' }] }, 'marker size must be s, m, or l');
+            failSnapshot({ markers: [{ lat: 10, lon: 10, symbol: 'a(b' }] }, 'marker symbol must be lower case letters/numbers/dashes only');
+            failSnapshot({ markers: [{ lat: 10, lon: 10, color: '#f00' }] }, 'marker color must be a 3 or 6 digit hex color without the #');
+            failSnapshot({ ids: 'Q16' }, 'ids must be a non-empty array of Wikidata IDs');
+            failSnapshot({ ids: ['Q16', 'Q0'] }, 'invalid Wikidata ID "Q0"');
         });
 
         it('tabular', function () {
@@ -627,6 +874,7 @@ describe('vegaWrapper2', function() {
             passWithCors({ type: 'tabular', title: 'abc.tab' }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=jsondata&title=abc.tab&uselang=en');
             passWithCors({ type: 'tabular', title: 'abc/xyz.tab' }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=jsondata&title=abc%2Fxyz.tab&uselang=en');
             passWithCors({ type: 'tabular', title: 'aaa.tab', a: 10 }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=jsondata&title=aaa.tab&uselang=en');
+            passWithCors({ type: 'tabular', title: 'aaa.tab', lang: 'fr' }, 'https://domain.sec.org/w/api.php?format=json&formatversion=2&action=jsondata&title=aaa.tab&uselang=fr');
         });
 
         it('map', function () {
@@ -639,40 +887,47 @@ describe('vegaWrapper2', function() {
         });
     });
 
-    /*
     it('sanitize for type=open', function () {
         var pass = function (url, expected) {
                 const result = wrapper.objToUrl(url, {type: 'open', domain: 'domain.sec.org'});
                 assert.equal(result, expected, JSON.stringify(url));
             },
-            fail = function (url) {
+            fail = function (url, errorMsg) {
                 expectError(function () {
                     return wrapper.objToUrl(url, {type: 'open', domain: 'domain.sec.org'});
-                }, url, ['VegaWrapper2.objToUrl', 'VegaWrapper2._overrideHostAndProtocol']);
+                }, url, ['VegaWrapper2.objToUrl', 'VegaWrapper2._linkToUrl'], errorMsg);
             };
 
-        fail({type:'wikiapi', a:1});
-        fail({type:'wikirest', path:'/abc'});
-        //fail('///My%20page?foo=1');
-
-        pass({type:'wikititle', path:'My page'}, 'https://domain.sec.org/wiki/My_page');
-        //pass('///My%20page', 'https://domain.sec.org/wiki/My_page');
-        pass({type:'wikititle', host:'sec.org', path:'My page'}, 'https://sec.org/wiki/My_page');
-        //pass('//my.sec.org/My%20page', 'https://my.sec.org/wiki/My_page');
+        fail({type:'wikiapi', params: {a:1}}, 'only allows links with wikititle type');
+        fail({type:'wikirest', path:'/abc'}, 'only allows links with wikititle type');
+        fail({type:'wikititle', title:'My page', query: {foo: 1}}, 'query parameters are not allowed');
+        fail({type:'wikititle'}, 'wikititle: invalid title');
+        fail({type:'wikititle', title:'  '}, 'wikititle: invalid title');
+        fail({type:'wikititle', title:'My|page'}, 'wikititle: invalid title');
+        fail({type:'wikititle', wiki:'asec.org', title:'My page'}, 'URL hostname is not whitelisted');
+
+        pass({type:'wikititle', title:'My page'}, 'https://domain.sec.org/wiki/My_page');
+        pass({type:'wikititle', title:' My long page '}, 'https://domain.sec.org/wiki/My_long_page');
+        pass({type:'wikititle', wiki:'sec.org', title:'My page'}, 'https://sec.org/wiki/My_page');
+        pass({type:'wikititle', wiki:'my.sec.org', title:'My page'}, 'https://my.sec.org/wiki/My_page');
+        pass({type:'wikititle', wiki:'sec', title:'My page'}, 'https://sec.org/wiki/My_page');
+        pass({type:'wikititle', title:'My page', query: {}}, 'https://domain.sec.org/wiki/My_page');
 
         // This is not a valid title, but it will get validated on the MW side
-        //pass('////My%20page', 'https://domain.sec.org/wiki/%2FMy_page');
+        pass({type:'wikititle', title:'/My page'}, 'https://domain.sec.org/wiki/%2FMy_page');
 
         pass({type:'http', path:'/wiki/Http page'}, 'https://domain.sec.org/wiki/Http_page');
         pass({type:'https', path:'/wiki/Http page'}, 'https://domain.sec.org/wiki/Http_page');
         pass({type:'http', host:'my.sec.org', path:'/wiki/Http page'}, 'https://my.sec.org/wiki/Http_page');
         pass({type:'https', host:'my.sec.org', path:'/wiki/Http page'}, 'https://my.sec.org/wiki/Http_page');
+        pass({type:'https', path:'/wiki/Http%20page/C%2B%2B'}, 'https://domain.sec.org/wiki/Http_page%2FC%2B%2B');
+        fail({type:'https', path:'/wiki/Http%E0%A4%A'}, 'wikititle: invalid title');
 
-        fail({type:'http', path:'Http page'});
-        fail({type:'https', path:'/w/Http page'});
-        fail({type:'https', path:'/wiki/Http page', a:1});
+        fail({type:'http', path:'Http page'}, 'links must begin with /wiki/ prefix');
+        fail({type:'https', path:'/w/Http page'}, 'links must begin with /wiki/ prefix');
+        fail({type:'https', path:'/wiki/'}, 'links must begin with /wiki/ prefix');
+        fail({type:'https', path:'/wiki/Http page', query: {a: 1}}, 'query parameters are not allowed');
     });
-    */
 
     describe('parseResponse', function () {
         var pass = function (expected, data, type, dontEncode) {
@@ -701,6 +956,27 @@ describe('vegaWrapper2', function() {
             fail({ error: 'blah' }, 'API error: "blah"', 'wikiraw');
             fail({ blah: 1 }, 'Page content not available', 'wikiraw');
             pass('blah', { query: { pages: [{ revisions: [{ content: 'blah' }] }] } }, 'wikiraw');
+            pass('blah', { query: { pages: [{ revisions: [{ slots: { main: { content: 'blah' } } }] }] } }, 'wikiraw');
+            assert.strictEqual(wrapper.parseResponse(JSON.stringify({ query: { pages: [{ revisions: [{ slots: { mediainfo: { content: 'blah' } } }] }] } }),
+                'wikiraw', {}, { type: 'wikiraw', title: 'Abc', slot: 'mediainfo' }), 'blah');
+            expectError(function () {
+                return wrapper.parseResponse(JSON.stringify({ query: { pages: [{ title: 'Abc', revisions: [{ slots: { main: {} } }] }] } }),
+                    'wikiraw', {}, { type: 'wikiraw', title: 'Abc', slot: 'mediainfo' });
+            }, 'wikiraw', ['VegaWrapper2.parseResponse'], 'wikiraw: slot "mediainfo" does not exist in "Abc"');
+            expectError(function () {
+                return wrapper.parseResponse(JSON.stringify({ query: { badrevids: { '123': { revid: 123, missing: true } } } }),
+                    'wikiraw', {}, { type: 'wikiraw', title: 'Abc', oldid: 123 });
+            }, 'wikiraw', ['VegaWrapper2.parseResponse'], 'wikiraw: revision 123 does not exist');
+
+            // The page of the pinned revision must be the requested one
+            const pinned = JSON.stringify({ query: { pages: [{ title: 'Category:Data page', revisions: [{ slots: { main: { content: 'a' } } }] }] } });
+            assert.strictEqual(wrapper.parseResponse(pinned, 'wikiraw', {}, { type: 'wikiraw', title: 'category:data_page', revid: 123 }), 'a');
+            assert.strictEqual(wrapper.parseResponse(pinned, 'wikiraw', {}, { type: 'wikiraw', title: 'Other' }), 'a');
+            expectError(function () {
+                return wrapper.parseResponse(pinned, 'wikiraw', {}, { type: 'wikiraw', title: 'Category:Other', oldid: 123 });
+            }, 'wikiraw', ['VegaWrapper2.parseResponse'], 'wikiraw: revision 123 belongs to "Category:Data page", not to "Category:Other"');
+            assert.throws(() => wrapper.parseResponse(pinned, 'wikiraw', {}, { type: 'wikiraw', title: 'Data page', oldid: 123 }),
+                err => err instanceof GraphError && err.code === GraphError.codes.INVALID_RESPONSE && err.field === 'revid');
         });
 
         it('wikidatasparql', function () {
@@ -738,6 +1014,298 @@ describe('vegaWrapper2', function() {
             }, 'wikidatasparql');
         });
 
+        it('wikifileinfo', function () {
+            fail({ error: 'blah' }, 'API error: "blah"', 'wikifileinfo');
+            fail({ query: {} }, 'wikifileinfo: file information not available', 'wikifileinfo');
+            fail({ query: { pages: [{ title: 'File:X.jpg', missing: true }] } }, 'wikifileinfo: file "File:X.jpg" does not exist', 'wikifileinfo');
+            pass([{
+                title: 'File:Einstein 1921.jpg',
+                url: 'https://upload.sec.org/e/ei/Einstein_1921.jpg',
+                description_url: 'https://sec.org/wiki/File:Einstein_1921.jpg',
+                thumb_url: 'https://upload.sec.org/thumb/e/ei/Einstein_1921.jpg/10px-Einstein_1921.jpg',
+                width: 1000,
+                height: 1200,
+                thumb_width: 10,
+                thumb_height: 12,
+                mime: 'image/jpeg',
+                author: 'Ferdinand Schmutzer',
+                description: 'Albert Einstein & his <pipe>',
+                license_code: 'pd',
+                license_text: 'Public domain',
+                license_url: undefined,
+                sources: undefined
+            }], {
+                query: {
+                    pages: [{
+                        title: 'File:Einstein 1921.jpg',
+                        imageinfo: [{
+                            url: 'https://upload.sec.org/e/ei/Einstein_1921.jpg',
+                            descriptionurl: 'https://sec.org/wiki/File:Einstein_1921.jpg',
+                            thumburl: 'https://upload.sec.org/thumb/e/ei/Einstein_1921.jpg/10px-Einstein_1921.jpg',
+                            width: 1000,
+                            height: 1200,
+                            thumbwidth: 10,
+                            thumbheight: 12,
+                            mime: 'image/jpeg',
+                            extmetadata: {
+                                Artist: { value: '<a href="//sec.org/wiki/Ferdinand_Schmutzer">Ferdinand\nSchmutzer</a>' },
+                                ImageDescription: { value: 'Albert Einstein &amp; his &lt;pipe&gt;' },
+                                License: { value: 'pd' },
+                                LicenseShortName: { value: 'Public domain' }
+                            }
+                        }]
+                    }]
+                }
+            }, 'wikifileinfo');
+        });
+
+        it('wikitable', function () {
+            const response = content => ({
+                query: {
+                    pages: [{ title: 'Cities', revisions: [{ slots: { main: { content } } }] }],
+                    rightsinfo: { url: 'https://creativecommons.org/licenses/by-sa/4.0/', text: 'CC BY-SA 4.0' }
+                }
+            });
+            const failTable = (data, errorMsg, index) => expectError(function () {
+                return wrapper.parseResponse(JSON.stringify(data), 'wikitable', {}, { type: 'wikitable', title: 'Cities', index });
+            }, 'wikitable', ['VegaWrapper2.parseResponse'], errorMsg);
+
+            failTable({ error: 'blah' }, 'API error: "blah"');
+            failTable({ query: { pages: [{ title: 'Cities', missing: true }] } }, 'wikitable: page content not available: "Cities"');
+            failTable(response('no tables'), 'wikitable: table 0 not found, page "Cities" has 0 table(s)');
+            failTable(response('{|\n| a\n|}'), 'wikitable: table 3 not found, page "Cities" has 1 table(s)', 3);
+
+            assert.deepStrictEqual(wrapper.parseResponse(JSON.stringify(response([
+                'Intro {{Infobox}}',
+                '{| class="wikitable sortable"',
+                '|+ Largest [[City|cities]]<ref>Census</ref>',
+                '|-',
+                '! rowspan="2" | City !! colspan="2" | Population',
+                '|-',
+                '! 2000 !! 2010',
+                '|-',
+                '| [[Springfield, Oregon|Springfield]] || 1,234,567 || {{formatnum:1 300 000}}',
+                '|-',
+                '| Shelbyville',
+                '| colspan="2" | \u221212',
+                '|-',
+                '| rowspan="2" | \'\'Ogdenville\'\' || 900 || n/a',
+                '|-',
+                '| 950 || ',
+                '|}',
+                '{|',
+                '| nested',
+                '|}'
+            ].join('\n'))), 'wikitable', {}, { type: 'wikitable', title: 'Cities' }), {
+                meta: [{
+                    description: 'Largest cities',
+                    license_code: undefined,
+                    license_text: 'CC BY-SA 4.0',
+                    license_url: 'https://creativecommons.org/licenses/by-sa/4.0/',
+                    sources: 'Cities'
+                }],
+                fields: [
+                    { name: 'City', type: 'string' },
+                    { name: 'Population 2000', type: 'number' },
+                    { name: 'Population 2010', type: 'string' }
+                ],
+                data: [
+                    { City: 'Springfield', 'Population 2000': 1234567, 'Population 2010': 1300000 },
+                    { City: 'Shelbyville', 'Population 2000': -12, 'Population 2010': -12 },
+                    { City: 'Ogdenville', 'Population 2000': 900, 'Population 2010': 'n/a' },
+                    { City: 'Ogdenville', 'Population 2000': 950, 'Population 2010': null }
+                ]
+            });
+
+            assert.deepStrictEqual(wrapper.parseResponse(JSON.stringify(response('{|\n| a || 1\n|}\n{|\n! x\n|-\n| b\n|}')),
+                'wikitable', {}, { type: 'wikitable', title: 'Cities', index: 1 }).data, [{ x: 'b' }]);
+
+            // The spans are limited to 100, and the grid to 50000 cells
+            assert.deepStrictEqual(wrapper.parseResponse(JSON.stringify(response('{|\n! colspan="5000" | x\n|-\n| a\n|}')),
+                'wikitable', {}, { type: 'wikitable', title: 'Cities' }).fields.length, 100);
+            const row = '|-\n|' + new Array(101).join(' colspan="100" | a ||').replace(/\|\|$/, '');
+            failTable(response('{|\n' + new Array(7).join(row + '\n') + '|}'),
+                'wikitable: table has more than 50000 cells, including the cells repeated by rowspan and colspan');
+            failTable(response('{|\n|' + new Array(6).join(' rowspan="100" colspan="100" | a ||') + ' a\n' +
+                new Array(100).join('|-\n| b\n') + '|}'),
+                'wikitable: table has more than 50000 cells');
+        });
+
+        it('geoshape', function () {
+            // The conversion into the features is only done with output "features"
+            const pass = (expected, data, type) => assert.deepStrictEqual(
+                      wrapper.parseResponse(JSON.stringify(data), type, {}, { type, output: 'features' }), expected),
+                  fail = (data, errorMsg, type) => expectError(
+                      () => wrapper.parseResponse(JSON.stringify(data), type, {}, { type, output: 'features' }),
+                      type, ['VegaWrapper2.parseResponse'], errorMsg);
+            const topology = {
+                type: 'Topology',
+                transform: { scale: [0.5, 1], translate: [10, 20] },
+                arcs: [
+                    [[0, 0], [4, 0], [0, 2], [-4, 0], [0, -2]],
+                    [[0, 0], [8, 0]]
+                ],
+                objects: {
+                    data: {
+                        type: 'GeometryCollection',
+                        geometries: [{
+                            type: 'Polygon',
+                            id: 'Q16',
+                            arcs: [[0]],
+                            properties: { name: 'x', fill: { type: 'literal', value: '#f00' }, nested: { a: 1 } }
+                        }, {
+                            type: 'LineString',
+                            id: 'Q30',
+                            arcs: [~1]
+                        }]
+                    }
+                }
+            };
+
+            pass({
+                type: 'FeatureCollection',
+                bbox: [10, 20, 14, 22],
+                features: [{
+                    type: 'Feature',
+                    id: 'Q16',
+                    properties: { name: 'x', fill: '#f00', 'nested.a': 1 },
+                    geometry: { type: 'Polygon', coordinates: [[[10, 20], [12, 20], [12, 22], [10, 22], [10, 20]]] },
+                    bbox: [10, 20, 12, 22],
+                    centroid: [11, 21]
+                }, {
+                    type: 'Feature',
+                    id: 'Q30',
+                    properties: {},
+                    geometry: { type: 'LineString', coordinates: [[14, 20], [10, 20]] },
+                    bbox: [10, 20, 14, 20],
+                    centroid: [12, 20]
+                }]
+            }, topology, 'geoshape');
+
+            pass({
+                type: 'FeatureCollection',
+                bbox: [1, 2, 1, 2],
+                features: [{
+                    type: 'Feature',
+                    id: 'Q42',
+                    properties: {},
+                    geometry: { type: 'Point', coordinates: [1, 2] },
+                    bbox: [1, 2, 1, 2],
+                    centroid: [1, 2]
+                }, {
+                    type: 'Feature',
+                    id: 'Q43',
+                    properties: { id: 'Q43' },
+                    geometry: null,
+                    bbox: null,
+                    centroid: null
+                }]
+            }, {
+                type: 'FeatureCollection',
+                features: [
+                    { type: 'Feature', id: 'Q42', geometry: { type: 'Point', coordinates: [1, 2] } },
+                    { type: 'Feature', properties: { id: 'Q43' }, geometry: null }
+                ]
+            }, 'geoline');
+
+            assert.strictEqual(wrapper.parseResponse(JSON.stringify(topology), 'geoshape'), JSON.stringify(topology));
+            assert.strictEqual(wrapper.parseResponse(JSON.stringify(topology), 'geoline', {}, { type: 'geoline', ids: ['Q1'] }),
+                JSON.stringify(topology));
+
+            fail([], 'geoshape: response must be a TopoJSON topology or a GeoJSON feature collection', 'geoshape');
+            fail({ type: 'Topology', objects: {} }, 'geoshape: topology must have arcs and objects', 'geoshape');
+            fail({ type: 'Topology', arcs: [], objects: { data: { type: 'Polygon', id: 'Q1', arcs: [[0]] } } },
+                'geoshape: topology refers to a missing arc 0', 'geoshape');
+            fail({ type: 'Topology', arcs: [], objects: { data: { type: 'Polygon', id: 'Q1' } } },
+                'geoshape: topology geometry "Q1" does not have arcs', 'geoshape');
+            fail({ type: 'Topology', arcs: [], objects: { data: { type: 'Sphere', id: 'Q1', arcs: [] } } },
+                'geoshape: unsupported geometry type "Sphere"', 'geoshape');
+            fail({ type: 'FeatureCollection', features: [{ type: 'Feature', geometry: null }] },
+                'geoline: feature 0 does not have a Wikidata ID', 'geoline');
+            fail({ type: 'FeatureCollection', features: [{ type: 'Feature', id: 'Q1', geometry: { type: 'Point' } }] },
+                'geoline: feature Q1 has an invalid geometry', 'geoline');
+
+            // Malformed TopoJSON and GeoJSON
+            const polygon = { type: 'Polygon', id: 'Q1', arcs: [[0]] };
+            fail({ type: 'Topology', arcs: [[[0, 0], 'x']], objects: { data: polygon } },
+                'geoshape: topology position must be an array of two numbers', 'geoshape');
+            fail({ type: 'Topology', arcs: [[[0, 0], [1]]], objects: { data: polygon } },
+                'geoshape: topology position must be an array of two numbers', 'geoshape');
+            fail({ type: 'Topology', transform: { scale: [1, 1] }, arcs: [[[0, 0], [1, 1]]], objects: { data: polygon } },
+                'geoshape: topology transform must have the scale and translate pairs of numbers', 'geoshape');
+            fail({ type: 'Topology', transform: null, arcs: [], objects: {} },
+                'geoshape: topology transform must have the scale and translate pairs of numbers', 'geoshape');
+            fail({ type: 'Topology', arcs: [], objects: { data: { type: 'Point', id: 'Q1', coordinates: 5 } } },
+                'geoshape: topology position must be an array of two numbers', 'geoshape');
+            fail({ type: 'Topology', arcs: [], objects: { data: { type: 'MultiPoint', id: 'Q1' } } },
+                'geoshape: topology geometry "Q1" does not have coordinates', 'geoshape');
+            fail({ type: 'Topology', arcs: [], objects: { data: null } },
+                'geoshape: topology geometry must be an object', 'geoshape');
+            fail({ type: 'Topology', arcs: [], objects: { data: { type: 'GeometryCollection', geometries: 'x' } } },
+                'geoshape: topology geometries must be an array', 'geoshape');
+            fail({ type: 'FeatureCollection', features: [null] },
+                'geoline: feature 0 must be an object', 'geoline');
+            fail({ type: 'FeatureCollection', features: [{ type: 'Feature', id: 'Q1', geometry: { type: 'LineString', coordinates: [[1, 2], 3] } }] },
+                'geoline: feature Q1 has an invalid geometry', 'geoline');
+            fail({ type: 'FeatureCollection', features: [{ type: 'Feature', id: 'Q1', geometry: { type: 'Polygon', coordinates: [[1, 2]] } }] },
+                'geoline: feature Q1 has an invalid geometry', 'geoline');
+            fail({ type: 'FeatureCollection', features: [{ type: 'Feature', id: 'Q1', geometry: { type: 'Circle', coordinates: [1, 2] } }] },
+                'geoline: feature Q1 has an invalid geometry', 'geoline');
+            assert.throws(() => wrapper.parseResponse(JSON.stringify({ type: 'Topology', transform: {}, arcs: [[[0, 0]]], objects: {} }),
+                'geoshape', {}, { type: 'geoshape', ids: ['Q1'], output: 'features' }),
+            err => err instanceof GraphError && err.code === GraphError.codes.INVALID_RESPONSE && err.field === 'transform');
+        });
+
+        it('wikidatasparql table', function () {
+            const item = { type: 'uri', value: 'http://www.wikidata.org/entity/Q42' },
+                  result = {
+                      head: { vars: ['item', 'count', 'label', 'date', 'ok', 'never'] },
+                      results: {
+                          bindings: [{
+                              label: { type: 'literal', value: 'Douglas Adams', 'xml:lang': 'en' },
+                              item: item,
+                              count: { type: 'literal', datatype: 'http://www.w3.org/2001/XMLSchema#integer', value: '7' },
+                              date: { type: 'literal', datatype: 'http://www.w3.org/2001/XMLSchema#dateTime', value: '1952-03-11T00:00:00Z' },
+                              ok: { type: 'literal', datatype: 'http://www.w3.org/2001/XMLSchema#boolean', value: 'true' }
+                          }, {
+                              item: { type: 'uri', value: 'http://example.org/x' },
+                              count: { type: 'literal', value: 'many' },
+                              extra: { type: 'literal', value: 'x' }
+                          }]
+                      }
+                  };
+
+            assert.deepStrictEqual(wrapper.parseResponse(JSON.stringify(result), 'wikidatasparql', {}, {
+                type: 'wikidatasparql',
+                output: 'table'
+            }), {
+                fields: [
+                    { name: 'item', type: 'mixed' },
+                    { name: 'count', type: 'mixed' },
+                    { name: 'label', type: 'string' },
+                    { name: 'date', type: 'datetime' },
+                    { name: 'ok', type: 'boolean' },
+                    { name: 'never', type: 'null' },
+                    { name: 'extra', type: 'string' }
+                ],
+                data: [
+                    { item: 'Q42', count: 7, label: 'Douglas Adams', date: '1952-03-11T00:00:00Z', ok: true, never: null, extra: null },
+                    { item: 'http://example.org/x', count: 'many', label: null, date: null, ok: null, never: null, extra: 'x' }
+                ]
+            });
+
+            result.head.vars = ['item'];
+            result.results.bindings = [{ item: item }, {}];
+            assert.deepStrictEqual(wrapper.parseResponse(JSON.stringify(result), 'wikidatasparql', {}, {
+                type: 'wikidatasparql',
+                output: 'table',
+                keepRaw: true
+            }), {
+                fields: [{ name: 'item', type: 'wikidataitem' }, { name: 'item_raw', type: 'raw' }],
+                data: [{ item: 'Q42', item_raw: item }, { item: null, item_raw: null }]
+            });
+        });
+
         it('tabular', function () {
             pass({
                 meta: [{
@@ -788,3 +1356,1653 @@ describe('vegaWrapper2', function() {
     });
 
 });
+
+describe('urlConverter', function() {
+    var pass = function (url, expected, opt) {
+            assert.deepStrictEqual(urlConverter.urlToObj(url, opt), expected, url);
+        },
+        fail = function (url, errorMsg, opt) {
+            assert.throws(function () {
+                urlConverter.urlToObj(url, opt);
+            }, function (err) {
+                return err.message.indexOf(errorMsg) !== -1;
+            }, url);
+        };
+
+    it('urlToObj', function () {
+        fail(undefined, 'url must be a string');
+        fail('nope://sec.org', 'Unknown protocol nope');
+        fail('wikititle:///My_page', 'Unknown protocol wikititle');
+
+        pass('', {type: 'https'});
+        pass('http://sec.org/blah?test=1', {type: 'http', host: 'sec.org', path: '/blah', query: {test: '1'}});
+        pass('//sec.org/blah', {type: 'https', host: 'sec.org', path: '/blah'});
+
+        pass('wikiapi:///?action=query&list=allpages', {type: 'wikiapi', params: {action: 'query', list: 'allpages'}});
+        pass('wikiapi://sec?a=1+2&b=%26', {type: 'wikiapi', wiki: 'sec', params: {a: '1 2', b: '&'}});
+
+        fail('wikirest://sec.org', 'must begin with the /api/ prefix');
+        fail('wikirest:///api/abc?a=1', 'query parameters are not supported');
+        pass('wikirest:///api/rest_v1/page', {type: 'wikirest', path: '/rest_v1/page'});
+        pass('wikirest://sec.org/api/abc', {type: 'wikirest', wiki: 'sec.org', path: '/abc'});
+
+        fail('wikiraw://sec.org', 'wikiraw: invalid title');
+        fail('wikiraw:///abc|xyz', 'wikiraw: invalid title');
+        pass('wikiraw:///abc', {type: 'wikiraw', title: 'abc'});
+        pass('wikiraw://sec.org/abc/C++%20page?a=10', {type: 'wikiraw', wiki: 'sec.org', title: 'abc/C++ page'});
+        pass('wikiraw:https://sec.org/abc', {type: 'wikiraw', wiki: 'sec.org', title: 'abc'});
+        pass('wikiraw:///abc?oldid=123&section=2&slot=main', {type: 'wikiraw', title: 'abc', oldid: 123, section: 2, slot: 'main'});
+        pass('wikiraw:///abc?format=tsv&inferNumbers=false', {type: 'wikiraw', title: 'abc', format: 'tsv', inferNumbers: false});
+        fail('wikitable:///abc|xyz', 'wikitable: invalid title');
+        pass('wikitable://sec.org/abc?index=2', {type: 'wikitable', wiki: 'sec.org', title: 'abc', index: 2});
+
+        fail('tabular:///abc', 'tabular: title must end with .tab');
+        fail('map:///abc.tab', 'map: title must end with .map');
+        pass('tabular:///abc.tab', {type: 'tabular', title: 'abc.tab'});
+        pass('tabular:///abc.tab?lang=fr&keepLocalized=true', {type: 'tabular', title: 'abc.tab', lang: 'fr', keepLocalized: true});
+        pass('map:///abc.map?lang=fr&keepLocalized=true', {type: 'map', title: 'abc.map', lang: 'fr'});
+        pass('map://sec/abc.map', {type: 'map', wiki: 'sec', title: 'abc.map'});
+
+        pass('wikifile:///Einstein_1921.jpg?width=10', {type: 'wikifile', title: 'Einstein_1921.jpg', width: 10});
+        pass('wikifileinfo://sec.org/Einstein_1921.jpg?width=10', {type: 'wikifileinfo', wiki: 'sec.org', title: 'Einstein_1921.jpg', width: 10});
+        pass('wikirawupload:///wikipedia/commons/3/3e/Einstein_1921.jpg?a=1',
+            {type: 'wikirawupload', path: '/wikipedia/commons/3/3e/Einstein_1921.jpg'});
+        fail('wikirawupload://upload.wikimedia.org/wikipedia/commons/3/3e/Einstein_1921.jpg',
+            'wikirawupload: the host is set by the wrapper configuration');
+
+        fail('wikidatasparql:///?aquery=1', 'missing query parameter');
+        fail('wikidatasparql://other.host/?query=ASK%7B%7D', 'wikidatasparql: the host is set by the wrapper configuration');
+        pass('wikidatasparql:///?query=SELECT%20%3Fx', {type: 'wikidatasparql', query: 'SELECT ?x'});
+        pass('wikidatasparql:///?query=SELECT%20%3Fx&output=table', {type: 'wikidatasparql', query: 'SELECT ?x', output: 'table', keepRaw: false});
+
+        fail('geoshape:///?aquery=1', 'missing ids or query parameter');
+        fail('geoline://other.host/?ids=Q16', 'geoline: the host is set by the wrapper configuration');
+        pass('geoshape:///?ids=Q16,Q30', {type: 'geoshape', ids: ['Q16', 'Q30']});
+        pass('geoline:///?query=1', {type: 'geoline', query: '1'});
+
+        pass('mapsnapshot:///?width=100&height=100&lat=10.5&lon=-10&zoom=5&style=osm&lang=local',
+            {type: 'mapsnapshot', width: 100, height: 100, zoom: 5, lat: 10.5, lon: -10, style: 'osm', lang: 'local'});
+        pass('mapsnapshot:///?width=100&height=100&lat=10.5&lon=-10&zoom=5&scale=1&format=jpeg&markers=pin-s-star%2Bf00(1,2),pin-m(3.5,4)&ids=Q16',
+            {type: 'mapsnapshot', width: 100, height: 100, zoom: 5, lat: 10.5, lon: -10, scale: 1, format: 'jpeg',
+                markers: [{lon: 1, lat: 2, size: 's', symbol: 'star', color: 'f00'}, {lon: 3.5, lat: 4, size: 'm'}], ids: ['Q16']});
+        fail('mapsnapshot:///?markers=pin-m(1)', 'invalid marker "pin-m(1)"');
+        fail('mapsnapshot://other.host/?width=100', 'mapsnapshot: the host is set by the wrapper configuration');
+    });
+
+    it('urlToObj for type=open', function () {
+        var open = {type: 'open'};
+
+        fail('wikiapi://sec.org?a=1', 'only allows links with wikititle protocol', open);
+        fail('///My%20page?foo=1', 'query parameters are not allowed', open);
+        fail('http:///Http%20page', 'links must begin with /wiki/ prefix', open);
+        fail('https:///wiki/Http%20page?a=1', 'query parameters are not allowed', open);
+
+        pass('wikititle:///My%20page', {type: 'wikititle', title: 'My page'}, open);
+        pass('wikititle://sec.org/My%20page', {type: 'wikititle', wiki: 'sec.org', title: 'My page'}, open);
+        pass('//my.sec.org/My%20page', {type: 'wikititle', wiki: 'my.sec.org', title: 'My page'}, open);
+        pass('https://my.sec.org/wiki/Http%20page', {type: 'wikititle', wiki: 'my.sec.org', title: 'Http page'}, open);
+    });
+
+    it('urlToObj matches VegaWrapper', function () {
+        var datalib = {extend: _.extend, load: {}},
+            domains = {
+                https: ['sec.org'],
+                wikirawupload: ['upload.sec.org'],
+                wikidatasparql: ['wikidatasparql.sec.org'],
+                geoshape: ['maps.sec.org']
+            },
+            wrapper1 = new VegaWrapper({
+                datalib: datalib,
+                useXhr: true,
+                domains: domains,
+                logger: function (msg) { throw new Error(msg); },
+                parseUrl: function (opt) {
+                    var urlParts = urllib.parse(opt.url, true);
+                    delete urlParts.search;
+                    if (!urlParts.host) {
+                        urlParts.host = opt.domain;
+                        urlParts.isRelativeHost = true;
+                    }
+                    return urlParts;
+                },
+                formatUrl: urllib.format,
+                languageCode: 'en'
+            }),
+            wrapper2 = new VegaWrapper2({
+                loader: {},
+                domains: domains,
+                logger: function (msg) { throw new Error(msg); },
+                formatUrl: urllib.format,
+                languageCode: 'en'
+            });
+
+        [
+            'wikiapi:///?action=query&list=allpages',
+            'wikiraw://sec.org/abc/def',
+            'wikiraw:///abc?revid=123&section=0&slot=mediainfo',
+            'wikitable:///abc?index=1',
+            'tabular:///abc.tab',
+            'wikifile:///Einstein_1921.jpg?width=10',
+            'wikirawupload:///wikipedia/commons/3/3e/Einstein_1921.jpg',
+            'wikidatasparql:///?query=SELECT%20%3Fx',
+            'geoshape:///?ids=Q16,Q30',
+            'mapsnapshot:///?width=100&height=100&lat=10&lon=10&zoom=5&style=osm'
+        ].forEach(function (url) {
+            assert.equal(
+                wrapper2.objToUrl(urlConverter.urlToObj(url), {domain: 'domain.sec.org'}),
+                wrapper1.sanitizeUrl({url: url, domain: 'domain.sec.org'}),
+                url);
+        });
+    });
+
+    it('convertSpec', function () {
+        var spec = {
+                data: [
+                    {name: 'a', url: 'tabular:///abc.tab'},
+                    {name: 'b', values: [1, 2]},
+                    {name: 'c', url: 'nope:///abc'}
+                ],
+                marks: [{
+                    type: 'image',
+                    properties: {enter: {url: {value: 'wikifile:///Einstein_1921.jpg'}}}
+                }, {
+                    type: 'group',
+                    data: [{name: 'd', url: 'wikiraw:///abc'}],
+                    marks: [{
+                        type: 'text',
+                        properties: {
+                            enter: {href: {value: 'wikititle:///My_page'}},
+                            update: {href: {field: 'link'}}
+                        }
+                    }]
+                }]
+            },
+            original = JSON.parse(JSON.stringify(spec)),
+            result = urlConverter.convertSpec(spec);
+
+        assert.deepStrictEqual(spec, original, 'spec must not be modified');
+        assert.deepStrictEqual(result.spec, {
+            data: [
+                {name: 'a', url: {type: 'tabular', title: 'abc.tab'}},
+                {name: 'b', values: [1, 2]},
+                {name: 'c', url: 'nope:///abc'}
+            ],
+            marks: [{
+                type: 'image',
+                properties: {enter: {url: {value: {type: 'wikifile', title: 'Einstein_1921.jpg'}}}}
+            }, {
+                type: 'group',
+                data: [{name: 'd', url: {type: 'wikiraw', title: 'abc'}}],
+                marks: [{
+                    type: 'text',
+                    properties: {
+                        enter: {href: {value: {type: 'wikititle', title: 'My_page'}}},
+                        update: {href: {field: 'link'}}
+                    }
+                }]
+            }]
+        });
+        assert.deepStrictEqual(result.errors, [
+            {path: 'data[2].url', url: 'nope:///abc', code: 'UNKNOWN_PROTOCOL', message: 'Unknown protocol nope'}
+        ]);
+    });
+});
+
+describe('protocolRegistry', function() {
+    var domains = {
+        https: ['sec.org'],
+        wikidatasparql: ['wikidatasparql.sec.org'],
+        custom: ['custom.sec.org']
+    };
+    var customProtocol = {
+        domainsKey: 'custom',
+        validate: function (urlObj) {
+            if (!urlObj.id) {
+                throw new Error('custom: missing id');
+            }
+        },
+        buildUrl: function (urlObj, urlParts, ctx) {
+            urlParts.pathname = '/data/' + urlObj.id;
+            urlParts.query.lang = this.languageCode;
+            ctx.options.addCorsOrigin = true;
+        },
+        parse: function (data, ctx) {
+            return {id: ctx.urlObj.id, value: JSON.parse(data)};
+        }
+    };
+
+    function createWrapper2(protocols) {
+        return new VegaWrapper2({
+            loader: {},
+            domains: domains,
+            logger: function (msg) { throw new Error(msg); },
+            formatUrl: urllib.format,
+            languageCode: 'en',
+            protocols: protocols
+        });
+    }
+
+    function createWrapper1(protocols) {
+        return new VegaWrapper({
+            datalib: {extend: _.extend, load: {}},
+            useXhr: true,
+            domains: domains,
+            logger: function (msg) { throw new Error(msg); },
+            parseUrl: function (opt) {
+                var urlParts = urllib.parse(opt.url, true);
+                delete urlParts.search;
+                if (!urlParts.host) {
+                    urlParts.host = opt.domain;
+                    urlParts.isRelativeHost = true;
+                }
+                return urlParts;
+            },
+            formatUrl: urllib.format,
+            protocols: protocols
+        });
+    }
+
+    it('register', function () {
+        var registry = new ProtocolRegistry();
+        assert.throws(function () { registry.register('Bad name', customProtocol); }, /must be lower case/);
+        assert.throws(function () { registry.register('bad', null); }, /must be an object/);
+        assert.throws(function () { registry.register('bad', {}); }, /must have a buildUrl/);
+        assert.throws(function () { registry.register('bad', {buildUrl: _.noop, parse: 1}); }, /parse must be a function/);
+        assert.throws(function () { registry.register('bad', {buildUrl: _.noop, domainsKey: 1}); }, /domainsKey must be a string/);
+
+        registry.register('custom', customProtocol);
+        assert.strictEqual(registry.get('custom'), customProtocol);
+        assert.strictEqual(registry.get('hasOwnProperty'), undefined);
+
+        var copy = registry.clone().configure({custom: false, other: customProtocol});
+        assert.deepStrictEqual(copy.names(), ['other']);
+        assert.deepStrictEqual(registry.names(), ['custom']);
+    });
+
+    it('wrapper2 configuration', function () {
+        var wrapper = createWrapper2({custom: customProtocol, wikidatasparql: false}),
+            opt = {domain: 'sec.org'};
+
+        assert.equal(wrapper.objToUrl({type: 'custom', id: 'abc'}, opt), 'https://custom.sec.org/data/abc?lang=en');
+        assert.equal(opt.addCorsOrigin, true);
+        assert.throws(function () { wrapper.objToUrl({type: 'custom'}, opt); }, /custom: missing id/);
+        assert.throws(function () { wrapper.objToUrl({type: 'wikidatasparql', query: 'ASK{}'}, opt); }, /Unknown type parameter/);
+        assert.deepStrictEqual(wrapper.parseResponse('42', 'custom', {}, {type: 'custom', id: 'abc'}), {id: 'abc', value: 42});
+
+        // Other wrappers are not affected
+        wrapper = createWrapper2();
+        assert.throws(function () { wrapper.objToUrl({type: 'custom', id: 'abc'}, opt); }, /Unknown type parameter/);
+        assert.equal(wrapper.objToUrl({type: 'wikidatasparql', query: 'ASK{}'}, opt), 'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+
+        wrapper.registerProtocol('custom', customProtocol);
+        assert.equal(wrapper.objToUrl({type: 'custom', id: 'abc'}, opt), 'https://custom.sec.org/data/abc?lang=en');
+    });
+
+    it('wrapper1 configuration', function () {
+        var wrapper = createWrapper1({wikidatasparql: false}),
+            opt = {url: 'custom:///abc', domain: 'sec.org'};
+
+        assert.throws(function () { wrapper.sanitizeUrl({url: 'wikidatasparql:///?query=ASK%7B%7D', domain: 'sec.org'}); }, /Unknown protocol/);
+        assert.throws(function () { wrapper.sanitizeUrl({url: 'custom:///abc', domain: 'sec.org'}); }, /Unknown protocol/);
+
+        wrapper.registerProtocol('custom', {
+            domainsKey: 'custom',
+            buildUrl: function (urlParts) {
+                urlParts.pathname = '/data' + urlParts.pathname;
+            },
+            parse: function (data, ctx) {
+                return ctx.protocol + data;
+            }
+        });
+        assert.equal(wrapper.sanitizeUrl(opt), 'https://custom.sec.org/data/abc');
+        assert.equal(wrapper.parseDataOrThrow('42', opt), 'custom:42');
+    });
+
+    it('wrapper contracts', function () {
+        var wrapper1Protocol = {
+                wrapper: 'wrapper1',
+                domainsKey: 'custom',
+                buildUrl: function (urlParts) {
+                    urlParts.pathname = '/data' + urlParts.pathname;
+                }
+            },
+            wrapper2Protocol = _.extend({wrapper: 'wrapper2'}, customProtocol),
+            protocols = {custom: {wrapper1: wrapper1Protocol, wrapper2: wrapper2Protocol}},
+            opt = {url: 'custom:///abc', domain: 'sec.org'};
+
+        assert.throws(function () { new ProtocolRegistry({}, 'wrapper3'); }, /wrapper must be one of/);
+        assert.throws(function () { new ProtocolRegistry().register('custom', protocols.custom); }, /can only be registered for a wrapper/);
+        assert.throws(function () { createWrapper1({custom: {wrapper1: null}}); }, /wrapper1 protocol must be an object/);
+        assert.throws(function () { createWrapper1({custom: {buildUrl: _.noop, wrapper: 'vega'}}); }, /wrapper must be one of/);
+        assert.throws(function () { createWrapper1({custom: wrapper2Protocol}); }, /written for wrapper2, and cannot be used by wrapper1/);
+        assert.throws(function () { createWrapper2({custom: wrapper1Protocol}); }, /written for wrapper1, and cannot be used by wrapper2/);
+        assert.throws(function () { createWrapper1({custom: {buildUrl: _.noop, load: _.noop}}); }, /load is only supported by wrapper2/);
+        assert.throws(function () { createWrapper1().registerProtocol('custom', wrapper2Protocol); }, /cannot be used by wrapper1/);
+
+        // The same configuration works in both wrappers, each with its own variant
+        assert.equal(createWrapper1(protocols).sanitizeUrl(opt), 'https://custom.sec.org/data/abc');
+        assert.equal(createWrapper2(protocols).objToUrl({type: 'custom', id: 'abc'}, opt), 'https://custom.sec.org/data/abc?lang=en');
+
+        // Without its variant, the protocol is not available in the wrapper
+        assert.throws(function () { createWrapper1({custom: {wrapper2: wrapper2Protocol}}).sanitizeUrl(opt); }, /Unknown protocol/);
+        assert.deepStrictEqual(VegaWrapper.protocols.clone().register('wikiraw', {wrapper2: wrapper2Protocol}).get('wikiraw'), undefined);
+    });
+});
+
+describe('graphError', function() {
+    var domains = {
+        http: ['nonsec.org'],
+        https: ['sec.org'],
+        wikidatasparql: ['wikidatasparql.sec.org']
+    };
+
+    function expectCode(testFunc, code, protocol, field, value) {
+        assert.throws(testFunc, function (err) {
+            assert(err instanceof GraphError, 'must be a GraphError: ' + err);
+            assert(err instanceof Error, 'must be an Error');
+            assert.deepStrictEqual(
+                [err.code, err.protocol, err.field, err.value],
+                [code, protocol, field, value],
+                err.message);
+            return true;
+        });
+    }
+
+    it('toJSON', function () {
+        var err = new GraphError(GraphError.codes.INVALID_TITLE, 'bad title', {protocol: 'wikiraw', field: 'title', value: 'a|b'});
+        assert.equal(err.name, 'GraphError');
+        assert(/bad title/.test(err.stack));
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(err)), {
+            name: 'GraphError',
+            code: 'INVALID_TITLE',
+            message: 'bad title',
+            protocol: 'wikiraw',
+            field: 'title',
+            value: 'a|b'
+        });
+    });
+
+    it('wrapper1', function () {
+        var wrapper = new VegaWrapper({
+                datalib: {extend: _.extend, load: {}},
+                useXhr: true,
+                domains: domains,
+                logger: function (msg) { throw new Error(msg); },
+                parseUrl: function (opt) {
+                    var urlParts = urllib.parse(opt.url, true);
+                    delete urlParts.search;
+                    if (!urlParts.host) {
+                        urlParts.host = opt.domain;
+                        urlParts.isRelativeHost = true;
+                    }
+                    return urlParts;
+                },
+                formatUrl: urllib.format
+            }),
+            sanitize = function (url, type) {
+                return function () {
+                    return wrapper.sanitizeUrl({url: url, type: type, domain: 'sec.org'});
+                };
+            },
+            parse = function (data, graphProtocol) {
+                return function () {
+                    return wrapper.parseDataOrThrow(data, {url: 'x', graphProtocol: graphProtocol});
+                };
+            };
+
+        expectCode(sanitize('wikiraw://asec.org/abc'), 'HOST_NOT_ALLOWED', 'wikiraw', 'host', 'asec.org');
+        expectCode(sanitize('nope:///abc'), 'UNKNOWN_PROTOCOL', 'nope', 'url', 'nope:///abc');
+        expectCode(sanitize('https:///abc'), 'NOT_TRUSTED', 'https', 'url', 'https:///abc');
+        expectCode(sanitize('wikiraw:///a|b'), 'INVALID_TITLE', 'wikiraw', 'title', 'a|b');
+        expectCode(sanitize('geoshape:///?ids=Q1'), 'PROTOCOL_DISABLED', 'geoshape', 'url', 'geoshape:///?ids=Q1');
+        expectCode(sanitize('mapsnapshot:///?width=100'), 'MISSING_PARAM', 'mapsnapshot', 'height', undefined);
+        expectCode(sanitize('mapsnapshot:///?width=1x'), 'INVALID_NUMBER', 'mapsnapshot', 'width', '1x');
+        expectCode(sanitize('mapsnapshot:///?width=5000'), 'PARAM_OUT_OF_RANGE', 'mapsnapshot', 'width', '5000');
+        expectCode(sanitize('wikiapi:///?a=1', 'open'), 'LINK_NOT_ALLOWED', 'wikiapi', 'url', 'wikiapi:///?a=1');
+        expectCode(sanitize('wikititle:///abc?a=1', 'open'), 'QUERY_NOT_ALLOWED', 'wikititle', 'query', Object.assign(Object.create(null), {a: '1'}));
+
+        expectCode(parse('{"error":"blah"}', 'wikiapi:'), 'API_ERROR', 'wikiapi', undefined, 'blah');
+        expectCode(parse('not json', 'wikiapi:'), 'INVALID_RESPONSE', 'wikiapi', undefined, undefined);
+        expectCode(parse('{}', 'wikiraw:'), 'INVALID_RESPONSE', 'wikiraw', 'content', 'x');
+        expectCode(parse('{}', 'wikidatasparql:'), 'INVALID_RESPONSE', 'wikidatasparql', 'results', undefined);
+        expectCode(parse('{}', 'tabular:'), 'INVALID_RESPONSE', 'tabular', 'jsondata', 'x');
+    });
+
+    it('wrapper2', function () {
+        var wrapper = new VegaWrapper2({
+                loader: {},
+                domains: domains,
+                logger: function (msg) { throw new Error(msg); },
+                formatUrl: urllib.format
+            }),
+            objToUrl = function (urlObj, type) {
+                return function () {
+                    return wrapper.objToUrl(urlObj, {type: type, domain: 'sec.org'});
+                };
+            },
+            parse = function (data, type) {
+                return function () {
+                    return wrapper.parseResponse(data, type);
+                };
+            };
+
+        expectCode(objToUrl({type: 'wikiraw', wiki: 'asec.org', title: 'abc'}), 'HOST_NOT_ALLOWED', 'wikiraw', 'wiki', 'asec.org');
+        expectCode(objToUrl({type: 'nope'}), 'UNKNOWN_PROTOCOL', 'nope', 'type', 'nope');
+        expectCode(objToUrl({type: 'https', path: '/abc'}), 'NOT_TRUSTED', 'https', 'type', 'https');
+        expectCode(objToUrl({type: 'wikiraw', title: 'a|b'}), 'INVALID_TITLE', 'wikiraw', 'title', 'a|b');
+        expectCode(objToUrl({type: 'geoshape', ids: ['Q1']}), 'PROTOCOL_DISABLED', 'geoshape', 'type', 'geoshape');
+        expectCode(objToUrl({type: 'geoshape', ids: ['Q0']}), 'INVALID_PARAM', 'geoshape', 'ids', 'Q0');
+        expectCode(objToUrl({type: 'wikiapi', params: {a: null}}), 'INVALID_PARAM', 'wikiapi', 'params.a', null);
+        expectCode(objToUrl({type: 'wikiapi', params: {action: 'edit'}}), 'QUERY_NOT_ALLOWED', 'wikiapi', 'params.action', 'edit');
+        expectCode(objToUrl({type: 'wikiapi', params: {action: 'query', list: 'a|b'}}), 'QUERY_NOT_ALLOWED', 'wikiapi', 'params.list', 'a');
+        expectCode(objToUrl({type: 'wikidatasparql'}), 'MISSING_PARAM', 'wikidatasparql', 'query', undefined);
+        expectCode(objToUrl({type: 'mapsnapshot', width: 100}), 'MISSING_PARAM', 'mapsnapshot', 'height', undefined);
+        expectCode(objToUrl({type: 'mapsnapshot', width: '1x'}), 'INVALID_NUMBER', 'mapsnapshot', 'width', '1x');
+        expectCode(objToUrl({type: 'mapsnapshot', width: 5000}), 'PARAM_OUT_OF_RANGE', 'mapsnapshot', 'width', 5000);
+        expectCode(objToUrl({type: 'wikiapi', params: {}}, 'open'), 'LINK_NOT_ALLOWED', 'wikiapi', 'type', 'wikiapi');
+        expectCode(objToUrl({type: 'wikititle', title: 'a', query: {a: 1}}, 'open'), 'QUERY_NOT_ALLOWED', 'wikititle', 'query', {a: 1});
+
+        expectCode(parse('{"error":"blah"}', 'wikiapi'), 'API_ERROR', 'wikiapi', undefined, 'blah');
+        expectCode(parse('not json', 'wikiapi'), 'INVALID_RESPONSE', 'wikiapi', undefined, undefined);
+        expectCode(parse('{}', 'wikiraw'), 'INVALID_RESPONSE', 'wikiraw', 'content', undefined);
+        expectCode(parse('{}', 'wikidatasparql'), 'INVALID_RESPONSE', 'wikidatasparql', 'results', undefined);
+        expectCode(parse('{}', 'tabular'), 'INVALID_RESPONSE', 'tabular', 'jsondata', undefined);
+    });
+
+    it('protocolRegistry and urlConverter', function () {
+        expectCode(function () {
+            new ProtocolRegistry().register('bad', {});
+        }, 'INVALID_PROTOCOL', 'bad', 'buildUrl', undefined);
+        expectCode(function () {
+            urlConverter.urlToObj('tabular:///abc');
+        }, 'INVALID_TITLE', 'tabular', 'title', 'abc');
+    });
+});
+
+describe('responseCache', function() {
+    function deferredLoader(calls) {
+        return function () {
+            var value = 'value' + calls.length;
+            calls.push(value);
+            return Promise.resolve(value);
+        };
+    }
+
+    it('shares pending and loaded responses', function () {
+        var cache = new ResponseCache(), calls = [], loader = deferredLoader(calls);
+        return Promise.all([cache.load('a', loader), cache.load('a', loader), cache.load('b', loader)])
+            .then(function (results) {
+                assert.deepStrictEqual(results, ['value0', 'value0', 'value1']);
+                return cache.load('a', loader);
+            }).then(function (result) {
+                assert.equal(result, 'value0');
+                assert.deepStrictEqual(cache.stats(), {hits: 2, misses: 2, size: 2});
+            });
+    });
+
+    it('expires and evicts entries', function () {
+        var time = 0,
+            cache = new ResponseCache({ttl: 10, maxSize: 2, now: function () { return time; }}),
+            calls = [],
+            loader = deferredLoader(calls);
+        return cache.load('a', loader)
+            .then(function () {
+                time = 9;
+                return cache.load('a', loader);
+            }).then(function (result) {
+                assert.equal(result, 'value0');
+                time = 10;
+                return cache.load('a', loader);
+            }).then(function (result) {
+                assert.equal(result, 'value1', 'expired entry must be reloaded');
+                return Promise.all([cache.load('b', loader), cache.load('a', loader), cache.load('c', loader)]);
+            }).then(function () {
+                assert.deepStrictEqual(cache.stats(), {hits: 2, misses: 4, size: 2});
+                // "b" was the least recently used entry
+                return cache.load('b', loader);
+            }).then(function (result) {
+                assert.equal(result, 'value4');
+            });
+    });
+
+    it('does not cache failures', function () {
+        var cache = new ResponseCache(), count = 0,
+            loader = function () {
+                count++;
+                return Promise.reject(new Error('failed'));
+            };
+        return cache.load('a', loader).then(function () {
+            assert(false, 'must fail');
+        }, function (err) {
+            assert.equal(err.message, 'failed');
+            assert.equal(cache.stats().size, 0);
+            return cache.load('a', loader).catch(function () {
+                assert.equal(count, 2);
+            });
+        });
+    });
+
+    it('getKey', function () {
+        assert.equal(ResponseCache.getKey('http://a'), 'http://a');
+        assert.equal(ResponseCache.getKey('http://a', {B: 1, a: 2}), ResponseCache.getKey('http://a', {a: 2, b: 1}));
+        assert.notEqual(ResponseCache.getKey('http://a', {a: 1}), ResponseCache.getKey('http://a', {a: 2}));
+    });
+
+    it('wrapper2 loader', function () {
+        var requests = [],
+            loader = {
+                http: function (href, options) {
+                    requests.push(href);
+                    return Promise.resolve('{"results": {"bindings": []}}');
+                }
+            },
+            wrapper = new VegaWrapper2({
+                loader: loader,
+                domains: {https: ['sec.org'], wikidatasparql: ['wikidatasparql.sec.org']},
+                logger: function (msg) { throw new Error(msg); },
+                formatUrl: urllib.format,
+                cache: {ttl: 1000}
+            }),
+            load = function (query) {
+                return loader.load({type: 'wikidatasparql', query: 'ASK{' + query + '}'}, {domain: 'sec.org'});
+            };
+
+        assert(wrapper.cache instanceof ResponseCache);
+        return Promise.all([load('1'), load('1'), load('2')]).then(function (results) {
+            assert.deepStrictEqual(results, [[], [], []]);
+            assert.deepStrictEqual(requests, [
+                'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql?query=ASK%7B1%7D',
+                'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql?query=ASK%7B2%7D'
+            ]);
+            assert.deepStrictEqual(wrapper.cache.stats(), {hits: 1, misses: 2, size: 2});
+        });
+    });
+});
+
+describe('resourceBudget', function() {
+    var domains = {https: ['sec.org']};
+
+    function expectBudgetError(err, field) {
+        assert(err instanceof GraphError, 'must be a GraphError: ' + err);
+        assert.equal(err.code, 'BUDGET_EXCEEDED');
+        assert.equal(err.field, field);
+    }
+
+    it('limits', function () {
+        var budget = new ResourceBudget({maxRequests: 2, maxResponseBytes: 4, maxTotalBytes: 6});
+        budget.startRequest('a');
+        budget.addResponse('1234', 'a');
+        budget.startRequest('b');
+        assert.throws(function () { budget.startRequest('c'); }, function (err) {
+            expectBudgetError(err, 'maxRequests');
+            return /maxRequests is 2, unable to load c/.test(err.message);
+        });
+        assert.throws(function () { budget.addResponse('\u00e9\u00e9\u00e9', 'b'); }, function (err) {
+            // 3 characters, but 6 UTF-8 bytes
+            expectBudgetError(err, 'maxResponseBytes');
+            return true;
+        });
+        budget.addResponse('12', 'b');
+        assert.throws(function () { budget.addResponse('1', 'b'); }, function (err) {
+            expectBudgetError(err, 'maxTotalBytes');
+            return true;
+        });
+    });
+
+    it('timeout', function () {
+        var time = 100,
+            budget = new ResourceBudget({timeout: 50, now: function () { return time; }});
+        assert.equal(budget.timeLeft(), Infinity);
+        budget.startRequest('a');
+        time = 149;
+        assert.equal(budget.timeLeft(), 1);
+        budget.startRequest('b');
+        time = 150;
+        assert.throws(function () { budget.startRequest('c'); }, function (err) {
+            expectBudgetError(err, 'timeout');
+            return true;
+        });
+    });
+
+    it('wrapCallback', function (done) {
+        var budget = new ResourceBudget({timeout: 10}),
+            calls = [],
+            callback;
+        budget.startRequest('a');
+        callback = budget.wrapCallback(function (err, data) {
+            calls.push([err, data]);
+        }, 'a');
+        setTimeout(function () {
+            // late response is ignored
+            callback(null, 'late');
+            assert.equal(calls.length, 1);
+            expectBudgetError(calls[0][0], 'timeout');
+            assert.strictEqual(calls[0][1], undefined);
+            done();
+        }, 30);
+    });
+
+    it('wrapper1 loader', function (done) {
+        var datalib = {
+                extend: _.extend,
+                load: {
+                    xhr: function (url, opt, cb) {
+                        cb(null, '{"data": "' + url + '"}');
+                    }
+                }
+            },
+            wrapper = new VegaWrapper({
+                datalib: datalib,
+                useXhr: true,
+                domains: domains,
+                logger: function (msg) { throw new Error(msg); },
+                parseUrl: function (opt) {
+                    var urlParts = urllib.parse(opt.url, true);
+                    delete urlParts.search;
+                    return urlParts;
+                },
+                formatUrl: urllib.format,
+                budget: {maxRequests: 1}
+            });
+
+        assert(wrapper.budget instanceof ResourceBudget);
+        datalib.load.loader({url: 'wikiapi://sec.org/?a=1'}, function (err, data) {
+            assert.ifError(err);
+            assert.deepStrictEqual(data, {data: 'https://sec.org/w/api.php?a=1&format=json&formatversion=2'});
+            datalib.load.loader({url: 'wikiapi://sec.org/?a=2'}, function (err, data) {
+                expectBudgetError(err, 'maxRequests');
+                assert.strictEqual(data, undefined);
+                done();
+            });
+        });
+    });
+
+    it('wrapper2 loader', function () {
+        var loader = {
+                http: function () {
+                    return Promise.resolve('{"data": "12345"}');
+                }
+            },
+            wrapper = new VegaWrapper2({
+                loader: loader,
+                domains: domains,
+                logger: function (msg) { throw new Error(msg); },
+                formatUrl: urllib.format,
+                budget: {maxRequests: 2, maxTotalBytes: 20}
+            }),
+            load = function () {
+                return loader.load({type: 'wikiapi', params: {a: 1}}, {domain: 'sec.org'});
+            };
+
+        return load().then(function (data) {
+            assert.deepStrictEqual(data, {data: '12345'});
+            return load();
+        }).then(function () {
+            assert(false, 'must exceed maxTotalBytes');
+        }, function (err) {
+            expectBudgetError(err, 'maxTotalBytes');
+            return load();
+        }).then(function () {
+            assert(false, 'must exceed maxRequests');
+        }, function (err) {
+            expectBudgetError(err, 'maxRequests');
+        });
+    });
+});
+
+describe('sparqlGuard', function() {
+    var check = SparqlGuard.check,
+        fail = function (query, opts, errorMsg) {
+            assert.throws(function () {
+                check(query, opts);
+            }, function (err) {
+                return err.code === 'INVALID_PARAM' && err.field === 'query' && err.message.indexOf(errorMsg) !== -1;
+            }, query);
+        };
+
+    it('query form', function () {
+        assert.equal(check('SELECT ?x {}'), 'SELECT ?x {}');
+        assert.equal(check('  ask {}'), '  ask {}');
+        assert.equal(check('# CONSTRUCT\nPREFIX wd: <http://www.wikidata.org/entity/>\nBASE <http://x#>\nSELECT * {}'),
+            '# CONSTRUCT\nPREFIX wd: <http://www.wikidata.org/entity/>\nBASE <http://x#>\nSELECT * {}');
+        fail('CONSTRUCT {} WHERE {}', {}, 'only SELECT and ASK queries are allowed');
+        fail('DESCRIBE wd:Q42', {}, 'only SELECT and ASK queries are allowed');
+        fail('INSERT DATA {}', {}, 'only SELECT and ASK queries are allowed');
+        fail('# SELECT\nDELETE WHERE {}', {}, 'only SELECT and ASK queries are allowed');
+        fail('PREFIX x: <#SELECT> CLEAR ALL', {}, 'only SELECT and ASK queries are allowed');
+        fail('1', {}, 'only SELECT and ASK queries are allowed');
+        fail('SELECT * { ?x ?y "abc }', {}, 'query has an unterminated string');
+    });
+
+    it('length and limit', function () {
+        assert.equal(check('ASK {}', {maxLength: 6}), 'ASK {}');
+        fail('ASK { }', {maxLength: 6}, 'query is 7 characters long, but only 6 are allowed');
+
+        assert.equal(check('SELECT * {} LIMIT 10', {requireLimit: true}), 'SELECT * {} LIMIT 10');
+        assert.equal(check('SELECT * {} ORDER BY ?x\nlimit 10 # comment', {requireLimit: true}),
+            'SELECT * {} ORDER BY ?x\nlimit 10 # comment');
+        assert.equal(check('ASK {}', {requireLimit: true}), 'ASK {}');
+        fail('SELECT * {}', {requireLimit: true}, 'SELECT query must have a LIMIT');
+        fail('SELECT * { { SELECT * {} LIMIT 5 } } # LIMIT 10', {requireLimit: true}, 'SELECT query must have a LIMIT');
+        fail('SELECT * { ?x ?y "} LIMIT 10" }', {requireLimit: true}, 'SELECT query must have a LIMIT');
+
+        assert.equal(check('SELECT * {}', {injectLimit: 100}), 'SELECT * {}\nLIMIT 100');
+        assert.equal(check('SELECT * { FILTER(?a < 5 && ?b > 1) } LIMIT 5', {injectLimit: 100}),
+            'SELECT * { FILTER(?a < 5 && ?b > 1) } LIMIT 5');
+        assert.equal(check('SELECT * {} # end', {injectLimit: 100}), 'SELECT * {} # end\nLIMIT 100');
+
+        // The trailing VALUES clause comes after the solution modifiers
+        assert.equal(check('SELECT * { ?x ?y ?z } LIMIT 10 VALUES ?x { wd:Q1 wd:Q2 }', {requireLimit: true}),
+            'SELECT * { ?x ?y ?z } LIMIT 10 VALUES ?x { wd:Q1 wd:Q2 }');
+        assert.equal(check('SELECT * { ?x ?y ?z }\nORDER BY ?y LIMIT 10\nvalues (?x ?y) { (1 "}") }', {requireLimit: true}),
+            'SELECT * { ?x ?y ?z }\nORDER BY ?y LIMIT 10\nvalues (?x ?y) { (1 "}") }');
+        fail('SELECT * { ?x ?y ?z } VALUES ?x { "LIMIT 10" }', {requireLimit: true}, 'SELECT query must have a LIMIT');
+        assert.equal(check('SELECT * { ?x ?y ?z }\nVALUES ?x { wd:Q1 }', {injectLimit: 100}),
+            'SELECT * { ?x ?y ?z }\nLIMIT 100\nVALUES ?x { wd:Q1 }');
+        assert.equal(check('SELECT * { VALUES ?x { 1 } ?x ?y ?z }', {injectLimit: 100}),
+            'SELECT * { VALUES ?x { 1 } ?x ?y ?z }\nLIMIT 100');
+    });
+
+    it('post', function () {
+        var query = 'SELECT * { ' + new Array(400).join('?x ?y ?z. ') + '}',
+            requests = [],
+            loader = {
+                // Same as vega-loader, which calls fetch(href, options), so fetch() only reads the top level
+                // method, headers and body of the options
+                http: function (href, options) {
+                    requests.push({href: href, method: options.method || 'GET', headers: options.headers, body: options.body});
+                    return Promise.resolve('{"results":{"bindings":[]}}');
+                }
+            },
+            wrapper = new VegaWrapper2({
+                loader: loader,
+                domains: {https: ['sec.org'], wikidatasparql: ['wikidatasparql.sec.org']},
+                logger: function (msg) { throw new Error(msg); },
+                formatUrl: urllib.format,
+                cache: {},
+                sparql: {postLength: 100}
+            }),
+            opt = {domain: 'sec.org'};
+
+        assert(!SparqlGuard.usePost(query.substring(0, 200)));
+        assert(SparqlGuard.usePost(query));
+        assert(SparqlGuard.usePost('ASK { ?x ?y ?z }', {postLength: 10}));
+
+        assert.equal(wrapper.objToUrl({type: 'wikidatasparql', query: 'ASK{}'}, opt),
+            'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+        assert.strictEqual(opt.method, undefined);
+        assert.strictEqual(opt.body, undefined);
+
+        return Promise.all([
+            loader.load({type: 'wikidatasparql', query: 'ASK{}'}, {domain: 'sec.org'}),
+            loader.load({type: 'wikidatasparql', query: query}, {domain: 'sec.org'}),
+            loader.load({type: 'wikidatasparql', query: query + ' '}, {domain: 'sec.org'}),
+            loader.load({type: 'wikidatasparql', query: query}, {domain: 'sec.org'})
+        ]).then(function () {
+            assert.deepStrictEqual(requests, [{
+                href: 'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D',
+                method: 'GET',
+                headers: {'Accept': 'application/sparql-results+json'},
+                body: undefined
+            }, {
+                href: 'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql',
+                method: 'POST',
+                headers: {'Accept': 'application/sparql-results+json', 'Content-Type': 'application/x-www-form-urlencoded'},
+                body: 'query=' + encodeURIComponent(query)
+            }, {
+                href: 'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql',
+                method: 'POST',
+                headers: {'Accept': 'application/sparql-results+json', 'Content-Type': 'application/x-www-form-urlencoded'},
+                body: 'query=' + encodeURIComponent(query + ' ')
+            }]);
+            assert.notEqual(ResponseCache.getKey('a', {}, 'b'), ResponseCache.getKey('a', {}, 'c'));
+        });
+    });
+
+    it('wrapper1 rejects the queries that need post', function () {
+        var query = 'SELECT * { ' + new Array(400).join('?x ?y ?z. ') + '}',
+            wrapper = new VegaWrapper({
+                datalib: {extend: _.extend, load: {}},
+                useXhr: true,
+                domains: {https: ['sec.org'], wikidatasparql: ['wikidatasparql.sec.org']},
+                logger: _.noop,
+                parseUrl: function (opt) {
+                    var urlParts = urllib.parse(opt.url, true);
+                    delete urlParts.search;
+                    if (!urlParts.host) {
+                        urlParts.host = opt.domain;
+                        urlParts.isRelativeHost = true;
+                    }
+                    return urlParts;
+                },
+                formatUrl: urllib.format,
+                sparql: {postLength: 100}
+            }),
+            sanitize = function (query) {
+                return wrapper.sanitizeUrl({url: 'wikidatasparql:///?query=' + encodeURIComponent(query), domain: 'sec.org'});
+            };
+
+        assert.equal(sanitize('ASK{}'), 'https://wikidatasparql.sec.org/bigdata/namespace/wdq/sparql?query=ASK%7B%7D');
+        assert.throws(function () {
+            sanitize(query);
+        }, function (err) {
+            return err instanceof GraphError && err.code === 'INVALID_PARAM' && err.field === 'query' &&
+                err.message.indexOf('wikidatasparql: query is too long to be sent in the url (' +
+                    encodeURIComponent(query).length + ' url-encoded characters), and this wrapper cannot use POST') === 0;
+        });
+    });
+});
+
+describe('tabularData', function() {
+    var fields = [
+        {name: 'num', type: 'number'},
+        {name: 'bool', type: 'boolean'},
+        {name: 'str', type: 'string'},
+        {name: 'loc', type: 'localized'}
+    ];
+
+    it('coerces values', function () {
+        assert.deepStrictEqual(TabularData.toRows(fields, [
+            [1.5, true, 'a', {en: 'b'}],
+            ['-2', 'false', 3, null],
+            [null, null, false, {}]
+        ], {}), [
+            {num: 1.5, bool: true, str: 'a', loc: {en: 'b'}},
+            {num: -2, bool: false, str: '3', loc: null},
+            {num: null, bool: null, str: 'false', loc: {}}
+        ]);
+    });
+
+    it('reports bad values', function () {
+        var logged = [],
+            rows = [
+                ['x', 1, {}, 'y'],
+                [1, true]
+            ],
+            result = TabularData.toRows(fields, rows, {
+                logger: function (msg) { logged.push(msg); }
+            });
+
+        assert.deepStrictEqual(result, [
+            {num: null, bool: null, str: null, loc: null},
+            {num: 1, bool: true, str: null, loc: null}
+        ]);
+        assert.equal(logged.length, 1);
+        assert(/^tabular: 5 data problems, bad values were set to null: row 0 field "num" value "x" is not a number;/.test(logged[0]), logged[0]);
+        assert(/row 1 has 2 values, but 4 fields are defined/.test(logged[0]), logged[0]);
+
+        assert.throws(function () {
+            TabularData.toRows(fields, rows, {onError: 'throw'});
+        }, function (err) {
+            return err.code === 'INVALID_RESPONSE' && err.field === 'num' && err.value === 'x';
+        });
+        assert.throws(function () {
+            TabularData.toRows(fields, [rows[1]], {onError: 'throw'});
+        }, function (err) {
+            return err.code === 'INVALID_RESPONSE' && err.field === 'data' &&
+                err.message === 'tabular: row 0 has 2 values, but 4 fields are defined';
+        });
+        assert.throws(function () {
+            TabularData.toRows(undefined, rows, {});
+        }, /data must have schema fields and rows/);
+    });
+
+    it('localized', function () {
+        var languages = TabularData.getLanguages('zh-Hans-CN', {'zh-hans-cn': ['zh-hant']}),
+            localized = [{name: 'name', type: 'localized', title: {en: 'Name', fr: 'Nom'}}, {name: 'n', type: 'number'}];
+
+        assert.deepStrictEqual(languages, ['zh-hans-cn', 'zh-hant', 'zh-hans', 'zh', 'en']);
+        assert.deepStrictEqual(TabularData.getLanguages(), ['en']);
+        assert.deepStrictEqual(TabularData.getLanguages('fr', {}), ['fr', 'en']);
+
+        assert.equal(TabularData.resolveLocalized({en: 'a', zh: 'b'}, languages), 'b');
+        assert.equal(TabularData.resolveLocalized({en: 'a', de: 'b'}, languages), 'a');
+        assert.equal(TabularData.resolveLocalized({fr: 'c', de: 'b'}, languages), 'b');
+        assert.strictEqual(TabularData.resolveLocalized({}, languages), null);
+        assert.strictEqual(TabularData.resolveLocalized(null, languages), null);
+
+        assert.deepStrictEqual(TabularData.localizeFields(localized, ['fr', 'en']), [
+            {name: 'name', type: 'localized', title: 'Nom'},
+            {name: 'n', type: 'number'}
+        ]);
+        assert.deepStrictEqual(TabularData.localizeFields(localized, ['de', 'en'], true), [
+            {name: 'name', type: 'localized', title: 'Name'},
+            {name: 'name_localized', type: 'localized', title: 'Name'},
+            {name: 'n', type: 'number'}
+        ]);
+        assert.deepStrictEqual(localized[0].title, {en: 'Name', fr: 'Nom'});
+
+        assert.deepStrictEqual(TabularData.toRows(localized, [[{en: 'Paris', fr: 'Paris'}, 1], [null, 2]], {
+            languages: ['fr', 'en'],
+            keepLocalized: true
+        }), [
+            {name: 'Paris', name_localized: {en: 'Paris', fr: 'Paris'}, n: 1},
+            {name: null, name_localized: null, n: 2}
+        ]);
+    });
+
+    it('wrappers', function () {
+        var response = JSON.stringify({
+                jsondata: {
+                    license: {code: 'CC0-1.0+', text: 'abc', url: 'URL'},
+                    schema: {fields: [{name: 'year', type: 'number'}, {name: 'ok', type: 'boolean'}]},
+                    data: [[2000, true], ['2001', 'yes']]
+                }
+            }),
+            wrapper1 = new VegaWrapper({
+                datalib: {extend: _.extend, load: {}},
+                useXhr: true,
+                domains: {},
+                logger: _.noop,
+                tabularErrors: 'throw'
+            }),
+            wrapper2 = new VegaWrapper2({
+                loader: {},
+                domains: {},
+                logger: _.noop
+            });
+
+        assert.throws(function () {
+            wrapper1.parseDataOrThrow(response, {graphProtocol: 'tabular:'});
+        }, /row 1 field "ok" value "yes" is not a boolean/);
+        assert.deepStrictEqual(wrapper2.parseResponse(response, 'tabular').data, [
+            {year: 2000, ok: true},
+            {year: 2001, ok: null}
+        ]);
+
+        response = JSON.stringify({
+            jsondata: {
+                license: {code: 'CC0-1.0+', text: 'abc', url: 'URL'},
+                schema: {fields: [{name: 'city', type: 'localized', title: {en: 'City', de: 'Stadt'}}]},
+                data: [[{en: 'Munich', de: 'München'}]]
+            }
+        });
+        wrapper1.languageCode = 'de';
+        assert.deepStrictEqual(_.pick(wrapper1.parseDataOrThrow(response, {graphProtocol: 'tabular:'}), 'fields', 'data'), {
+            fields: [{name: 'city', type: 'localized', title: 'Stadt'}],
+            data: [{city: 'München'}]
+        });
+        assert.deepStrictEqual(wrapper1.parseDataOrThrow(response, {
+            graphProtocol: 'tabular:',
+            graphLanguage: 'en',
+            keepLocalized: true
+        }).data, [{city: 'Munich', city_localized: {en: 'Munich', de: 'München'}}]);
+        assert.deepStrictEqual(wrapper2.parseResponse(response, 'tabular').data, [{city: 'Munich'}]);
+        assert.deepStrictEqual(
+            wrapper2.parseResponse(response, 'tabular', {}, {type: 'tabular', lang: 'de-at', keepLocalized: true}).data,
+            [{city: 'München', city_localized: {en: 'Munich', de: 'München'}}]);
+    });
+});
+
+describe('attributions', function() {
+    var tabular = function (code, sources) {
+            return JSON.stringify({
+                jsondata: {
+                    description: 'desc',
+                    sources: sources,
+                    license: {code: code, text: 'abc', url: 'URL'},
+                    schema: {fields: [{name: 'fld1', type: 'number'}]},
+                    data: [[42]]
+                }
+            });
+        },
+        fileinfo = JSON.stringify({
+            query: {
+                pages: [{
+                    title: 'File:Einstein 1921.jpg',
+                    imageinfo: [{
+                        url: 'https://upload.sec.org/e/ei/Einstein_1921.jpg',
+                        extmetadata: {
+                            Artist: {value: 'Ferdinand Schmutzer'},
+                            License: {value: 'pd'}
+                        }
+                    }]
+                }]
+            }
+        }),
+        expected = [
+            {type: 'tabular', wiki: 'sec.org', title: 'Data.tab', description: 'desc',
+                license_code: 'CC0-1.0+', license_text: 'abc', license_url: 'URL', sources: 'src'},
+            {type: 'tabular', wiki: 'sec.org', title: 'Other.tab', description: 'desc',
+                license_code: 'CC-BY-SA-4.0', license_text: 'abc', license_url: 'URL', sources: 'other'},
+            {type: 'wikifileinfo', wiki: 'sec.org', title: 'File:Einstein 1921.jpg',
+                author: 'Ferdinand Schmutzer', license_code: 'pd'}
+        ];
+
+    it('wrapper1', function () {
+        var wrapper = new VegaWrapper({
+            datalib: {extend: _.extend, load: {}},
+            useXhr: true,
+            domains: {},
+            logger: _.noop
+        });
+
+        assert.deepStrictEqual(wrapper.getAttributions(), []);
+        wrapper.parseDataOrThrow(tabular('CC0-1.0+', 'src'),
+            {graphProtocol: 'tabular:', graphWiki: 'sec.org', graphTitle: 'Data.tab'});
+        wrapper.parseDataOrThrow(tabular('CC-BY-SA-4.0', 'other'),
+            {graphProtocol: 'tabular:', graphWiki: 'sec.org', graphTitle: 'Other.tab'});
+        wrapper.parseDataOrThrow(tabular('CC0-1.0+', 'src'),
+            {graphProtocol: 'tabular:', graphWiki: 'sec.org', graphTitle: 'Data.tab'});
+        wrapper.parseDataOrThrow(fileinfo, {graphProtocol: 'wikifileinfo:', graphWiki: 'sec.org'});
+        assert.deepStrictEqual(wrapper.getAttributions(), expected);
+
+        // The returned list is a copy
+        wrapper.getAttributions()[0].title = 'changed';
+        assert.strictEqual(wrapper.getAttributions()[0].title, 'Data.tab');
+    });
+
+    it('wrapper2', function () {
+        var wrapper = new VegaWrapper2({
+            loader: {},
+            domains: {},
+            domainMap: {sec: 'sec.org'},
+            logger: _.noop
+        });
+
+        assert.deepStrictEqual(wrapper.getAttributions(), []);
+        wrapper.parseResponse(tabular('CC0-1.0+', 'src'), 'tabular', {domain: 'sec.org'},
+            {type: 'tabular', title: 'Data.tab'});
+        // The mapped host is the one the data is loaded from
+        wrapper.parseResponse(tabular('CC-BY-SA-4.0', 'other'), 'tabular', {},
+            {type: 'tabular', wiki: 'sec', title: 'Other.tab'});
+        wrapper.parseResponse(tabular('CC0-1.0+', 'src'), 'tabular', {},
+            {type: 'tabular', wiki: 'sec.org', title: 'Data.tab'});
+        wrapper.parseResponse(fileinfo, 'wikifileinfo', {domain: 'sec.org'},
+            {type: 'wikifileinfo', title: 'Einstein_1921.jpg'});
+        assert.deepStrictEqual(wrapper.getAttributions(), expected);
+    });
+});
+
+describe('apiContinuation', function() {
+    var pages = [
+            {query: {categorymembers: [{title: 'A'}, {title: 'B'}]}, continue: {cmcontinue: 'c', continue: '-||'}},
+            {query: {categorymembers: [{title: 'C'}, {title: 'D'}]}, continue: {cmcontinue: 'e', continue: '-||'},
+                warnings: {main: 'w'}},
+            {batchcomplete: true, query: {categorymembers: [{title: 'E'}]}}
+        ],
+        load = function (cont) {
+            var requests = [],
+                warnings = [],
+                loader = {
+                    http: function (href) {
+                        var token = urllib.parse(href, true).query.cmcontinue;
+                        requests.push(href);
+                        return Promise.resolve(JSON.stringify(pages[{c: 1, e: 2}[token] || 0]));
+                    }
+                };
+            new VegaWrapper2({
+                loader: loader,
+                domains: {https: ['sec.org']},
+                logger: function (msg) { warnings.push(msg); },
+                formatUrl: urllib.format
+            });
+            return loader.load({
+                type: 'wikiapi',
+                params: {action: 'query', list: 'categorymembers', cmtitle: 'Category:X'},
+                continue: cont
+            }, {domain: 'sec.org'}).then(function (result) {
+                return {result: result, requests: requests, warnings: warnings};
+            });
+        },
+        titles = function (result) {
+            return result.query.categorymembers.map(function (page) {
+                return page.title;
+            }).join('');
+        };
+
+    it('follows all continuations', function () {
+        return load({}).then(function (res) {
+            assert.deepStrictEqual(res.result, {
+                batchcomplete: true,
+                query: {categorymembers: [{title: 'A'}, {title: 'B'}, {title: 'C'}, {title: 'D'}, {title: 'E'}]},
+                truncated: false
+            });
+            assert.deepStrictEqual(res.requests, [
+                'https://sec.org/w/api.php?action=query&list=categorymembers&cmtitle=Category%3AX&format=json&formatversion=2',
+                'https://sec.org/w/api.php?action=query&list=categorymembers&cmtitle=Category%3AX&cmcontinue=c&continue=-%7C%7C&format=json&formatversion=2',
+                'https://sec.org/w/api.php?action=query&list=categorymembers&cmtitle=Category%3AX&cmcontinue=e&continue=-%7C%7C&format=json&formatversion=2'
+            ]);
+            assert.deepStrictEqual(res.warnings, ['API warnings: {"main":"w"}']);
+        });
+    });
+
+    it('stops at the limits', function () {
+        return Promise.all([
+            load({maxRequests: 2}),
+            load({maxItems: 3}),
+            load({maxItems: 4}),
+            load({maxItems: 5}),
+            load(undefined)
+        ]).then(function (res) {
+            assert.strictEqual(titles(res[0].result), 'ABCD');
+            assert.strictEqual(res[0].result.truncated, true);
+            assert.strictEqual(res[0].result.continue, undefined);
+            assert.strictEqual(titles(res[1].result), 'ABC');
+            assert.strictEqual(res[1].result.truncated, true);
+            assert.strictEqual(res[1].requests.length, 2);
+            assert.strictEqual(titles(res[2].result), 'ABCD');
+            assert.strictEqual(res[2].result.truncated, true);
+            assert.strictEqual(titles(res[3].result), 'ABCDE');
+            assert.strictEqual(res[3].result.truncated, false);
+            // Without the continue option, only the first response is returned as is
+            assert.deepStrictEqual(res[4].result, pages[0]);
+            assert.strictEqual(res[4].requests.length, 1);
+        });
+    });
+});
+
+describe('apiAllowlist', function() {
+    var apiAllowlist = {parse: false, expandtemplates: {required: ['text'], maxLength: {text: 10}}};
+
+    it('wrapper1 configuration', function () {
+        var wrapper = new VegaWrapper({
+                datalib: {extend: _.extend, load: {}},
+                useXhr: true,
+                domains: {https: ['sec.org']},
+                logger: _.noop,
+                parseUrl: function (opt) {
+                    var urlParts = urllib.parse(opt.url, true);
+                    delete urlParts.search;
+                    return urlParts;
+                },
+                formatUrl: urllib.format,
+                apiAllowlist: apiAllowlist
+            }),
+            sanitize = function (url) {
+                return wrapper.sanitizeUrl({url: url, domain: 'sec.org'});
+            };
+
+        assert.equal(sanitize('wikiapi://sec.org/?action=expandtemplates&text=%7B%7Ba%7D%7D'),
+            'https://sec.org/w/api.php?action=expandtemplates&text=%7B%7Ba%7D%7D&format=json&formatversion=2');
+        assert.throws(function () { sanitize('wikiapi://sec.org/?action=expandtemplates'); }, /parameter text is required/);
+        assert.throws(function () { sanitize('wikiapi://sec.org/?action=parse&prop=text'); }, /action "parse" is not allowed/);
+        assert.equal(sanitize('wikiapi://sec.org/?action=query&list=search'),
+            'https://sec.org/w/api.php?action=query&list=search&format=json&formatversion=2');
+    });
+
+    it('wrapper2 configuration', function () {
+        var wrapper = new VegaWrapper2({
+                loader: {},
+                domains: {https: ['sec.org']},
+                logger: _.noop,
+                formatUrl: urllib.format,
+                apiAllowlist: apiAllowlist
+            }),
+            objToUrl = function (params) {
+                return wrapper.objToUrl({type: 'wikiapi', params: params}, {domain: 'sec.org'});
+            };
+
+        assert.equal(objToUrl({action: 'expandtemplates', text: '{{a}}'}),
+            'https://sec.org/w/api.php?action=expandtemplates&text=%7B%7Ba%7D%7D&format=json&formatversion=2');
+        assert.throws(function () { objToUrl({action: 'expandtemplates', text: '{{abcdefghi}}'}); }, /must not be longer than 10/);
+        assert.throws(function () { objToUrl({action: 'parse', prop: 'text'}); }, /action "parse" is not allowed/);
+        assert.throws(function () {
+            new VegaWrapper2({loader: {}, domains: {}, apiAllowlist: {edit: 'yes'}});
+        }, /apiAllowlist: action "edit" must be true, false or a rule object/);
+    });
+});
+
+describe('textData', function() {
+    var parse = function (text, opts) {
+            return TextData.parse(text, opts);
+        },
+        fail = function (text, opts, message) {
+            assert.throws(function () {
+                parse(text, opts);
+            }, function (err) {
+                assert(err instanceof GraphError, err);
+                assert.strictEqual(err.code, 'INVALID_RESPONSE');
+                assert.strictEqual(err.message, message);
+                return true;
+            });
+        };
+
+    it('csv and tsv', function () {
+        assert.deepStrictEqual(parse('year,name\r\n2000,"Smith, ""J""\nJr."\n\n2001,\n', {format: 'csv'}), [
+            {year: 2000, name: 'Smith, "J"\nJr.'},
+            {year: 2001, name: null}
+        ]);
+        // The first row is data if it has numbers, empty or duplicate values
+        assert.deepStrictEqual(parse('a\t1\nb\t-2.5e1', {format: 'tsv'}), [
+            {column1: 'a', column2: 1},
+            {column1: 'b', column2: -25}
+        ]);
+        assert.deepStrictEqual(parse('a,a\nb,c', {format: 'csv'}), [
+            {column1: 'a', column2: 'a'},
+            {column1: 'b', column2: 'c'}
+        ]);
+        assert.deepStrictEqual(parse('1,2\n3,4', {format: 'csv', header: true, inferNumbers: false}), [
+            {1: '3', 2: '4'}
+        ]);
+        assert.deepStrictEqual(parse('', {format: 'csv'}), []);
+        assert.deepStrictEqual(parse('"",x', {format: 'csv', header: false}), [{column1: null, column2: 'x'}]);
+
+        fail('a,b\n1,2\n3', {format: 'csv'}, 'wikiraw: line 3: expected 2 values, but got 1');
+        fail('a,b\n"1\n2",3\n4,"5', {format: 'csv'}, 'wikiraw: line 4: quoted value is not terminated');
+        fail('a,b\n"1"2,3', {format: 'csv'}, 'wikiraw: line 2: unexpected "2" after the quoted value');
+        fail('a,a\nb,c', {format: 'csv', header: true}, 'wikiraw: line 1: duplicate column name "a"');
+    });
+
+    it('json', function () {
+        assert.deepStrictEqual(parse('[{"a": 1}, {"a": "2"}]', {format: 'json'}), [{a: 1}, {a: '2'}]);
+        assert.deepStrictEqual(parse('[["a", "b"], [1, "2"]]', {format: 'json'}), [{a: 1, b: 2}]);
+        assert.deepStrictEqual(parse('[["a", "b"], [1, "2"]]', {format: 'json', header: false, inferNumbers: false}), [
+            {column1: 'a', column2: 'b'},
+            {column1: 1, column2: '2'}
+        ]);
+
+        fail('{"a": 1}', {format: 'json'}, 'wikiraw: JSON content must be an array of rows');
+        fail('[{"a": 1}, 2]', {format: 'json'}, 'wikiraw: row 2: must be an object, like the other rows');
+        fail('[["a"], [1, 2]]', {format: 'json'}, 'wikiraw: row 2: expected 1 values, but got 2');
+        assert.throws(function () {
+            parse('[\n  {"a": 1},\n  {"a" 2}\n]', {format: 'json'});
+        }, /^GraphError: wikiraw: line 3: invalid JSON: /);
+        assert.throws(function () {
+            parse('[\n  1\n  2\n]', {format: 'json'});
+        }, /^GraphError: wikiraw: line 3: invalid JSON: /);
+        assert.throws(function () {
+            parse('[\n  1,\n', {format: 'json'});
+        }, /^GraphError: wikiraw: invalid JSON: /);
+    });
+
+    it('wrappers', function () {
+        var response = JSON.stringify({query: {pages: [{revisions: [{slots: {main: {content: 'a,b\n1,x'}}}]}]}}),
+            wrapper1 = new VegaWrapper({
+                datalib: {extend: _.extend, load: {}},
+                useXhr: true,
+                domains: {},
+                logger: _.noop
+            }),
+            wrapper2 = new VegaWrapper2({
+                loader: {},
+                domains: {},
+                logger: _.noop
+            });
+
+        assert.deepStrictEqual(wrapper1.parseDataOrThrow(response, {
+            graphProtocol: 'wikiraw:',
+            graphTextFormat: {format: 'csv', inferNumbers: false}
+        }), [{a: '1', b: 'x'}]);
+        assert.strictEqual(wrapper1.parseDataOrThrow(response, {graphProtocol: 'wikiraw:', graphTextFormat: {}}), 'a,b\n1,x');
+        assert.deepStrictEqual(wrapper2.parseResponse(response, 'wikiraw', {}, {type: 'wikiraw', title: 'a', format: 'csv'}),
+            [{a: 1, b: 'x'}]);
+        assert.strictEqual(wrapper2.parseResponse(response, 'wikiraw', {}, {type: 'wikiraw', title: 'a'}), 'a,b\n1,x');
+    });
+});
+
+describe('siteTable', function() {
+    var sites = {
+            enwiki: 'en.sec.org',
+            enwiktionary: 'en.wiktionary.sec.org',
+            frwiki: 'fr.sec.org',
+            commonswiki: {host: 'commons.sec.org', prefixes: ['commons', 'c']},
+            wikidatawiki: {host: 'www.wikidata.sec.org', prefixes: ['d', 'wikidata']}
+        },
+        wrapper = new VegaWrapper2({
+            loader: {},
+            domains: {https: ['sec.org'], http: ['localhost']},
+            domainMap: {sec: 'sec.org'},
+            logger: function (msg) { throw new Error(msg); },
+            formatUrl: urllib.format,
+            languageCode: 'en',
+            sites: sites
+        }),
+        toUrl = function (wiki) {
+            return wrapper.objToUrl({type: 'wikifile', wiki: wiki, title: 'A.jpg'}, {domain: 'domain.sec.org'});
+        };
+
+    it('lookup and suggest', function () {
+        var table = new SiteTable(sites);
+        assert.strictEqual(table.lookup('enwiki'), 'en.sec.org');
+        assert.strictEqual(table.lookup('Commons'), 'commons.sec.org');
+        assert.strictEqual(table.lookup('d:'), 'www.wikidata.sec.org');
+        assert.strictEqual(table.lookup('dewiki'), undefined);
+        assert.deepStrictEqual(table.suggest('enwik'), ['enwiki', 'enwiktionary']);
+        assert.deepStrictEqual(table.suggest('comons'), ['commons']);
+        assert.deepStrictEqual(table.suggest('xyz'), []);
+        assert(new SiteTable().isEmpty());
+        assert(!table.isSiteId('en.sec.org'));
+        assert(table.isSiteId('d:'));
+
+        assert.throws(function () {
+            return new SiteTable({enwiki: {prefixes: ['en']}});
+        }, /sites: site "enwiki" must be a host/);
+        assert.throws(function () {
+            return new SiteTable({enwiki: {host: 'en.sec.org', prefixes: ['w']}, frwiki: {host: 'fr.sec.org', prefixes: ['W']}});
+        }, /sites: "W" is used by more than one site/);
+    });
+
+    it('objToUrl', function () {
+        assert.equal(toUrl('enwiki'), 'https://en.sec.org/wiki/Special:Redirect/file/A.jpg');
+        assert.equal(toUrl('commons'), 'https://commons.sec.org/wiki/Special:Redirect/file/A.jpg');
+        assert.equal(toUrl('d:'), 'https://www.wikidata.sec.org/wiki/Special:Redirect/file/A.jpg');
+        // Hosts, including the mapped and the allowed ones, are not resolved
+        assert.equal(toUrl('fr.sec.org'), 'https://fr.sec.org/wiki/Special:Redirect/file/A.jpg');
+        assert.equal(toUrl('sec'), 'https://sec.org/wiki/Special:Redirect/file/A.jpg');
+        assert.equal(toUrl('localhost'), 'http://localhost/wiki/Special:Redirect/file/A.jpg');
+        assert.equal(toUrl(undefined), 'https://domain.sec.org/wiki/Special:Redirect/file/A.jpg');
+
+        assert.throws(function () {
+            toUrl('enwik');
+        }, function (err) {
+            return err.code === GraphError.codes.UNKNOWN_SITE && err.field === 'wiki' && err.value === 'enwik' &&
+                err.message === 'Unknown site "enwik", did you mean: enwiki, enwiktionary?';
+        });
+        assert.throws(function () {
+            toUrl('xyz');
+        }, /^GraphError: Unknown site "xyz"$/);
+        assert.throws(function () {
+            toUrl('dewiki.org');
+        }, /URL hostname is not whitelisted: dewiki.org/);
+    });
+
+    it('attributions use the resolved host', function () {
+        var wrapper2 = new VegaWrapper2({loader: {}, domains: {}, logger: _.noop, sites: sites});
+        wrapper2.parseResponse(JSON.stringify({
+            jsondata: {license: {code: 'CC0-1.0+'}, schema: {fields: [{name: 'a', type: 'number'}]}, data: [[1]]}
+        }), 'tabular', {}, {type: 'tabular', wiki: 'c:', title: 'Data.tab'});
+        assert.strictEqual(wrapper2.getAttributions()[0].wiki, 'commons.sec.org');
+    });
+});
+
+describe('sitePaths', function() {
+    var domains = {https: ['sec.org', 'example.org']},
+        hostPaths = {
+            'wiki.sec.org': {scriptPath: '/mediawiki', articlePath: '/mediawiki/index.php/$1'},
+            'example.org': {scriptPath: '', articlePath: '/$1'}
+        },
+        wrapper1 = new VegaWrapper({
+            datalib: {extend: _.extend, load: {}},
+            useXhr: true,
+            domains: domains,
+            logger: function (msg) { throw new Error(msg); },
+            parseUrl: function (opt) {
+                var urlParts = urllib.parse(opt.url, true);
+                delete urlParts.search;
+                if (!urlParts.host) {
+                    urlParts.host = opt.domain;
+                    urlParts.isRelativeHost = true;
+                }
+                return urlParts;
+            },
+            formatUrl: urllib.format,
+            languageCode: 'en',
+            hostPaths: hostPaths
+        }),
+        wrapper2 = new VegaWrapper2({
+            loader: {},
+            domains: domains,
+            logger: function (msg) { throw new Error(msg); },
+            formatUrl: urllib.format,
+            languageCode: 'en',
+            hostPaths: hostPaths
+        });
+
+    it('configure and get', function () {
+        var paths = SitePaths.configure(hostPaths);
+        assert.deepStrictEqual(SitePaths.get(paths, 'wiki.sec.org'), hostPaths['wiki.sec.org']);
+        assert.deepStrictEqual(SitePaths.get(paths, 'en.wiki.sec.org'), hostPaths['wiki.sec.org']);
+        assert.deepStrictEqual(SitePaths.get(paths, 'a.example.org'), hostPaths['example.org']);
+        assert.strictEqual(SitePaths.get(paths, 'sec.org'), undefined);
+        assert.deepStrictEqual(SitePaths.configure({'a.org': {scriptPath: '/mw'}}),
+            {'a.org': {scriptPath: '/mw', articlePath: '/wiki/$1'}});
+        assert.strictEqual(SitePaths.getArticleTitle('/mediawiki/index.php/$1', '/mediawiki/index.php/A/B'), 'A/B');
+        assert.strictEqual(SitePaths.getArticleTitle('/wiki/$1', '/wiki/'), undefined);
+        assert.strictEqual(SitePaths.buildArticlePath('/wiki/$1', 'A_$1'), '/wiki/A_$1');
+
+        assert.throws(function () {
+            SitePaths.configure({'a.org': {scriptPath: '/w/'}});
+        }, /hostPaths: scriptPath of "a.org" must be empty, or begin with a slash/);
+        assert.throws(function () {
+            SitePaths.configure({'a.org': {articlePath: '/wiki/'}});
+        }, /hostPaths: articlePath of "a.org" must begin with a slash and end with the "\$1" title placeholder/);
+        assert.throws(function () {
+            return new VegaWrapper2({loader: {}, domains: domains, hostPaths: {'a.org': {scriptPath: 'w'}}});
+        }, /hostPaths: scriptPath of "a.org"/);
+    });
+
+    it('wrapper1', function () {
+        var pass = function (url, expected, type) {
+            assert.equal(wrapper1.sanitizeUrl({url: url, domain: 'wiki.sec.org', type: type}), expected, url);
+        };
+        pass('wikiapi:///?action=query&list=allpages',
+            'https://wiki.sec.org/mediawiki/api.php?action=query&list=allpages&format=json&formatversion=2');
+        pass('wikiraw://example.org/abc',
+            'https://example.org/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc');
+        pass('tabular://example.org/abc.tab',
+            'https://example.org/api.php?format=json&formatversion=2&action=jsondata&title=abc.tab&uselang=en');
+        pass('wikifile:///Einstein_1921.jpg', 'https://wiki.sec.org/mediawiki/index.php/Special:Redirect/file/Einstein_1921.jpg');
+        pass('wikifile://example.org/Einstein_1921.jpg', 'https://example.org/Special:Redirect/file/Einstein_1921.jpg');
+        pass('wikifile://sec.org/Einstein_1921.jpg', 'https://sec.org/wiki/Special:Redirect/file/Einstein_1921.jpg');
+        pass('wikititle:///My%20page', 'https://wiki.sec.org/mediawiki/index.php/My_page', 'open');
+        pass('https://wiki.sec.org/mediawiki/index.php/My%20page', 'https://wiki.sec.org/mediawiki/index.php/My_page', 'open');
+        pass('https://example.org/My%20page', 'https://example.org/My_page', 'open');
+        assert.throws(function () {
+            wrapper1.sanitizeUrl({url: 'https://wiki.sec.org/wiki/My%20page', domain: 'wiki.sec.org', type: 'open'});
+        }, /wikititle: http\(s\) links must begin with \/mediawiki\/index.php\/ prefix/);
+    });
+
+    it('wrapper2', function () {
+        var pass = function (urlObj, expected, options) {
+            assert.equal(wrapper2.objToUrl(urlObj, _.extend({domain: 'wiki.sec.org'}, options)), expected);
+        };
+        pass({type: 'wikiapi', params: {action: 'query', list: 'allpages'}},
+            'https://wiki.sec.org/mediawiki/api.php?action=query&list=allpages&format=json&formatversion=2');
+        pass({type: 'wikiraw', wiki: 'example.org', title: 'abc'},
+            'https://example.org/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=abc');
+        pass({type: 'wikifile', title: 'Einstein_1921.jpg'},
+            'https://wiki.sec.org/mediawiki/index.php/Special:Redirect/file/Einstein_1921.jpg');
+        pass({type: 'wikifile', wiki: 'sec.org', title: 'Einstein_1921.jpg'},
+            'https://sec.org/wiki/Special:Redirect/file/Einstein_1921.jpg');
+        // The paths of the host take precedence over the scriptPath of the loader options
+        pass({type: 'wikiapi', params: {action: 'query'}}, 'https://wiki.sec.org/mediawiki/api.php?action=query&format=json&formatversion=2',
+            {scriptPath: '/x'});
+        pass({type: 'wikiapi', wiki: 'sec.org', params: {action: 'query'}}, 'https://sec.org/x/api.php?action=query&format=json&formatversion=2',
+            {scriptPath: '/x'});
+        pass({type: 'wikititle', title: 'My page'}, 'https://wiki.sec.org/mediawiki/index.php/My_page', {type: 'open'});
+        pass({type: 'https', path: '/mediawiki/index.php/My page'}, 'https://wiki.sec.org/mediawiki/index.php/My_page', {type: 'open'});
+        pass({type: 'https', host: 'example.org', path: '/My page'}, 'https://example.org/My_page', {type: 'open'});
+        assert.throws(function () {
+            wrapper2.objToUrl({type: 'https', path: '/wiki/My page'}, {domain: 'wiki.sec.org', type: 'open'});
+        }, /wikititle: http\(s\) links must begin with \/mediawiki\/index.php\/ prefix/);
+    });
+});
+
+describe('fixtures', function() {
+    var dir,
+        domains = {https: ['sec.org']},
+        network = {
+            'https://sec.org/w/api.php?format=json&formatversion=2&action=jsondata&title=Data.tab&uselang=en': JSON.stringify({
+                jsondata: {
+                    license: {code: 'CC0-1.0+', text: 'CC0', url: 'URL'},
+                    schema: {fields: [{name: 'city', type: 'string'}, {name: 'pop', type: 'number'}]},
+                    data: [['A', 1000], ['B', 2000]]
+                }
+            }),
+            'https://sec.org/w/api.php?format=json&formatversion=2&action=query&prop=revisions&rvprop=content&rvslots=main&titles=Data': JSON.stringify({
+                query: {pages: [{title: 'Data', revisions: [{slots: {main: {content: 'a,b\n1,x\n2,y'}}}]}]}
+            }),
+            'https://sec.org/w/api.php?action=query&list=categorymembers&cmtitle=Category%3AX&format=json&formatversion=2': JSON.stringify({
+                query: {categorymembers: [{title: 'A'}]}, continue: {cmcontinue: 'c', continue: '-||'}
+            }),
+            'https://sec.org/w/api.php?action=query&list=categorymembers&cmtitle=Category%3AX&cmcontinue=c&continue=-%7C%7C&format=json&formatversion=2': JSON.stringify({
+                query: {categorymembers: [{title: 'B'}]}, batchcomplete: true
+            })
+        },
+        createWrapper2 = function (mode, requests) {
+            var loader = {
+                http: function (href) {
+                    requests.push(href);
+                    return network.hasOwnProperty(href) ? Promise.resolve(network[href]) : Promise.reject(new Error('404'));
+                }
+            };
+            return new VegaWrapper2({
+                loader: loader,
+                domains: domains,
+                logger: function (msg) { throw new Error(msg); },
+                formatUrl: urllib.format,
+                languageCode: 'en',
+                fixtures: {mode: mode, dir: dir, fs: fs, crypto: crypto}
+            });
+        },
+        createWrapper1 = function (mode, requests) {
+            var datalib = {
+                extend: _.extend,
+                load: {
+                    xhr: function (url, opt, callback) {
+                        requests.push(url);
+                        if (network.hasOwnProperty(url)) {
+                            callback(null, network[url]);
+                        } else {
+                            callback(new Error('404'));
+                        }
+                    }
+                }
+            };
+            new VegaWrapper({
+                datalib: datalib,
+                useXhr: true,
+                domains: domains,
+                logger: function (msg) { throw new Error(msg); },
+                parseUrl: function (opt) {
+                    var urlParts = urllib.parse(opt.url, true);
+                    delete urlParts.search;
+                    if (!urlParts.host) {
+                        urlParts.host = opt.domain;
+                        urlParts.isRelativeHost = true;
+                    }
+                    return urlParts;
+                },
+                formatUrl: urllib.format,
+                languageCode: 'en',
+                fixtures: {mode: mode, dir: dir, fs: fs, crypto: crypto}
+            });
+            return function (url) {
+                return new Promise(function (resolve, reject) {
+                    datalib.load.loader({url: url, domain: 'sec.org'}, function (err, data) {
+                        return err ? reject(err) : resolve(data);
+                    });
+                });
+            };
+        },
+        tabular = {
+            meta: [{
+                description: undefined,
+                license_code: 'CC0-1.0+',
+                license_text: 'CC0',
+                license_url: 'URL',
+                sources: undefined
+            }],
+            fields: [{name: 'city', type: 'string'}, {name: 'pop', type: 'number'}],
+            data: [{city: 'A', pop: 1000}, {city: 'B', pop: 2000}]
+        };
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-fixtures-'));
+    });
+
+    afterEach(function () {
+        fs.readdirSync(dir).forEach(function (file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    it('options', function () {
+        assert.throws(function () {
+            return new Fixtures({mode: 'live', dir: dir});
+        }, /fixtures: mode must be "record" or "replay"/);
+        assert.throws(function () {
+            return new Fixtures({mode: 'replay'});
+        }, /fixtures: dir must be set/);
+        assert.throws(function () {
+            return new Fixtures({mode: 'replay', dir: dir, fs: fs});
+        }, /fixtures: crypto must be set to the node.js crypto module/);
+        assert(/\/sec\.org_[0-9a-f]{16}\.json$/.test(new Fixtures({mode: 'replay', dir: dir, fs: fs, crypto: crypto}).getFileName('https://sec.org/a')));
+    });
+
+    it('record creates the directory', function () {
+        var fixtures = new Fixtures({mode: 'record', dir: path.join(dir, 'a', 'b'), fs: fs, crypto: crypto});
+        fixtures.write('https://sec.org/a', 'text');
+        assert.strictEqual(new Fixtures({mode: 'replay', dir: path.join(dir, 'a', 'b'), fs: fs, crypto: crypto}).read('https://sec.org/a'), 'text');
+        fs.unlinkSync(fixtures.getFileName('https://sec.org/a'));
+        fs.rmdirSync(path.join(dir, 'a', 'b'));
+        fs.rmdirSync(path.join(dir, 'a'));
+    });
+
+    it('wrapper2 record and replay', function () {
+        var recorded = [], replayed = [],
+            load = function (wrapper, uri) {
+                return wrapper.loader.load(uri, {domain: 'sec.org'});
+            },
+            uris = [
+                {type: 'tabular', title: 'Data.tab'},
+                {type: 'wikiraw', title: 'Data', format: 'csv'},
+                {type: 'wikiapi', params: {action: 'query', list: 'categorymembers', cmtitle: 'Category:X'}, continue: true}
+            ],
+            expected = [
+                tabular,
+                [{a: 1, b: 'x'}, {a: 2, b: 'y'}],
+                {query: {categorymembers: [{title: 'A'}, {title: 'B'}]}, batchcomplete: true, truncated: false}
+            ],
+            recorder = createWrapper2('record', recorded);
+
+        return Promise.all(uris.map(function (uri) {
+            return load(recorder, uri);
+        })).then(function (results) {
+            assert.deepStrictEqual(results, expected);
+            assert.strictEqual(recorded.length, 4);
+            assert.strictEqual(fs.readdirSync(dir).length, 4);
+
+            var player = createWrapper2('replay', replayed);
+            return Promise.all(uris.map(function (uri) {
+                return load(player, uri);
+            })).then(function (results) {
+                assert.deepStrictEqual(results, expected);
+                assert.deepStrictEqual(replayed, []);
+                return load(player, {type: 'tabular', title: 'Other.tab'}).then(function () {
+                    assert(false, 'unrecorded url should fail');
+                }, function (err) {
+                    assert.strictEqual(err.code, GraphError.codes.FIXTURE_MISSING);
+                    assert(err.message.indexOf('fixtures: url was not recorded: ' +
+                        'https://sec.org/w/api.php?format=json&formatversion=2&action=jsondata&title=Other.tab') === 0, err.message);
+                    assert.deepStrictEqual(player.getAttributions().map(function (a) { return a.title; }), ['Data.tab']);
+                });
+            });
+        });
+    });
+
+    it('wrapper2 does not record the failed loads', function () {
+        var recorder = createWrapper2('record', []);
+        return recorder.loader.load({type: 'tabular', title: 'Other.tab'}, {domain: 'sec.org'}).then(function () {
+            assert(false, 'missing url should fail');
+        }, function (err) {
+            assert.strictEqual(err.message, '404');
+            assert.deepStrictEqual(fs.readdirSync(dir), []);
+        });
+    });
+
+    it('wrapper1 record and replay', function () {
+        var recorded = [], replayed = [],
+            urls = ['tabular:///Data.tab', 'wikiraw:///Data?format=csv&inferNumbers=false'],
+            expected = [tabular, [{a: '1', b: 'x'}, {a: '2', b: 'y'}]],
+            record = createWrapper1('record', recorded);
+
+        return Promise.all(urls.map(record)).then(function (results) {
+            assert.deepStrictEqual(results, expected);
+            assert.strictEqual(recorded.length, 2);
+
+            var replay = createWrapper1('replay', replayed);
+            return Promise.all(urls.map(replay)).then(function (results) {
+                assert.deepStrictEqual(results, expected);
+                assert.deepStrictEqual(replayed, []);
+                return replay('wikiraw:///Other').then(function () {
+                    assert(false, 'unrecorded url should fail');
+                }, function (err) {
+                    assert.strictEqual(err.code, GraphError.codes.FIXTURE_MISSING);
+                });
+            });
+        });
+    });
+});